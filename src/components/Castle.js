@@ -1,13 +1,26 @@
 import * as THREE from 'three';
 import { CastleWalls } from '../entities/structures/CastleWalls';
 
+// Health of the keep before any upgrades
+const BASE_KEEP_HEALTH = 100;
+
+/**
+ * The castle the player defends. Its walls and towers each have their own
+ * health; the castle itself falls when its keep does, which goblins can only
+ * reach once a wall or tower has been broken down. Upgrades bought between
+ * waves strengthen it for the rest of the run.
+ */
 export class Castle {
     constructor() {
         this.mesh = null;
-        this.health = 100;
-        this.maxHealth = 100;
+        this.health = BASE_KEEP_HEALTH; // Health of the keep
+        this.maxHealth = BASE_KEEP_HEALTH;
         this.isDestroyed = false;
         this.castleWalls = null;
+
+        // Effects of upgrades
+        this.armor = { wall: 0, tower: 0 }; // Fraction of damage walls and towers shrug off
+        this.spikeDamage = 0; // Damage dealt back to goblins striking the walls, ignoring their defense
     }
 
     async init() {
@@ -42,11 +55,28 @@ export class Castle {
         return this.mesh.position;
     }
 
-    takeDamage(amount) {
+    /**
+     * Damage the part of the castle hit at a position: the nearest standing wall
+     * or tower, or the keep if that is closer
+     * @param {number} amount - Damage dealt
+     * @param {THREE.Vector3} position - Where the hit landed, e.g. the point a goblin attacked;
+     *   hits without a position go to the keep
+     * @param {Goblin} attacker - Goblin striking the castle in melee, hurt by spiked walls
+     * @returns {number} Damage actually taken
+     */
+    takeDamage(amount, position = null, attacker = null) {
         if (this.isDestroyed) {
             console.log('Castle is already destroyed, cannot take damage');
             return 0;
         }
+
+        const segment = this.getSegmentHitAt(position);
+        if (segment) {
+            if (attacker && !attacker.isDead && this.spikeDamage > 0) {
+                attacker.takeTrueDamage(this.spikeDamage);
+            }
+            return this.damageSegment(segment, amount * (1 - this.armor[segment.kind]));
+        }
         
         const oldHealth = this.health;
         this.health = Math.max(0, this.health - amount);
@@ -64,11 +94,147 @@ export class Castle {
         return actualDamage;
     }
 
-    heal(amount) {
+    /**
+     * Get the wall or tower a hit at a position lands on
+     * @param {THREE.Vector3|null} position - Where the hit landed
+     * @returns {Object|null} The segment, or null if the hit lands on the keep
+     */
+    getSegmentHitAt(position) {
+        if (!position || !this.castleWalls) return null;
+
+        const segment = this.castleWalls.getNearestSegment(position);
+        if (!segment) return null;
+
+        const keep = this.castleWalls.keep;
+        return this.castleWalls.getDistanceTo(segment, position) <= this.castleWalls.getDistanceTo(keep, position)
+            ? segment
+            : null;
+    }
+
+    /**
+     * Damage a wall or tower, bringing it down when its health runs out
+     * @param {Object} segment - The segment hit
+     * @param {number} amount - Damage dealt
+     * @returns {number} Damage actually taken
+     */
+    damageSegment(segment, amount) {
+        const oldHealth = segment.health;
+        segment.health = Math.max(0, segment.health - amount);
+        const actualDamage = oldHealth - segment.health;
+
+        if (segment.health <= 0) {
+            this.castleWalls.collapseSegment(segment);
+            console.log(`${segment.name} has collapsed!`);
+
+            // Dispatch event so navigation and physics can open up the breach
+            const event = new CustomEvent('castleSegmentDestroyed', {
+                detail: { castle: this, segment }
+            });
+            window.dispatchEvent(event);
+        }
+
+        return actualDamage;
+    }
+
+    /**
+     * Get the point goblins at a position should attack: the wall or tower facing
+     * them, or the keep once any of them has fallen
+     * @param {THREE.Vector3} position - Position of the goblin
+     * @returns {THREE.Vector3} Point at ground level
+     */
+    getTargetPoint(position) {
+        if (!this.castleWalls) return new THREE.Vector3(0, 0, 0);
+
+        const part = this.castleWalls.hasBreach()
+            ? this.castleWalls.keep
+            : this.castleWalls.getFacingSegment(position);
+        return this.castleWalls.getClosestPoint(part, position);
+    }
+
+    /**
+     * Get the walls and towers with their health
+     * @returns {Object[]} Segments, empty if the castle has no walls
+     */
+    getSegments() {
+        return this.castleWalls ? this.castleWalls.segments : [];
+    }
+
+    /**
+     * Get a wall or tower by id
+     * @param {string} id - e.g. 'north' or 'northEast'
+     * @returns {Object|null} The segment
+     */
+    getSegment(id) {
+        return this.castleWalls ? this.castleWalls.getSegment(id) : null;
+    }
+
+    /**
+     * Repair the keep, or a wall or tower if one is given. Walls and towers that
+     * have collapsed can't be repaired.
+     * @param {number} amount - Health to restore
+     * @param {Object|null} segment - Wall or tower to repair, or null for the keep
+     * @returns {number} Health actually restored
+     */
+    heal(amount, segment = null) {
         if (this.isDestroyed) return 0;
+
+        if (segment) {
+            if (segment.isDestroyed) return 0;
+            const oldHealth = segment.health;
+            segment.health = Math.min(segment.maxHealth, segment.health + amount);
+            return segment.health - oldHealth;
+        }
         
+        const oldHealth = this.health;
         this.health = Math.min(this.maxHealth, this.health + amount);
-        return amount;
+        return this.health - oldHealth;
+    }
+
+    /**
+     * Apply an upgrade bought for the castle. It lasts until the castle is reset
+     * for a new run.
+     * @param {Object} upgrade - Upgrade definition from CastleUpgrades
+     */
+    applyUpgrade(upgrade) {
+        const { effects } = upgrade;
+
+        // Extra keep health is added to its current health too
+        if (effects.keepHealth) {
+            this.maxHealth += effects.keepHealth;
+            this.health += effects.keepHealth;
+        }
+        if (effects.wallArmor) {
+            this.armor.wall += effects.wallArmor;
+        }
+        if (effects.towerArmor) {
+            this.armor.tower += effects.towerArmor;
+        }
+        if (effects.spikeDamage) {
+            this.spikeDamage += effects.spikeDamage;
+        }
+
+        if (!this.castleWalls) return;
+        if (effects.healthMultiplier) {
+            this.castleWalls.setHealthMultiplier(effects.healthMultiplier);
+        }
+        if (upgrade.color !== undefined) {
+            this.castleWalls.setStoneColor(upgrade.color);
+        }
+        if (upgrade.decoration) {
+            this.castleWalls.addDecoration(upgrade.decoration);
+        }
+    }
+
+    reset() {
+        // Restore the castle to full health for a new run, without its upgrades
+        this.maxHealth = BASE_KEEP_HEALTH;
+        this.health = this.maxHealth;
+        this.isDestroyed = false;
+        this.armor = { wall: 0, tower: 0 };
+        this.spikeDamage = 0;
+        if (this.castleWalls) {
+            this.castleWalls.reset();
+        }
     }
 
     getHealth() {
@@ -91,9 +257,22 @@ export class Castle {
         window.dispatchEvent(event);
     }
 
-    update() {
-        // Update castle state if needed
-        // For now, this is empty as the castle doesn't need any per-frame updates
+    /**
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        // Animate collapsing walls and towers
+        if (this.castleWalls) {
+            this.castleWalls.update(deltaTime);
+        }
+    }
+
+    getColliders() {
+        return this.castleWalls ? this.castleWalls.getColliders() : [];
+    }
+
+    getColliderKind(box) {
+        return this.castleWalls ? this.castleWalls.getColliderKind(box) : 'wall';
     }
 
     checkCollision(position, radius) {
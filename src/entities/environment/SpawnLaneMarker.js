@@ -0,0 +1,116 @@
+import * as THREE from 'three';
+
+// Colour of the banner and portal while enemies are coming down the lane
+const WARNING_COLOR = 0xff5522;
+
+// How quickly the marker fades in and out, in full glows per second
+const GLOW_RATE = 2;
+
+/**
+ * Banner and ground portal at the mouth of a spawn lane. The portal glows and
+ * pulses while the lane is active so the player can see where enemies will come from.
+ */
+export class SpawnLaneMarker {
+    /**
+     * @param {Object} lane - Lane definition from the campaign
+     * @param {string} lane.name - Display name, e.g. 'North Road'
+     * @param {number} lane.x - X position of the lane's spawn area
+     * @param {number} lane.z - Z position of the lane's spawn area
+     * @param {number} lane.width - Width of the spawn area
+     */
+    constructor(lane) {
+        this.lane = lane;
+        this.isActive = false;
+        this.glow = 0;
+        this.time = 0;
+
+        this.group = new THREE.Group();
+        this.group.name = `SpawnLane_${lane.id}`;
+        this.group.position.set(lane.x, 0, lane.z);
+
+        // Turn the banner to face the castle
+        this.group.rotation.y = Math.atan2(-lane.x, -lane.z);
+
+        this.createMesh();
+    }
+
+    /**
+     * Create the banner pole, cloth and portal ring
+     * @private
+     */
+    createMesh() {
+        const radius = this.lane.width / 2;
+
+        // Pole stands at the edge of the spawn area
+        const poleMaterial = new THREE.MeshStandardMaterial({ color: 0x5c4033, roughness: 0.9 });
+        const pole = new THREE.Mesh(new THREE.CylinderGeometry(0.12, 0.15, 6, 8), poleMaterial);
+        pole.position.set(radius + 1, 3, 0);
+        pole.castShadow = true;
+        this.group.add(pole);
+
+        this.bannerMaterial = new THREE.MeshStandardMaterial({
+            color: 0x8b1a1a,
+            emissive: WARNING_COLOR,
+            emissiveIntensity: 0,
+            side: THREE.DoubleSide
+        });
+        const banner = new THREE.Mesh(new THREE.PlaneGeometry(1.6, 2.4), this.bannerMaterial);
+        banner.position.set(radius + 1.9, 4.6, 0);
+        banner.castShadow = true;
+        this.group.add(banner);
+
+        // Ring on the ground around the spawn area
+        this.portalMaterial = new THREE.MeshBasicMaterial({
+            color: WARNING_COLOR,
+            transparent: true,
+            opacity: 0.15,
+            depthWrite: false
+        });
+        this.portal = new THREE.Mesh(new THREE.RingGeometry(radius - 0.4, radius, 48), this.portalMaterial);
+        this.portal.rotation.x = -Math.PI / 2;
+        this.portal.position.y = 0.05;
+        this.group.add(this.portal);
+    }
+
+    /**
+     * Light the marker up or let it fade out
+     * @param {boolean} active - Whether enemies are about to come down the lane
+     */
+    setActive(active) {
+        this.isActive = active;
+    }
+
+    /**
+     * Fade and pulse the glow
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        this.time += deltaTime;
+
+        const target = this.isActive ? 1 : 0;
+        const step = GLOW_RATE * deltaTime;
+        this.glow = this.glow < target ? Math.min(target, this.glow + step) : Math.max(target, this.glow - step);
+
+        const pulse = 0.75 + 0.25 * Math.sin(this.time * 6);
+        this.portalMaterial.opacity = 0.15 + 0.7 * this.glow * pulse;
+        this.bannerMaterial.emissiveIntensity = this.glow * pulse;
+
+        const scale = 1 + 0.08 * this.glow * pulse;
+        this.portal.scale.set(scale, scale, 1);
+    }
+
+    /**
+     * Remove the marker from the scene and free its resources
+     */
+    dispose() {
+        if (this.group.parent) {
+            this.group.parent.remove(this.group);
+        }
+        this.group.traverse(child => {
+            if (child.isMesh) {
+                child.geometry.dispose();
+                child.material.dispose();
+            }
+        });
+    }
+}
@@ -22,48 +22,8 @@ export class Tree {
 
     async init() {
         try {
-            // Create materials
-            const trunkMaterial = new THREE.MeshStandardMaterial({
-                color: 0x4a2f1d, // Brown color for trunk
-                roughness: 0.8,
-                metalness: 0.2
-            });
-
-            const foliageMaterial = new THREE.MeshStandardMaterial({
-                color: 0x2d5a27, // Green color for foliage
-                roughness: 0.7,
-                metalness: 0.1
-            });
-
-            // Create trunk (cylinder)
-            const trunkGeometry = new THREE.CylinderGeometry(0.4, 0.8, this.height, 12);
-            const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
-            trunk.castShadow = true;
-            trunk.receiveShadow = true;
-
-            // Create a group to hold all parts
-            this.mesh = new THREE.Group();
-            this.mesh.add(trunk);
-
-            // Create three layers of foliage with adjusted positions to ensure connection
-            const foliageLayers = [
-                { radius: 3.0, height: 4.0, yOffset: this.height - 0.5 }, // Bottom layer - slightly lower to connect
-                { radius: 2.5, height: 3.5, yOffset: this.height + 1.0 }, // Middle layer
-                { radius: 2.0, height: 3.0, yOffset: this.height + 2.5 }  // Top layer
-            ];
-
-            // Add each foliage layer with random phase offsets
-            foliageLayers.forEach((layer, index) => {
-                const foliageGeometry = new THREE.ConeGeometry(layer.radius, layer.height, 12);
-                const foliage = new THREE.Mesh(foliageGeometry, foliageMaterial);
-                foliage.position.y = layer.yOffset;
-                foliage.castShadow = true;
-                foliage.receiveShadow = true;
-                this.mesh.add(foliage);
-                
-                // Store random phase offset for this layer
-                this.layerOffsets[index] = Math.random() * Math.PI * 2;
-            });
+            // Trees are built from primitives, which update() sways layer by layer
+            this.createProceduralModel();
 
             // Apply transformations
             this.mesh.position.copy(this.position);
@@ -81,9 +41,10 @@ export class Tree {
                 size.z * 0.8
             );
             
+            const halfSize = colliderSize.multiplyScalar(0.5);
             this.collider = new THREE.Box3(
-                new THREE.Vector3().subVectors(this.position, colliderSize.multiplyScalar(0.5)),
-                new THREE.Vector3().addVectors(this.position, colliderSize.multiplyScalar(0.5))
+                new THREE.Vector3().subVectors(this.position, halfSize),
+                new THREE.Vector3().addVectors(this.position, halfSize)
             );
             
             this.isLoaded = true;
@@ -94,6 +55,54 @@ export class Tree {
         }
     }
 
+    /**
+     * Build the tree from a trunk and three swaying layers of foliage
+     */
+    createProceduralModel() {
+        // Create materials
+        const trunkMaterial = new THREE.MeshStandardMaterial({
+            color: 0x4a2f1d, // Brown color for trunk
+            roughness: 0.8,
+            metalness: 0.2
+        });
+
+        const foliageMaterial = new THREE.MeshStandardMaterial({
+            color: 0x2d5a27, // Green color for foliage
+            roughness: 0.7,
+            metalness: 0.1
+        });
+
+        // Create trunk (cylinder)
+        const trunkGeometry = new THREE.CylinderGeometry(0.4, 0.8, this.height, 12);
+        const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
+        trunk.castShadow = true;
+        trunk.receiveShadow = true;
+
+        // Create a group to hold all parts
+        this.mesh = new THREE.Group();
+        this.mesh.add(trunk);
+
+        // Create three layers of foliage with adjusted positions to ensure connection
+        const foliageLayers = [
+            { radius: 3.0, height: 4.0, yOffset: this.height - 0.5 }, // Bottom layer - slightly lower to connect
+            { radius: 2.5, height: 3.5, yOffset: this.height + 1.0 }, // Middle layer
+            { radius: 2.0, height: 3.0, yOffset: this.height + 2.5 }  // Top layer
+        ];
+
+        // Add each foliage layer with random phase offsets
+        foliageLayers.forEach((layer, index) => {
+            const foliageGeometry = new THREE.ConeGeometry(layer.radius, layer.height, 12);
+            const foliage = new THREE.Mesh(foliageGeometry, foliageMaterial);
+            foliage.position.y = layer.yOffset;
+            foliage.castShadow = true;
+            foliage.receiveShadow = true;
+            this.mesh.add(foliage);
+            
+            // Store random phase offset for this layer
+            this.layerOffsets[index] = Math.random() * Math.PI * 2;
+        });
+    }
+
     /**
      * Check if a point collides with the tree
      * @param {THREE.Vector3} point - The point to check for collision
@@ -115,6 +115,14 @@ export class TreeManager {
         return this.trees.some(tree => tree.checkLineCollision(start, end));
     }
 
+    /**
+     * Get the collision boxes of all trees, used to build the navigation grid
+     * @returns {THREE.Box3[]} Tree colliders
+     */
+    getColliders() {
+        return this.trees.map(tree => tree.getCollider()).filter(Boolean);
+    }
+
     /**
      * Update all trees
      * @param {number} deltaTime - Time since last update
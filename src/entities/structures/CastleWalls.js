@@ -1,7 +1,32 @@
 import * as THREE from 'three';
 
+// Seconds a destroyed wall or tower takes to sink into rubble
+const COLLAPSE_DURATION = 1.5;
+
+// Height of the broken stump left standing once a segment has collapsed
+const RUBBLE_HEIGHT = 1;
+
+// Loose blocks scattered around a collapsed segment
+const RUBBLE_PIECES = 8;
+
+// Angle either side of a corner within which attackers make for its tower rather than a wall
+const TOWER_ARC = Math.PI / 12;
+
+// Colours of the pieces upgrades add to the castle
+const IRON_COLOR = 0x4a4a50;
+const GATE_COLOR = 0x5c3a1e;
+
+const UP = new THREE.Vector3(0, 1, 0);
+
 /**
- * Castle walls structure for the game
+ * Castle walls structure for the game.
+ *
+ * Each wall and corner tower is a segment with its own health. A segment that
+ * runs out of health sinks into rubble and its collider is removed, opening a
+ * breach through to the keep in the courtyard.
+ *
+ * Castle upgrades raise the segments' health, recolour the stonework and add
+ * decorations such as crenellations and spikes, all undone by reset().
  */
 export class CastleWalls {
     /**
@@ -14,6 +39,8 @@ export class CastleWalls {
         this.wallHeight = config.wallHeight || 8;
         this.color = config.color || 0x888888;
         this.roofColor = config.roofColor || 0x883333;
+        this.wallHealth = config.wallHealth || 100;
+        this.towerHealth = config.towerHealth || 150;
         
         // Group to hold all castle parts
         this.group = new THREE.Group();
@@ -24,6 +51,26 @@ export class CastleWalls {
 
         // Create collision boxes for walls
         this.collisionBoxes = [];
+        
+        // Subsets of the collision boxes, used to tell colliders apart
+        this.towerBoxes = [];
+        this.stairBoxes = [];
+
+        // Walls and towers that can be destroyed, and the keep they protect
+        this.segments = [];
+        this.keep = null;
+        this.rubbleGeometry = new THREE.BoxGeometry(1, 1, 1);
+        this.rubbleMaterial = new THREE.MeshStandardMaterial({
+            color: new THREE.Color(this.color).multiplyScalar(0.7),
+            roughness: 0.9,
+            metalness: 0.1
+        });
+
+        // Materials recoloured by upgrades, and the pieces upgrades have added
+        this.stoneMaterials = [];
+        this.decorationTypes = new Set();
+        this.decorations = [];
+        this.decorationResources = []; // Geometries and materials to dispose of on reset
     }
     
     /**
@@ -36,6 +83,12 @@ export class CastleWalls {
         // Create towers
         this._createTowers();
         
+        // Create stairs up to the wall walkway
+        this._createStairs();
+
+        // Create the keep in the courtyard
+        this._createKeep();
+        
         if (this.debug) {
             console.log('Castle walls built');
         }
@@ -63,6 +116,225 @@ export class CastleWalls {
         return false;
     }
     
+    /**
+     * Get the collision boxes of the standing walls and towers, the stairs and the keep
+     * @returns {THREE.Box3[]} Castle colliders
+     */
+    getColliders() {
+        return this.collisionBoxes;
+    }
+    
+    /**
+     * Get what part of the castle a collider belongs to
+     * @param {THREE.Box3} box - One of the boxes returned by getColliders()
+     * @returns {string} 'tower', 'stairs', 'keep' or 'wall'
+     */
+    getColliderKind(box) {
+        if (this.towerBoxes.includes(box)) return 'tower';
+        if (this.stairBoxes.includes(box)) return 'stairs';
+        if (this.keep && this.keep.box === box) return 'keep';
+        return 'wall';
+    }
+
+    /**
+     * Get a wall or tower by id
+     * @param {string} id - e.g. 'north' or 'northEast'
+     * @returns {Object|null} The segment
+     */
+    getSegment(id) {
+        return this.segments.find(segment => segment.id === id) || null;
+    }
+
+    /**
+     * Get the standing wall or tower closest to a position
+     * @param {THREE.Vector3} position - Position on the ground
+     * @returns {Object|null} The segment, or null if every segment has fallen
+     */
+    getNearestSegment(position) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        this.segments.forEach(segment => {
+            if (segment.isDestroyed) return;
+            const distance = this.getDistanceTo(segment, position);
+            if (distance < nearestDistance) {
+                nearest = segment;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    /**
+     * Get the wall or tower facing a position, seen from the middle of the castle.
+     * Unlike getNearestSegment this doesn't favour the towers, which stand out
+     * past the walls.
+     * @param {THREE.Vector3} position - Position on the ground
+     * @returns {Object|null} The segment
+     */
+    getFacingSegment(position) {
+        const angle = Math.atan2(Math.abs(position.z), Math.abs(position.x));
+        const northSouth = position.z < 0 ? 'north' : 'south';
+
+        if (Math.abs(angle - Math.PI / 4) < TOWER_ARC) {
+            return this.getSegment(`${northSouth}${position.x < 0 ? 'West' : 'East'}`);
+        }
+        if (Math.abs(position.x) > Math.abs(position.z)) {
+            return this.getSegment(position.x < 0 ? 'west' : 'east');
+        }
+        return this.getSegment(northSouth);
+    }
+
+    /**
+     * Check whether any wall or tower has fallen
+     * @returns {boolean} Whether the castle has a breach
+     */
+    hasBreach() {
+        return this.segments.some(segment => segment.isDestroyed);
+    }
+
+    /**
+     * Get the point of a segment or the keep's collider closest to a position
+     * @param {Object} part - A segment or the keep
+     * @param {THREE.Vector3} position - Position on the ground
+     * @returns {THREE.Vector3} Closest point, at ground level
+     */
+    getClosestPoint(part, position) {
+        const point = part.box.clampPoint(position, new THREE.Vector3());
+        point.y = 0;
+        return point;
+    }
+
+    /**
+     * Get the distance along the ground from a position to a segment or the keep
+     * @param {Object} part - A segment or the keep
+     * @param {THREE.Vector3} position - Position on the ground
+     * @returns {number} Distance to the part's collider
+     */
+    getDistanceTo(part, position) {
+        const point = this.getClosestPoint(part, position);
+        return Math.hypot(point.x - position.x, point.z - position.z);
+    }
+
+    /**
+     * Bring a destroyed wall or tower down: remove its collider and start it
+     * sinking into rubble
+     * @param {Object} segment - The segment that ran out of health
+     */
+    collapseSegment(segment) {
+        if (segment.isDestroyed) return;
+
+        segment.health = 0;
+        segment.isDestroyed = true;
+        segment.collapseProgress = 0;
+
+        const index = this.collisionBoxes.indexOf(segment.box);
+        if (index > -1) {
+            this.collisionBoxes.splice(index, 1);
+        }
+
+        // Scatter blocks across the segment's footprint
+        const min = segment.box.min;
+        const size = segment.box.getSize(new THREE.Vector3());
+        for (let i = 0; i < RUBBLE_PIECES; i++) {
+            const piece = new THREE.Mesh(this.rubbleGeometry, this.rubbleMaterial);
+            const scale = 0.6 + Math.random() * 0.8;
+            piece.scale.set(scale, scale * 0.6, scale);
+            piece.position.set(
+                min.x + Math.random() * size.x,
+                scale * 0.3,
+                min.z + Math.random() * size.z
+            );
+            piece.rotation.set(Math.random() * 0.5, Math.random() * Math.PI, Math.random() * 0.5);
+            piece.castShadow = true;
+            piece.receiveShadow = true;
+            this.group.add(piece);
+            segment.rubble.push(piece);
+        }
+    }
+
+    /**
+     * Rebuild every wall and tower at full health, e.g. for a new run
+     */
+    reset() {
+        this.setStoneColor(this.color);
+        this.removeDecorations();
+
+        this.segments.forEach(segment => {
+            segment.maxHealth = segment.baseMaxHealth;
+            segment.health = segment.maxHealth;
+            segment.isDestroyed = false;
+            segment.collapseProgress = 1;
+            segment.mesh.position.copy(segment.basePosition);
+            segment.mesh.rotation.set(0, 0, 0);
+
+            if (!this.collisionBoxes.includes(segment.box)) {
+                this.collisionBoxes.push(segment.box);
+            }
+
+            segment.rubble.forEach(piece => this.group.remove(piece));
+            segment.rubble = [];
+        });
+    }
+
+    /**
+     * Set every wall and tower's health to a multiple of its base health, e.g. for
+     * an upgrade. Health gained is added to the standing segments' current health.
+     * @param {number} multiplier - Multiple of the base health
+     */
+    setHealthMultiplier(multiplier) {
+        this.segments.forEach(segment => {
+            const maxHealth = segment.baseMaxHealth * multiplier;
+            if (!segment.isDestroyed) {
+                segment.health = Math.max(0, segment.health + maxHealth - segment.maxHealth);
+            }
+            segment.maxHealth = maxHealth;
+        });
+    }
+
+    /**
+     * Recolour the stonework of the walls, towers, stairs and keep
+     * @param {number} color - Stone colour
+     */
+    setStoneColor(color) {
+        this.stoneMaterials.forEach(material => material.color.setHex(color));
+    }
+
+    /**
+     * Add the pieces an upgrade shows on the castle. Each type is only added once.
+     * @param {string} type - 'crenellations', 'spikes', 'gates' or 'towerArmor'
+     */
+    addDecoration(type) {
+        if (this.decorationTypes.has(type)) return;
+        this.decorationTypes.add(type);
+
+        if (type === 'crenellations') {
+            this._addCrenellations();
+        } else if (type === 'spikes') {
+            this._addSpikes();
+        } else if (type === 'gates') {
+            this._addGates();
+        } else if (type === 'towerArmor') {
+            this._addTowerArmor();
+        } else {
+            console.warn(`CastleWalls: Unknown decoration ${type}`);
+        }
+    }
+
+    /**
+     * Take off every piece upgrades have added
+     */
+    removeDecorations() {
+        this.decorations.forEach(piece => {
+            if (piece.parent) {
+                piece.parent.remove(piece);
+            }
+        });
+        this.decorationResources.forEach(resource => resource.dispose());
+        this.decorations = [];
+        this.decorationResources = [];
+        this.decorationTypes.clear();
+    }
+    
     /**
      * Create castle walls
      * @private
@@ -74,6 +346,7 @@ export class CastleWalls {
             roughness: 0.7,
             metalness: 0.2
         });
+        this.stoneMaterials.push(wallMaterial);
         
         // North wall
         const northWallGeometry = new THREE.BoxGeometry(this.castleSize, this.wallHeight, 1);
@@ -87,6 +360,7 @@ export class CastleWalls {
         const northBox = new THREE.Box3().setFromObject(northWall);
         northBox.expandByScalar(0.5); // Add some padding
         this.collisionBoxes.push(northBox);
+        this._addSegment('north', 'North Wall', 'wall', northWall, northBox, this.wallHealth, this.wallHeight);
         
         // South wall
         const southWallGeometry = new THREE.BoxGeometry(this.castleSize, this.wallHeight, 1);
@@ -100,6 +374,7 @@ export class CastleWalls {
         const southBox = new THREE.Box3().setFromObject(southWall);
         southBox.expandByScalar(0.5);
         this.collisionBoxes.push(southBox);
+        this._addSegment('south', 'South Wall', 'wall', southWall, southBox, this.wallHealth, this.wallHeight);
         
         // East wall
         const eastWallGeometry = new THREE.BoxGeometry(1, this.wallHeight, this.castleSize);
@@ -113,6 +388,7 @@ export class CastleWalls {
         const eastBox = new THREE.Box3().setFromObject(eastWall);
         eastBox.expandByScalar(0.5);
         this.collisionBoxes.push(eastBox);
+        this._addSegment('east', 'East Wall', 'wall', eastWall, eastBox, this.wallHealth, this.wallHeight);
         
         // West wall
         const westWallGeometry = new THREE.BoxGeometry(1, this.wallHeight, this.castleSize);
@@ -126,6 +402,7 @@ export class CastleWalls {
         const westBox = new THREE.Box3().setFromObject(westWall);
         westBox.expandByScalar(0.5);
         this.collisionBoxes.push(westBox);
+        this._addSegment('west', 'West Wall', 'wall', westWall, westBox, this.wallHealth, this.wallHeight);
     }
     
     /**
@@ -133,26 +410,29 @@ export class CastleWalls {
      * @private
      */
     _createTowers() {
-        // Create towers at each corner
-        this._createTower(this.castleSize / 2, this.castleSize / 2);
-        this._createTower(-this.castleSize / 2, this.castleSize / 2);
-        this._createTower(this.castleSize / 2, -this.castleSize / 2);
-        this._createTower(-this.castleSize / 2, -this.castleSize / 2);
+        // Create towers at each corner. North is -Z.
+        this._createTower('southEast', 'Southeast Tower', this.castleSize / 2, this.castleSize / 2);
+        this._createTower('southWest', 'Southwest Tower', -this.castleSize / 2, this.castleSize / 2);
+        this._createTower('northEast', 'Northeast Tower', this.castleSize / 2, -this.castleSize / 2);
+        this._createTower('northWest', 'Northwest Tower', -this.castleSize / 2, -this.castleSize / 2);
     }
     
     /**
      * Create a castle tower
+     * @param {string} id - Segment id
+     * @param {string} name - Name shown to the player
      * @param {number} x - X position
      * @param {number} z - Z position
      * @private
      */
-    _createTower(x, z) {
+    _createTower(id, name, x, z) {
         const towerGeometry = new THREE.CylinderGeometry(2, 2.5, 15, 8);
         const towerMaterial = new THREE.MeshStandardMaterial({
             color: this.color,
             roughness: 0.8,
             metalness: 0.2
         });
+        this.stoneMaterials.push(towerMaterial);
         
         const tower = new THREE.Mesh(towerGeometry, towerMaterial);
         tower.position.set(x, 7.5, z);
@@ -179,6 +459,262 @@ export class CastleWalls {
         const towerBox = new THREE.Box3().setFromObject(tower);
         towerBox.expandByScalar(0.5); // Add some padding
         this.collisionBoxes.push(towerBox);
+        this.towerBoxes.push(towerBox);
+        this._addSegment(id, name, 'tower', tower, towerBox, this.towerHealth, 15);
+    }
+
+    /**
+     * Register a wall or tower as a segment with its own health
+     * @param {string} id - Segment id
+     * @param {string} name - Name shown to the player
+     * @param {string} kind - 'wall' or 'tower'
+     * @param {THREE.Mesh} mesh - The segment's mesh
+     * @param {THREE.Box3} box - The segment's collider
+     * @param {number} maxHealth - Health of the segment when intact
+     * @param {number} height - Height of the mesh, used to sink it when it collapses
+     * @private
+     */
+    _addSegment(id, name, kind, mesh, box, maxHealth, height) {
+        this.segments.push({
+            id,
+            name,
+            kind,
+            mesh,
+            box,
+            height,
+            baseMaxHealth: maxHealth, // Health before upgrades
+            maxHealth,
+            health: maxHealth,
+            isDestroyed: false,
+            basePosition: mesh.position.clone(),
+            collapseProgress: 1, // Runs from 0 to 1 while the segment sinks into rubble
+            tilt: Math.random() < 0.5 ? -1 : 1, // Direction the segment leans as it falls
+            rubble: []
+        });
+    }
+
+    /**
+     * Get the segments of a kind with the direction their outer face points in
+     * @param {string} kind - 'wall' or 'tower'
+     * @returns {Array<{segment: Object, outward: THREE.Vector3}>} Segments and unit outward directions
+     * @private
+     */
+    _getOutwardSegments(kind) {
+        return this.segments
+            .filter(segment => segment.kind === kind)
+            .map(segment => ({
+                segment,
+                outward: new THREE.Vector3(segment.basePosition.x, 0, segment.basePosition.z).normalize()
+            }));
+    }
+
+    /**
+     * Attach an upgrade's piece to a segment, so it falls with it
+     * @param {Object} segment - The wall or tower
+     * @param {THREE.Object3D} piece - The piece, positioned relative to the segment
+     * @private
+     */
+    _attachDecoration(segment, piece) {
+        piece.traverse(child => {
+            if (child.isMesh) {
+                child.castShadow = true;
+                child.receiveShadow = true;
+            }
+        });
+        segment.mesh.add(piece);
+        this.decorations.push(piece);
+    }
+
+    /**
+     * Line the outer edge of the wall tops with merlons
+     * @private
+     */
+    _addCrenellations() {
+        const merlonCount = 7;
+        const geometry = new THREE.BoxGeometry(1.2, 1, 0.4);
+        this.decorationResources.push(geometry);
+
+        this._getOutwardSegments('wall').forEach(({ segment, outward }) => {
+            const alongX = Math.abs(outward.z) > Math.abs(outward.x);
+            for (let i = 0; i < merlonCount; i++) {
+                const along = -this.castleSize / 2 + this.castleSize * (i + 0.5) / merlonCount;
+                const merlon = new THREE.Mesh(geometry, segment.mesh.material);
+                merlon.position.set(
+                    alongX ? along : outward.x * 0.3,
+                    this.wallHeight / 2 + 0.5,
+                    alongX ? outward.z * 0.3 : along
+                );
+                if (!alongX) {
+                    merlon.rotation.y = Math.PI / 2;
+                }
+                this._attachDecoration(segment, merlon);
+            }
+        });
+    }
+
+    /**
+     * Set iron spikes pointing out from the foot of every wall and tower
+     * @private
+     */
+    _addSpikes() {
+        const geometry = new THREE.ConeGeometry(0.15, 1.2, 6);
+        const material = new THREE.MeshStandardMaterial({ color: IRON_COLOR, roughness: 0.4, metalness: 0.8 });
+        this.decorationResources.push(geometry, material);
+
+        const addSpike = (segment, x, z, outward) => {
+            const spike = new THREE.Mesh(geometry, material);
+            // Point outwards and a little up, with the base against the stone
+            const direction = outward.clone().setY(0.3).normalize();
+            spike.quaternion.setFromUnitVectors(UP, direction);
+            spike.position.set(x, -segment.height / 2 + 0.8, z).addScaledVector(direction, 0.6);
+            this._attachDecoration(segment, spike);
+        };
+
+        const spikesPerWall = 12;
+        this._getOutwardSegments('wall').forEach(({ segment, outward }) => {
+            const alongX = Math.abs(outward.z) > Math.abs(outward.x);
+            for (let i = 0; i < spikesPerWall; i++) {
+                const along = -this.castleSize / 2 + this.castleSize * (i + 0.5) / spikesPerWall;
+                addSpike(segment, alongX ? along : outward.x * 0.5, alongX ? outward.z * 0.5 : along, outward);
+            }
+        });
+
+        const spikesPerTower = 8;
+        this._getOutwardSegments('tower').forEach(({ segment }) => {
+            for (let i = 0; i < spikesPerTower; i++) {
+                const angle = (i / spikesPerTower) * Math.PI * 2;
+                const outward = new THREE.Vector3(Math.cos(angle), 0, Math.sin(angle));
+                addSpike(segment, outward.x * 2.4, outward.z * 2.4, outward);
+            }
+        });
+    }
+
+    /**
+     * Set an iron-banded gate into the middle of each wall's outer face
+     * @private
+     */
+    _addGates() {
+        const doorGeometry = new THREE.BoxGeometry(3, 4, 0.3);
+        const bandGeometry = new THREE.BoxGeometry(3.2, 0.3, 0.4);
+        const doorMaterial = new THREE.MeshStandardMaterial({ color: GATE_COLOR, roughness: 0.9, metalness: 0.1 });
+        const bandMaterial = new THREE.MeshStandardMaterial({ color: IRON_COLOR, roughness: 0.4, metalness: 0.8 });
+        this.decorationResources.push(doorGeometry, bandGeometry, doorMaterial, bandMaterial);
+
+        this._getOutwardSegments('wall').forEach(({ segment, outward }) => {
+            const gate = new THREE.Group();
+            gate.add(new THREE.Mesh(doorGeometry, doorMaterial));
+            [-1.2, 0, 1.2].forEach(y => {
+                const band = new THREE.Mesh(bandGeometry, bandMaterial);
+                band.position.y = y;
+                gate.add(band);
+            });
+
+            gate.position.set(outward.x * 0.6, -segment.height / 2 + 2, outward.z * 0.6);
+            if (Math.abs(outward.x) > Math.abs(outward.z)) {
+                gate.rotation.y = Math.PI / 2;
+            }
+            this._attachDecoration(segment, gate);
+        });
+    }
+
+    /**
+     * Wrap the towers in iron bands
+     * @private
+     */
+    _addTowerArmor() {
+        const material = new THREE.MeshStandardMaterial({ color: IRON_COLOR, roughness: 0.3, metalness: 0.9 });
+        this.decorationResources.push(material);
+
+        this._getOutwardSegments('tower').forEach(({ segment }) => {
+            [-5, -1, 3].forEach(y => {
+                // Towers taper from a radius of 2.5 at the foot to 2 at the top
+                const radius = 2.5 - 0.5 * (y + segment.height / 2) / segment.height + 0.08;
+                const geometry = new THREE.CylinderGeometry(radius, radius, 0.6, 8);
+                this.decorationResources.push(geometry);
+
+                const band = new THREE.Mesh(geometry, material);
+                band.position.y = y;
+                this._attachDecoration(segment, band);
+            });
+        });
+    }
+    
+    /**
+     * Create a flight of stone steps along the inside of the west wall, each low
+     * enough to jump onto, leading up to the walkway on top of the wall
+     * @private
+     */
+    _createStairs() {
+        const stepMaterial = new THREE.MeshStandardMaterial({
+            color: this.color,
+            roughness: 0.8,
+            metalness: 0.2
+        });
+        this.stoneMaterials.push(stepMaterial);
+        
+        const stepCount = 10;
+        const stepDepth = 1.2;
+        const stepWidth = 2;
+        // Wall colliders are padded by 0.5, so the walkway top sits half a unit above the wall
+        const walkwayHeight = this.wallHeight + 0.5;
+        const stepRise = walkwayHeight / stepCount;
+        const x = -this.castleSize / 2 + 1 + stepWidth / 2; // Flush against the padded west wall
+        const startZ = stepCount * stepDepth / 2;
+        
+        for (let i = 0; i < stepCount; i++) {
+            const height = stepRise * (i + 1);
+            const stepGeometry = new THREE.BoxGeometry(stepWidth, height, stepDepth);
+            const step = new THREE.Mesh(stepGeometry, stepMaterial);
+            step.position.set(x, height / 2, startZ - stepDepth * (i + 0.5));
+            step.castShadow = true;
+            step.receiveShadow = true;
+            this.group.add(step);
+            
+            // Steps are solid so the player has to jump up each one
+            const stepBox = new THREE.Box3().setFromObject(step);
+            this.collisionBoxes.push(stepBox);
+            this.stairBoxes.push(stepBox);
+        }
+    }
+    
+    /**
+     * Create the keep in the north-east of the courtyard, clear of the stairs and
+     * of the middle where the player respawns
+     * @private
+     */
+    _createKeep() {
+        const keepSize = 4;
+        const keepHeight = 11;
+        const offset = this.castleSize / 4;
+
+        const keepMaterial = new THREE.MeshStandardMaterial({
+            color: this.color,
+            roughness: 0.8,
+            metalness: 0.2
+        });
+        this.stoneMaterials.push(keepMaterial);
+        const keep = new THREE.Mesh(new THREE.BoxGeometry(keepSize, keepHeight, keepSize), keepMaterial);
+        keep.position.set(offset, keepHeight / 2, -offset);
+        keep.castShadow = true;
+        keep.receiveShadow = true;
+        this.group.add(keep);
+
+        // Collider for the walls only, as the roof overhangs them
+        const keepBox = new THREE.Box3().setFromObject(keep);
+        keepBox.expandByScalar(0.5);
+        this.collisionBoxes.push(keepBox);
+        this.keep = { name: 'Keep', mesh: keep, box: keepBox };
+
+        // Four-sided roof, turned to line up with the walls
+        const roofMaterial = new THREE.MeshStandardMaterial({
+            color: this.roofColor,
+            roughness: 0.7,
+            metalness: 0.3
+        });
+        const roof = new THREE.Mesh(new THREE.ConeGeometry(keepSize * 0.75, 3, 4), roofMaterial);
+        roof.position.set(0, keepHeight / 2 + 1.5, 0);
+        roof.rotation.y = Math.PI / 4;
+        keep.add(roof);
     }
     
     /**
@@ -194,6 +730,20 @@ export class CastleWalls {
      * @param {number} deltaTime - Time since last update
      */
     update(deltaTime) {
-        // Add any castle animations or state updates here
+        // Sink collapsing segments into the ground, leaning as they go
+        this.segments.forEach(segment => {
+            if (segment.collapseProgress >= 1) return;
+
+            segment.collapseProgress = Math.min(1, segment.collapseProgress + deltaTime / COLLAPSE_DURATION);
+            const fall = segment.collapseProgress * segment.collapseProgress;
+            segment.mesh.position.y = segment.basePosition.y - (segment.height - RUBBLE_HEIGHT) * fall;
+
+            const lean = 0.15 * fall * segment.tilt;
+            if (segment.kind === 'tower' || segment.id === 'north' || segment.id === 'south') {
+                segment.mesh.rotation.x = lean;
+            } else {
+                segment.mesh.rotation.z = lean;
+            }
+        });
     }
 } 
\ No newline at end of file
@@ -100,6 +100,20 @@ export class Ground {
         return groundGroup;
     }
     
+    /**
+     * Get the height of the ground's top surface
+     * @param {number} x - World X position
+     * @param {number} z - World Z position
+     * @returns {number} Surface height, or -Infinity past the edge of the ground
+     */
+    getHeightAt(x, z) {
+        const halfSize = this.size / 2;
+        if (Math.abs(x) > halfSize || Math.abs(z) > halfSize) {
+            return -Infinity;
+        }
+        return 0;
+    }
+    
     /**
      * Get the ground mesh
      * @returns {THREE.Mesh} The ground mesh
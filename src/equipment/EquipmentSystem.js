@@ -94,6 +94,7 @@ export class EquipmentSystem extends THREE.EventDispatcher {
     equipItem(item, slot) {
         // Store the item in the slot
         this.slots[slot] = item;
+        this.equippedItems.set(slot, item);
 
         // Create a clone of the model for the equipment slot
         try {
@@ -119,6 +120,13 @@ export class EquipmentSystem extends THREE.EventDispatcher {
             if (item.onEquip) {
                 item.onEquip();
             }
+
+            // Dispatch equipped event so the owner can react to the new stats
+            this.dispatchEvent({
+                type: 'itemEquipped',
+                slot: { slotType: attachmentPoint },
+                item: item
+            });
         } catch (error) {
             // Handle any errors during equipping
         }
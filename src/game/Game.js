@@ -10,7 +10,43 @@ import { AudioSystem } from '../systems/audio/AudioSystem';
 import { TreeManager } from '../entities/environment/TreeManager';
 import { WaveManager } from '../systems/wave/WaveManager';
 import { CastleHealthBar } from '../ui/CastleHealthBar';
+import { PlayerHealthBar } from '../ui/PlayerHealthBar';
 import { WaveInfo } from '../ui/WaveInfo';
+import { LaneWarning } from '../ui/LaneWarning';
+import { BossHealthBar } from '../ui/BossHealthBar';
+import { TitleScreen } from '../ui/TitleScreen';
+import { RunSummary } from '../ui/RunSummary';
+import { RunState } from './RunState';
+import { GameLoop } from './GameLoop';
+import { RenderInterpolator } from './RenderInterpolator';
+import { Scheduler } from './Scheduler';
+import { NavigationGrid } from '../systems/navigation/NavigationGrid';
+import { PhysicsWorld } from '../systems/physics/PhysicsWorld';
+import { assetManager } from '../systems/assets/AssetManager';
+import { LoadingScreen } from '../ui/LoadingScreen';
+import { LeakMonitor } from '../systems/debug/LeakMonitor';
+import { CastleRepair } from '../systems/castle/CastleRepair';
+import { RepairIndicator } from '../ui/RepairIndicator';
+import { CastleUpgrades } from '../systems/castle/CastleUpgrades';
+import { UpgradeShop } from '../ui/UpgradeShop';
+
+// Simulation speed while fast-forwarding between waves
+const FAST_FORWARD_SCALE = 3;
+
+// Assets loaded behind the loading screen so the first wave doesn't stall on them
+const PRELOAD_ASSETS = {
+    models: [
+        '/models/npc/goblin.glb',
+        '/models/weapons/ironSword.glb'
+    ],
+    audio: ['/music/slash.mp3']
+};
+
+// Background music played outside boss fights
+const MAIN_THEME = '/music/main_theme.mp3';
+
+// Music played while a boss without its own track is alive
+const BOSS_THEME = '/music/boss_theme.mp3';
 
 export class Game {
     constructor() {
@@ -23,8 +59,11 @@ export class Game {
         this.items = [];
         this.controls = null;
         this.clock = new THREE.Clock();
-        this.lastTime = 0;
-        this.deltaTime = 0;
+        this.gameLoop = new GameLoop({ fixedTimeStep: 1 / 60 });
+        this.interpolator = new RenderInterpolator();
+        // Gameplay timers, advanced by simulation steps so they freeze while paused
+        this.scheduler = new Scheduler();
+        this.isFastForwarding = false;
         this.castle = null;
         this.crosshair = null;
         this.settings = null;
@@ -34,10 +73,27 @@ export class Game {
         this.treeManager = null;
         this.waveManager = null;
         this.castleHealthBar = null;
+        this.playerHealthBar = null;
         this.waveInfo = null;
+        this.laneWarning = null;
+        this.bossHealthBar = null;
+        this.castleRepair = null;
+        this.repairIndicator = null;
+        this.castleUpgrades = null;
+        this.upgradeShop = null;
+        this.navigation = null;
+        this.physics = null;
+        this.titleScreen = null;
+        this.runSummary = null;
+        this.loadingScreen = null;
+        this.leakMonitor = null;
+        this.gameMode = null;
+        this.runState = new RunState();
+        this.playerSpawnPosition = new THREE.Vector3(0, 0, 30);
         
         // Initialize audio system
         this.audioSystem = new AudioSystem();
+        this.musicTrack = MAIN_THEME; // Track to play, switched during boss fights
         
         // Bind methods to preserve 'this' context
         this.onKeyDown = this.onKeyDown.bind(this);
@@ -47,6 +103,20 @@ export class Game {
         this.update = this.update.bind(this);
         this.render = this.render.bind(this);
         this.onUserInteraction = this.onUserInteraction.bind(this);
+        this.startRun = this.startRun.bind(this);
+        this.restart = this.restart.bind(this);
+        this.returnToTitle = this.returnToTitle.bind(this);
+        this.onVictory = this.onVictory.bind(this);
+        this.onGameOver = this.onGameOver.bind(this);
+        this.onWaveStarted = this.onWaveStarted.bind(this);
+        this.onPlayerBlocked = this.onPlayerBlocked.bind(this);
+        this.onSpawnLaneActivated = this.onSpawnLaneActivated.bind(this);
+        this.onBossSpawned = this.onBossSpawned.bind(this);
+        this.onBossPhaseChanged = this.onBossPhaseChanged.bind(this);
+        this.onBossDefeated = this.onBossDefeated.bind(this);
+        this.onCastleSegmentDestroyed = this.onCastleSegmentDestroyed.bind(this);
+        this.onPlayerDamaged = this.onPlayerDamaged.bind(this);
+        this.fixedUpdate = this.fixedUpdate.bind(this);
 
         // Add user interaction listener
         window.addEventListener('click', this.onUserInteraction);
@@ -71,6 +141,14 @@ export class Game {
             // Set game instance on window object
             window.game = this;
             console.log('Game: Set game instance on window object');
+
+            // Load shared models and sounds behind the loading screen
+            this.loadingScreen = new LoadingScreen('/splash.jpg');
+            this.loadingScreen.show();
+            const onProgress = event => this.loadingScreen.setProgress(event.loaded, event.total);
+            assetManager.addEventListener('progress', onProgress);
+            await assetManager.preload(PRELOAD_ASSETS);
+            assetManager.removeEventListener('progress', onProgress);
             
             // Initialize settings first
             this.settings = new PlayerSettings();
@@ -107,27 +185,74 @@ export class Game {
             // Initialize castle health bar
             this.castleHealthBar = new CastleHealthBar(this.castle);
 
+            // Initialize navigation grid used for enemy pathfinding
+            this.navigation = new NavigationGrid({
+                bounds: { minX: -100, maxX: 100, minZ: -100, maxZ: 100 },
+                cellSize: 2,
+                agentRadius: 0.6
+            });
+            this.navigation.addObstacleSource(this.castle);
+
+            // Initialize physics world with static bodies for the ground and castle
+            this.physics = new PhysicsWorld({ gravity: 9.82 });
+            this.physics.setGround(this.scene.getGround());
+            this.physics.addStaticSource(this.castle, box => this.castle.getColliderKind(box));
+
             // Initialize wave manager
             console.log('Game: Creating wave manager');
-            this.waveManager = new WaveManager(this.scene.getScene(), this.castle);
+            this.waveManager = new WaveManager(this.scene.getScene(), this.castle, {
+                runState: this.runState,
+                navigation: this.navigation,
+                physics: this.physics,
+                settings: this.settings,
+                scheduler: this.scheduler
+            });
+            await this.waveManager.loadCampaign();
             console.log('Game: Wave manager created');
 
+            // Check renderer memory stays flat from wave to wave
+            this.leakMonitor = new LeakMonitor(this.renderer, {
+                getExtraStats: () => ({
+                    corpses: this.waveManager.dyingGoblins.length,
+                    ...this.waveManager.goblinPool.getStats()
+                })
+            });
+
             // Initialize wave info UI
-            this.waveInfo = new WaveInfo(this.waveManager);
+            this.waveInfo = new WaveInfo(this.waveManager, this.settings);
+
+            // Arrows pointing at lanes enemies are about to come down
+            this.laneWarning = new LaneWarning();
+
+            // Health bar across the top of the screen during boss fights
+            this.bossHealthBar = new BossHealthBar();
 
             // Initialize player
             console.log('Game: Creating player');
             this.player = new Player();
             console.log('Game: Player created:', this.player);
             this.player.setGame(this); // Set game instance on player
+            this.waveManager.setPlayer(this.player);
+            this.physics.addKinematicBody(this.player, { kind: 'player', radius: 0.5, isPlayer: true });
             this.player.mesh.castShadow = true;
             this.player.mesh.receiveShadow = true;
             
             // Position player outside the castle
-            this.player.mesh.position.set(0, 0, 30); // 30 units away from castle center
+            this.player.mesh.position.copy(this.playerSpawnPosition); // 30 units away from castle center
             this.scene.add(this.player.mesh);
             console.log('Game: Player added to scene');
 
+            // Initialize player health bar
+            this.playerHealthBar = new PlayerHealthBar(this.player);
+
+            // Let the player repair the castle with gold
+            this.castleRepair = new CastleRepair(this.castle, this.player);
+            this.repairIndicator = new RepairIndicator(this.castleRepair);
+
+            // Upgrades for the castle, bought between waves
+            this.castleUpgrades = new CastleUpgrades(this.castle, this.player, this.runState);
+            this.upgradeShop = new UpgradeShop(this.castleUpgrades, this.settings);
+
             // Initialize crosshair
             this.crosshair = new Crosshair({
                 size: 20,
@@ -159,6 +284,13 @@ export class Game {
                 minDistanceBetweenTrees: 5
             });
             await this.treeManager.init();
+            this.navigation.addObstacleSource(this.treeManager);
+
+            // The player collides with and can stand on the castle and trees
+            this.player.cameraController.setGround(this.scene.getGround());
+            this.player.cameraController.addColliderSource(this.castle);
+            this.player.cameraController.addColliderSource(this.treeManager);
+            this.physics.addStaticSource(this.treeManager, 'tree');
             
             // Initialize game menu
             this.gameMenu = new GameMenu(this);
@@ -167,35 +299,272 @@ export class Game {
             // Add event listeners
             window.addEventListener('resize', this.onWindowResize);
             window.addEventListener('keydown', this.onKeyDown);
+            window.addEventListener('gameVictory', this.onVictory);
+            window.addEventListener('gameOver', this.onGameOver);
+            window.addEventListener('waveStarted', this.onWaveStarted);
+            window.addEventListener('playerBlocked', this.onPlayerBlocked);
+            window.addEventListener('spawnLaneActivated', this.onSpawnLaneActivated);
+            window.addEventListener('bossSpawned', this.onBossSpawned);
+            window.addEventListener('bossPhaseChanged', this.onBossPhaseChanged);
+            window.addEventListener('bossDefeated', this.onBossDefeated);
+            window.addEventListener('castleSegmentDestroyed', this.onCastleSegmentDestroyed);
+            window.addEventListener('playerDamaged', this.onPlayerDamaged);
 
             // Start background music
-            this.audioSystem.playMusic('/music/main_theme.mp3', 0.5, true);
+            this.audioSystem.playMusic(this.musicTrack, 0.5, true);
+
+            // Let the player pick a game mode before the first wave
+            this.titleScreen = new TitleScreen(this.startRun);
+            this.titleScreen.show(this.waveManager.getBestWave());
 
-            // Start the first wave
-            console.log('Game: Starting first wave');
-            this.waveManager.startWave();
-            console.log('Game: First wave started');
+            // End-of-run summary shown on victory or defeat
+            this.runSummary = new RunSummary({
+                onRestart: this.restart,
+                onTitle: this.returnToTitle
+            });
 
             // Mark as initialized
             this.isInitialized = true;
+            this.loadingScreen.remove();
+            this.loadingScreen = null;
             
             console.log('=== Game: Initialization Complete ===');
         } catch (error) {
             console.error('Error during game initialization:', error);
+            if (this.loadingScreen) {
+                this.loadingScreen.setStatus('Failed to load the game');
+            }
             throw error;
         }
     }
 
+    /**
+     * Start a run in the chosen game mode
+     * @param {string} mode - 'campaign' or 'endless'
+     */
+    startRun(mode) {
+        console.log(`Game: Starting ${mode} run`);
+        this.gameMode = mode;
+        this.runState.start(mode);
+        this.waveManager.setMode(mode);
+        this.waveManager.startWave();
+
+        if (!document.pointerLockElement) {
+            document.body.requestPointerLock();
+        }
+    }
+
+    /**
+     * Reset the castle, enemies and player so a new run can begin.
+     * Everything is reset in place so no scene objects or listeners are recreated.
+     */
+    resetRun() {
+        this.waveManager.reset();
+        this.castle.reset();
+        this.refreshCastleColliders();
+        this.player.reset(this.playerSpawnPosition);
+        this.castleRepair.reset();
+        this.runState.reset();
+        this.interpolator.clear();
+        this.laneWarning.clear();
+        this.bossHealthBar.hide();
+        this.setMusicTrack(MAIN_THEME);
+        this.setFastForward(false);
+
+        this.runSummary.hide();
+        if (this.isPaused) {
+            this.resumeGame();
+        }
+    }
+
+    /**
+     * Start the current game mode again from wave 1 without reloading the page
+     */
+    restart() {
+        console.log('Game: Restarting run');
+        const mode = this.gameMode || 'campaign';
+        this.resetRun();
+        this.startRun(mode);
+    }
+
+    /**
+     * End the current run and go back to the title screen
+     */
+    returnToTitle() {
+        this.resetRun();
+        this.gameMode = null;
+        this.titleScreen.show(this.waveManager.getBestWave());
+    }
+
+    onWaveStarted(event) {
+        this.setFastForward(false);
+        this.leakMonitor.sample(`Wave ${event.detail.wave}`);
+    }
+
+    onSpawnLaneActivated(event) {
+        this.laneWarning.show(event.detail.lane);
+    }
+
+    onCastleSegmentDestroyed(event) {
+        console.log(`Game: ${event.detail.segment.name} destroyed, opening a breach`);
+        this.refreshCastleColliders();
+    }
+
+    /**
+     * Rebuild the castle's navigation obstacles and physics bodies after walls
+     * fell or were rebuilt
+     */
+    refreshCastleColliders() {
+        this.navigation.invalidate();
+        this.physics.addStaticSource(this.castle, box => this.castle.getColliderKind(box));
+    }
+
+    onBossSpawned(event) {
+        this.bossHealthBar.show(event.detail.boss);
+        this.setMusicTrack(event.detail.music || BOSS_THEME);
+    }
+
+    onBossPhaseChanged() {
+        this.bossHealthBar.flashPhase();
+    }
+
+    onBossDefeated(event) {
+        if (this.bossHealthBar.boss !== event.detail.boss) return;
+        this.bossHealthBar.hide();
+        this.setMusicTrack(MAIN_THEME);
+    }
+
+    /**
+     * Switch the background music, e.g. for a boss fight
+     * @param {string} track - Path to the music file
+     */
+    setMusicTrack(track) {
+        if (track === this.musicTrack) return;
+        this.musicTrack = track;
+
+        // Paused games stay quiet; the track starts when the game resumes
+        if (!this.isPaused) {
+            this.audioSystem.playMusic(track, 0.5, true);
+        }
+    }
+
+    onPlayerBlocked(event) {
+        // Linger on perfect blocks so the stagger reads
+        if (event.detail.isPerfect) {
+            this.gameLoop.slowMotion(0.3, 0.4);
+        }
+    }
+
+    onPlayerDamaged() {
+        // Getting hit knocks the player off the repair they were making
+        this.castleRepair.interrupt();
+    }
+
+    /**
+     * Whether castle upgrades can be bought: only while waiting for the next wave
+     * @returns {boolean} Whether the upgrade shop is open
+     */
+    canBuyUpgrades() {
+        return this.runState.isActive && this.waveManager.getIntermissionRemaining() !== null;
+    }
+
+    /**
+     * Whether the game can be sped up: only during a run, between waves
+     * @returns {boolean} Whether fast-forward is available
+     */
+    canFastForward() {
+        return this.runState.isActive && !this.waveManager.isWaveInProgress;
+    }
+
+    /**
+     * Speed up or restore the simulation
+     * @param {boolean} enabled - Whether to fast-forward
+     */
+    setFastForward(enabled) {
+        this.isFastForwarding = enabled && this.canFastForward();
+        this.gameLoop.setTimeScale(this.isFastForwarding ? FAST_FORWARD_SCALE : 1);
+    }
+
+    onVictory() {
+        this.runState.end();
+        const segments = this.castle.getSegments();
+
+        this.runSummary.show('Victory!', [
+            { label: 'Waves Cleared', value: this.runState.wavesCleared },
+            { label: 'Goblins Slain', value: this.runState.kills },
+            { label: 'Score', value: this.runState.score },
+            { label: 'Early Start Bonus', value: this.runState.earlyStartBonus },
+            {
+                label: 'Castle Health',
+                value: `${Math.round(this.castle.getHealth())} / ${this.castle.getMaxHealth()}`
+            },
+            {
+                label: 'Walls Standing',
+                value: `${segments.filter(segment => !segment.isDestroyed).length} / ${segments.length}`
+            },
+            { label: 'Upgrades Bought', value: this.runState.upgrades.length },
+            { label: 'Time', value: this.runState.getFormattedTime() }
+        ]);
+    }
+
+    onGameOver() {
+        this.runState.end();
+
+        this.runSummary.show('Defeat', [
+            { label: 'Waves Cleared', value: this.runState.wavesCleared },
+            { label: 'Goblins Slain', value: this.runState.kills },
+            { label: 'Score', value: this.runState.score },
+            { label: 'Upgrades Bought', value: this.runState.upgrades.length },
+            { label: 'Time', value: this.runState.getFormattedTime() }
+        ]);
+    }
+
+    /**
+     * Advance the simulation by as many fixed steps as the frame time allows
+     * @param {number} currentTime - Frame timestamp in milliseconds
+     */
     update(currentTime) {
-        if (!this.isInitialized || this.isPaused) return;
+        if (!this.isInitialized) return;
 
-        // Calculate delta time
-        const deltaTime = (currentTime - this.lastTime) / 1000;
-        this.lastTime = currentTime;
+        // The clock restarts on resume, so time spent paused isn't simulated
+        if (this.isPaused) {
+            this.gameLoop.resetTime();
+            return;
+        }
+
+        // Stop fast-forwarding once the next wave is underway or the run ends
+        if (this.isFastForwarding && !this.canFastForward()) {
+            this.setFastForward(false);
+        }
+
+        this.gameLoop.advance(currentTime, this.fixedUpdate);
+    }
+
+    /**
+     * Run one simulation step
+     * @param {number} deltaTime - Fixed step length in seconds, already time scaled
+     */
+    fixedUpdate(deltaTime) {
+        // Record transforms so rendering can interpolate across this step
+        this.interpolator.snapshot([
+            this.player.mesh,
+            ...this.waveManager.activeGoblins.map(goblin => goblin.mesh)
+        ]);
+
+        // Run gameplay timers that came due during this step
+        this.scheduler.update(deltaTime);
 
         // Update game state
-        this.castle.update();
+        this.runState.update(deltaTime);
+        this.castle.update(deltaTime);
         this.player.update(deltaTime);
+
+        // Repairs can only be made during a run
+        if (this.runState.isActive) {
+            this.castleRepair.update(deltaTime);
+        } else {
+            this.castleRepair.reset();
+        }
         
         // Update wave manager
         if (this.waveManager) {
@@ -210,19 +579,46 @@ export class Game {
                 }
             }
         }
+
+        // Step physics once everything has moved so contacts match this frame
+        if (this.physics) {
+            this.physics.step(deltaTime);
+        }
         
         // Update castle health bar
         if (this.castleHealthBar) {
             this.castleHealthBar.update();
         }
 
+        // Update player health bar
+        if (this.playerHealthBar) {
+            this.playerHealthBar.update();
+        }
+
         // Update wave info
         if (this.waveInfo) {
-            this.waveInfo.update();
+            this.waveInfo.update(this.isFastForwarding);
+        }
+
+        // Fade out lane warnings
+        if (this.laneWarning) {
+            this.laneWarning.update(deltaTime);
         }
 
-        // Call render after all updates are done
-        this.render();
+        // Update boss health bar
+        if (this.bossHealthBar) {
+            this.bossHealthBar.update(deltaTime);
+        }
+
+        // Update repair prompt
+        if (this.repairIndicator) {
+            this.repairIndicator.update();
+        }
+
+        // Update upgrade shop
+        if (this.upgradeShop) {
+            this.upgradeShop.update(this.canBuyUpgrades());
+        }
     }
 
     render() {
@@ -234,9 +630,17 @@ export class Game {
         // Use the player's camera for rendering
         const camera = this.player.getCamera();
         
-        // Only render if we have both scene and camera
+        // Only render if we have both scene and camera, drawing moving objects
+        // between their last two simulated positions
         if (threeScene && camera) {
+            this.interpolator.apply(this.gameLoop.alpha);
             this.renderer.render(threeScene, camera);
+
+            // Point lane warnings from the view just drawn
+            if (this.laneWarning) {
+                this.laneWarning.updateArrows(camera);
+            }
+            this.interpolator.restore();
         }
         
         // Update menu if needed
@@ -246,7 +650,20 @@ export class Game {
     }
 
     onKeyDown(event) {
-        if (event.code === 'Escape') {
+        const action = this.settings.getKeyAction(event);
+        const upgradeSlot = this.settings.getUpgradeSlot(action);
+        if (action === 'FAST_FORWARD' && !this.isPaused) {
+            this.setFastForward(!this.isFastForwarding);
+        } else if (action === 'START_WAVE' && !this.isPaused && this.runState.isActive) {
+            // Skip the rest of the intermission for a score bonus
+            this.waveManager.startNextWaveEarly();
+        } else if (upgradeSlot !== null && !this.isPaused && this.canBuyUpgrades()) {
+            // Buy the castle upgrade listed under the key pressed
+            const upgrade = this.castleUpgrades.getUpgrades()[upgradeSlot - 1];
+            if (upgrade) {
+                this.castleUpgrades.purchase(upgrade.id);
+            }
+        } else if (event.code === 'Escape') {
             if (this.gameMenu.isVisible) {
                 // If we're in a submenu, go back to main menu
                 if (this.gameMenu.currentMenuSection !== 'main') {
@@ -263,6 +680,7 @@ export class Game {
     
     pauseGame() {
         this.isPaused = true;
+        this.scheduler.pause();
         this.gameMenu.show();
         this.audioSystem.stopMusic();
         
@@ -274,8 +692,9 @@ export class Game {
     
     resumeGame() {
         this.isPaused = false;
+        this.scheduler.resume();
         this.gameMenu.hide();
-        this.audioSystem.playMusic('/music/main_theme.mp3', 0.5, true);
+        this.audioSystem.playMusic(this.musicTrack, 0.5, true);
         
         // Acquire pointer lock when resumed
         if (!document.pointerLockElement) {
@@ -0,0 +1,104 @@
+// Longest frame the simulation catches up on, so a stall or a background tab
+// doesn't replay seconds of gameplay at once
+const MAX_FRAME_TIME = 0.25;
+const MAX_TIME_SCALE = 8;
+
+/**
+ * Fixed-timestep clock for the simulation.
+ *
+ * Real frame time is clamped, multiplied by the time scale and accumulated, then
+ * spent in whole steps of fixedTimeStep. Whatever is left over is exposed as
+ * alpha, the fraction of a step the renderer should interpolate by.
+ */
+export class GameLoop {
+    /**
+     * @param {Object} config - Loop options
+     * @param {number} config.fixedTimeStep - Length of a simulation step in seconds
+     * @param {number} config.maxStepsPerFrame - Most steps run in one frame before dropping time
+     */
+    constructor(config = {}) {
+        this.fixedTimeStep = config.fixedTimeStep || 1 / 60;
+        this.maxStepsPerFrame = config.maxStepsPerFrame || 8;
+
+        this.timeScale = 1;
+        this.slowMotionScale = 1;
+        this.slowMotionRemaining = 0;
+
+        this.lastTime = null;
+        this.accumulator = 0;
+        this.alpha = 0;
+
+        // Simulated seconds since the loop started, affected by the time scale
+        this.time = 0;
+    }
+
+    /**
+     * Set the base speed of the simulation, e.g. 3 to fast-forward
+     * @param {number} scale - Simulated seconds per real second
+     */
+    setTimeScale(scale) {
+        this.timeScale = Math.max(0, Math.min(MAX_TIME_SCALE, scale));
+    }
+
+    /**
+     * Slow the simulation down for a moment, on top of the base time scale
+     * @param {number} scale - Speed while slowed, e.g. 0.3
+     * @param {number} duration - How long the effect lasts in real seconds
+     */
+    slowMotion(scale, duration) {
+        this.slowMotionScale = scale;
+        this.slowMotionRemaining = duration;
+    }
+
+    /**
+     * Get the speed the simulation is currently running at
+     * @returns {number} Simulated seconds per real second
+     */
+    getTimeScale() {
+        const slowMotion = this.slowMotionRemaining > 0 ? this.slowMotionScale : 1;
+        return this.timeScale * slowMotion;
+    }
+
+    /**
+     * Forget the last frame time, so the next frame doesn't see the time spent
+     * paused or in a background tab as one long frame
+     */
+    resetTime() {
+        this.lastTime = null;
+    }
+
+    /**
+     * Run as many fixed steps as the time since the last frame allows
+     * @param {number} currentTime - Frame timestamp in milliseconds
+     * @param {Function} step - Called with the fixed step length for every step
+     * @returns {number} Number of steps run
+     */
+    advance(currentTime, step) {
+        if (this.lastTime === null) {
+            this.lastTime = currentTime;
+            return 0;
+        }
+
+        const frameTime = Math.min(Math.max(0, (currentTime - this.lastTime) / 1000), MAX_FRAME_TIME);
+        this.lastTime = currentTime;
+
+        this.accumulator += frameTime * this.getTimeScale();
+        this.slowMotionRemaining = Math.max(0, this.slowMotionRemaining - frameTime);
+
+        let steps = 0;
+        while (this.accumulator >= this.fixedTimeStep && steps < this.maxStepsPerFrame) {
+            step(this.fixedTimeStep);
+            this.accumulator -= this.fixedTimeStep;
+            this.time += this.fixedTimeStep;
+            steps++;
+        }
+
+        // Too far behind to catch up, so drop the backlog rather than spiral
+        if (this.accumulator >= this.fixedTimeStep) {
+            this.accumulator %= this.fixedTimeStep;
+        }
+
+        this.alpha = this.accumulator / this.fixedTimeStep;
+        return steps;
+    }
+}
@@ -0,0 +1,63 @@
+/**
+ * Smooths motion between fixed simulation steps. Before each step the transforms
+ * of moving objects are recorded; when rendering, each object is placed between
+ * that record and its current transform, then put back once the frame is drawn.
+ */
+export class RenderInterpolator {
+    constructor() {
+        // Transform of each object before the latest simulation step
+        this.previous = new Map();
+        // Current transforms held while objects are drawn at their interpolated ones
+        this.current = new Map();
+    }
+
+    /**
+     * Record where objects are before a simulation step
+     * @param {THREE.Object3D[]} objects - Objects to interpolate
+     */
+    snapshot(objects) {
+        this.previous.clear();
+        objects.forEach(object => {
+            if (!object) return;
+            this.previous.set(object, {
+                position: object.position.clone(),
+                quaternion: object.quaternion.clone()
+            });
+        });
+    }
+
+    /**
+     * Move recorded objects part of the way from their previous transform to their current one
+     * @param {number} alpha - Fraction of a step between the previous and current transforms (0-1)
+     */
+    apply(alpha) {
+        this.previous.forEach((previous, object) => {
+            const current = {
+                position: object.position.clone(),
+                quaternion: object.quaternion.clone()
+            };
+            this.current.set(object, current);
+            object.position.lerpVectors(previous.position, current.position, alpha);
+            object.quaternion.slerpQuaternions(previous.quaternion, current.quaternion, alpha);
+        });
+    }
+
+    /**
+     * Put objects back at their simulated transforms after rendering
+     */
+    restore() {
+        this.current.forEach((current, object) => {
+            object.position.copy(current.position);
+            object.quaternion.copy(current.quaternion);
+        });
+        this.current.clear();
+    }
+
+    /**
+     * Forget recorded transforms, e.g. after teleporting objects
+     */
+    clear() {
+        this.previous.clear();
+        this.current.clear();
+    }
+}
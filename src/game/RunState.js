@@ -0,0 +1,109 @@
+// Points awarded for each goblin slain and each wave cleared
+const KILL_POINTS = 10;
+const WAVE_POINTS = 100;
+
+// Points for every second of intermission skipped by starting the next wave early
+const EARLY_START_POINTS_PER_SECOND = 10;
+
+/**
+ * Tracks the state of a single run from mode selection until victory or defeat
+ */
+export class RunState {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Clear all run statistics
+     * @param {string|null} mode - Game mode of the new run
+     */
+    reset(mode = null) {
+        this.mode = mode;
+        this.isActive = false;
+        this.elapsedTime = 0;
+        this.kills = 0;
+        this.wavesCleared = 0;
+        this.score = 0;
+        this.earlyStartBonus = 0;
+        this.upgrades = []; // Ids of castle upgrades bought, in order
+    }
+
+    /**
+     * Begin a new run
+     * @param {string} mode - 'campaign' or 'endless'
+     */
+    start(mode) {
+        this.reset(mode);
+        this.isActive = true;
+    }
+
+    /**
+     * Stop the run clock
+     */
+    end() {
+        this.isActive = false;
+    }
+
+    /**
+     * Advance the run clock
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        if (this.isActive) {
+            this.elapsedTime += deltaTime;
+        }
+    }
+
+    recordKill() {
+        this.kills++;
+        this.score += KILL_POINTS;
+    }
+
+    recordWaveCleared() {
+        this.wavesCleared++;
+        this.score += WAVE_POINTS;
+    }
+
+    /**
+     * @param {string} upgradeId - Id of the castle upgrade bought
+     */
+    recordUpgrade(upgradeId) {
+        this.upgrades.push(upgradeId);
+    }
+
+    hasUpgrade(upgradeId) {
+        return this.upgrades.includes(upgradeId);
+    }
+
+    /**
+     * Award the bonus for starting a wave before the intermission ran out
+     * @param {number} secondsSkipped - Intermission time that was left
+     * @returns {number} Points awarded
+     */
+    recordEarlyStart(secondsSkipped) {
+        const bonus = this.getEarlyStartBonus(secondsSkipped);
+        this.earlyStartBonus += bonus;
+        this.score += bonus;
+        return bonus;
+    }
+
+    /**
+     * Get the bonus starting the next wave now would award
+     * @param {number} secondsRemaining - Intermission time left
+     * @returns {number} Points that would be awarded
+     */
+    getEarlyStartBonus(secondsRemaining) {
+        return Math.ceil(secondsRemaining) * EARLY_START_POINTS_PER_SECOND;
+    }
+
+    /**
+     * Get the run duration formatted as m:ss
+     * @returns {string} Formatted run time
+     */
+    getFormattedTime() {
+        const totalSeconds = Math.floor(this.elapsedTime);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+    }
+}
@@ -0,0 +1,131 @@
+/**
+ * Runs delayed callbacks on simulation time instead of wall-clock time.
+ *
+ * The game advances the scheduler once per simulation step, so tasks freeze while
+ * the game is paused and speed up or slow down with the game's time scale. Tasks
+ * can be tagged with an owner, e.g. a goblin or the wave manager, so everything an
+ * owner scheduled can be cancelled at once when it is removed or the run restarts.
+ */
+export class Scheduler {
+    constructor() {
+        // Simulated seconds since the scheduler was created
+        this.time = 0;
+        this.timeScale = 1;
+        this.isPaused = false;
+
+        this.tasks = new Map();
+        this.nextTaskId = 1;
+    }
+
+    /**
+     * Get the current simulation time
+     * @returns {number} Simulated seconds since the scheduler was created
+     */
+    now() {
+        return this.time;
+    }
+
+    /**
+     * Advance the clock and run every task that has come due, earliest first
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        if (this.isPaused) return;
+
+        this.time += deltaTime * this.timeScale;
+
+        const due = [...this.tasks.values()]
+            .filter(task => task.dueTime <= this.time)
+            .sort((a, b) => a.dueTime - b.dueTime || a.id - b.id);
+
+        due.forEach(task => {
+            // An earlier callback may have cancelled this one
+            if (!this.tasks.has(task.id)) return;
+
+            this.tasks.delete(task.id);
+            task.callback();
+        });
+    }
+
+    /**
+     * Run a callback after a delay of simulation time
+     * @param {number} delay - Delay in seconds
+     * @param {Function} callback - Function to run
+     * @param {Object} owner - Optional owner, for cancelling with cancelOwner()
+     * @returns {number} Task id, for cancel() and getRemaining()
+     */
+    schedule(delay, callback, owner = null) {
+        const id = this.nextTaskId++;
+        this.tasks.set(id, {
+            id,
+            dueTime: this.time + Math.max(0, delay),
+            callback,
+            owner,
+            onCancel: null
+        });
+        return id;
+    }
+
+    /**
+     * Wait for a delay of simulation time
+     * @param {number} delay - Delay in seconds
+     * @param {Object} owner - Optional owner, for cancelling with cancelOwner()
+     * @returns {Promise<boolean>} Resolves true once the delay has passed, or false if cancelled
+     */
+    wait(delay, owner = null) {
+        return new Promise(resolve => {
+            const id = this.schedule(delay, () => resolve(true), owner);
+            this.tasks.get(id).onCancel = () => resolve(false);
+        });
+    }
+
+    /**
+     * Cancel a pending task
+     * @param {number} id - Task id returned by schedule()
+     */
+    cancel(id) {
+        const task = this.tasks.get(id);
+        if (!task) return;
+
+        this.tasks.delete(id);
+        if (task.onCancel) {
+            task.onCancel();
+        }
+    }
+
+    /**
+     * Cancel every pending task of an owner
+     * @param {Object} owner - Owner passed to schedule() or wait()
+     */
+    cancelOwner(owner) {
+        [...this.tasks.values()]
+            .filter(task => task.owner === owner)
+            .forEach(task => this.cancel(task.id));
+    }
+
+    /**
+     * Get how long until a task runs
+     * @param {number} id - Task id returned by schedule()
+     * @returns {number|null} Simulated seconds left, or null if the task isn't pending
+     */
+    getRemaining(id) {
+        const task = this.tasks.get(id);
+        return task ? Math.max(0, task.dueTime - this.time) : null;
+    }
+
+    /**
+     * Set how fast scheduled time runs relative to the simulation
+     * @param {number} scale - Scheduler seconds per simulated second
+     */
+    setTimeScale(scale) {
+        this.timeScale = Math.max(0, scale);
+    }
+
+    pause() {
+        this.isPaused = true;
+    }
+
+    resume() {
+        this.isPaused = false;
+    }
+}
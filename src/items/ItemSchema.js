@@ -100,6 +100,14 @@ export class ItemSchema extends THREE.EventDispatcher {
         return this.stats[statName] || 0;
     }
     
+    /**
+     * Get the fraction of blocked damage this item absorbs
+     * @returns {number} Block strength from 0 (no protection) to 1 (blocks everything)
+     */
+    getBlockStrength() {
+        return THREE.MathUtils.clamp(this.getStat('blockStrength'), 0, 1);
+    }
+    
     /**
      * Check if the item has a specific tag
      * @param {string} tag - The tag to check
@@ -1,8 +1,8 @@
 import { ItemSchema } from '../ItemSchema';
 import { SwordAnimation } from './weaponAnimations/SwordAnimation';
+import { BlockAnimation } from './weaponAnimations/BlockAnimation';
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
-import { AudioLoader } from 'three';
+import { assetManager } from '../../systems/assets/AssetManager';
 
 export class WoodenSword extends ItemSchema {
     constructor() {
@@ -37,6 +37,10 @@ export class WoodenSword extends ItemSchema {
                 attackSpeed: 1.2, // Slightly faster than average
                 criticalChance: 0.02, // 2% crit chance
                 criticalDamage: 1.5, // 150% crit damage
+                knockback: 6, // Push speed of critical and killing blows
+
+                // Defensive stats
+                blockStrength: 0.5, // Blocks absorb 50% of frontal damage
 
                 // Attribute bonuses
                 strength: 1,
@@ -60,15 +64,24 @@ export class WoodenSword extends ItemSchema {
         this.woodenType = 'Oak';
         this.trainingWeapon = true;
         
+        // Swing hit volume: an arc in front of the camera swept from right to left
+        this.swingArc = THREE.MathUtils.degToRad(120);
+        this.enemyHitRadius = 0.5; // Lets the edge of the blade clip an enemy's body
+
+        // Enemies the current swing has reached, and those waiting for the damage frame
+        this.swingTargets = new Set();
+        this.pendingHits = [];
+        this.damageFrameReached = false;
+
         // Initialize animation system
         this.attackAnimation = new SwordAnimation();
+        this.blockAnimation = new BlockAnimation();
         this.equippedModel = null;
         
         // Initialize model as a Promise
         this.model = this.createModel();
 
         // Initialize audio
-        this.audioLoader = new AudioLoader();
         this.slashSound = null;
         this.loadSlashSound();
     }
@@ -90,7 +103,11 @@ export class WoodenSword extends ItemSchema {
 
     // Load the slash sound
     loadSlashSound() {
-        this.audioLoader.load('/music/slash.mp3', (buffer) => {
+        assetManager.loadAudio('/music/slash.mp3').then((buffer) => {
+            if (!buffer) {
+                return;
+            }
+
             this.slashSound = new THREE.Audio(new THREE.AudioListener());
             this.slashSound.setBuffer(buffer);
             this.slashSound.setVolume(0.5);
@@ -111,34 +128,106 @@ export class WoodenSword extends ItemSchema {
         this.playAnimation();
     }
 
-    checkForEnemiesInRange() {
+    /**
+     * Collect enemies inside the part of the swing arc swept so far. Each enemy is
+     * only reached once per swing; hits before the damage frame wait for it to land.
+     * @param {number} sweepProgress - How much of the arc has been swept (0-1)
+     */
+    sweepSwingArc(sweepProgress) {
         const enemies = this.getEnemiesInScene();
 
-        // Get the player (owner) of the sword
-        const player = this.getOwner();
-        if (!player || !player.camera) {
-            return;
-        }
-
-        // Get current camera world position
-        const cameraPosition = new THREE.Vector3();
-        player.camera.getWorldPosition(cameraPosition);
-
         enemies.forEach(enemy => {
-            if (!enemy.mesh) {
+            if (this.swingTargets.has(enemy) || !this.isInSwingArc(enemy, sweepProgress)) {
                 return;
             }
 
-            const enemyPosition = enemy.mesh.position.clone();
-            const distance = this.getDistanceToEnemy(enemy);
-            
-            if (distance <= this.range) {
-                const damage = this.calculateDamage();
-                enemy.takeDamage(damage);
+            this.swingTargets.add(enemy);
+            if (this.damageFrameReached) {
+                this.applyHit(enemy);
+            } else {
+                this.pendingHits.push(enemy);
             }
         });
     }
 
+    /**
+     * Land every hit collected before the damage frame
+     */
+    confirmSwingHits() {
+        this.damageFrameReached = true;
+
+        // Enemies that died or got out of reach since the blade passed them are missed
+        this.pendingHits.forEach(enemy => {
+            if (!enemy.isDead && this.getDistanceToEnemy(enemy) <= this.range) {
+                this.applyHit(enemy);
+            }
+        });
+        this.pendingHits = [];
+    }
+
+    applyHit(enemy) {
+        const { damage, isCritical } = this.rollDamage();
+
+        // Critical and killing blows knock the enemy away from the player
+        const isKillingBlow = enemy.calculateDamageTaken(damage) >= enemy.health;
+        if ((isCritical || isKillingBlow) && enemy.applyKnockback) {
+            const player = this.getOwner();
+            const playerPosition = new THREE.Vector3();
+            player.camera.getWorldPosition(playerPosition);
+            const direction = enemy.mesh.position.clone().sub(playerPosition);
+            enemy.applyKnockback(direction, this.getStat('knockback'));
+        }
+
+        enemy.takeDamage(damage);
+    }
+
+    /**
+     * Check if an enemy is within reach and inside the swept part of the swing arc
+     * @param {Object} enemy - The enemy to check
+     * @param {number} sweepProgress - How much of the arc has been swept (0-1)
+     * @returns {boolean} Whether the swing reaches the enemy
+     */
+    isInSwingArc(enemy, sweepProgress) {
+        if (!enemy.mesh) {
+            return false;
+        }
+
+        const distance = this.getDistanceToEnemy(enemy);
+        if (distance > this.range) {
+            return false;
+        }
+
+        const player = this.getOwner();
+        const cameraPosition = new THREE.Vector3();
+        player.camera.getWorldPosition(cameraPosition);
+
+        // Work on the ground plane so looking up or down doesn't change the arc
+        const forward = new THREE.Vector3();
+        player.camera.getWorldDirection(forward);
+        forward.y = 0;
+        if (forward.lengthSq() === 0) {
+            return false;
+        }
+        forward.normalize();
+        const right = new THREE.Vector3().crossVectors(forward, new THREE.Vector3(0, 1, 0));
+
+        const toEnemy = enemy.mesh.position.clone().sub(cameraPosition);
+        toEnemy.y = 0;
+        const horizontalDistance = toEnemy.length();
+        if (horizontalDistance < this.enemyHitRadius) {
+            return true;
+        }
+
+        // Angle to the enemy, positive to the right of where the camera is looking
+        const angle = Math.atan2(toEnemy.dot(right), toEnemy.dot(forward));
+        const padding = Math.atan2(this.enemyHitRadius, horizontalDistance);
+
+        // The blade starts on the right edge of the arc and sweeps left
+        const halfArc = this.swingArc / 2;
+        const sweptEdge = halfArc - this.swingArc * sweepProgress;
+        return angle <= halfArc + padding && angle >= sweptEdge - padding;
+    }
+
     getEnemiesInScene() {
         // Get the player (owner) of the sword
         const player = this.getOwner();
@@ -176,12 +265,17 @@ export class WoodenSword extends ItemSchema {
         return cameraPosition.distanceTo(enemyPosition);
     }
 
-    calculateDamage() {
+    /**
+     * Roll the damage of a single hit
+     * @returns {{damage: number, isCritical: boolean}} Rounded damage and whether it was a critical hit
+     */
+    rollDamage() {
         // Base damage from weapon
         let damage = this.stats.attackPower;
 
         // Add critical hit chance
-        if (Math.random() < this.stats.criticalChance) {
+        const isCritical = Math.random() < this.stats.criticalChance;
+        if (isCritical) {
             damage *= this.stats.criticalDamage;
         }
 
@@ -190,7 +284,7 @@ export class WoodenSword extends ItemSchema {
         damage *= randomFactor;
 
         // Round to nearest integer
-        return Math.round(damage);
+        return { damage: Math.round(damage), isCritical };
     }
 
     // Update animation
@@ -198,6 +292,9 @@ export class WoodenSword extends ItemSchema {
         if (this.attackAnimation) {
             this.attackAnimation.update(deltaTime);
         }
+        if (this.blockAnimation) {
+            this.blockAnimation.update(deltaTime);
+        }
     }
 
     // Create the 3D model of the wooden sword
@@ -205,37 +302,27 @@ export class WoodenSword extends ItemSchema {
         // Create a group to hold the sword model
         const swordGroup = new THREE.Group();
 
-        const loader = new GLTFLoader();
-
-        // Return a promise that resolves with the sword group
-        return new Promise((resolve, reject) => {
-            loader.load(
-                '/models/weapons/ironSword.glb',
-                (gltf) => {
-                    // Get the sword model from the loaded GLB
-                    const swordModel = gltf.scene;
-                    
-                    // Scale the model if needed
-                    swordModel.scale.set(0.5, 0.5, 0.5);
-                    
-                    // Rotate the model to the correct orientation
-                    swordModel.rotation.z = Math.PI / 2;
-                    
-                    // Add the model to the group
-                    swordGroup.add(swordModel);
-                    
-                    resolve(swordGroup);
-                },
-                // Progress callback
-                (progress) => {
-                },
-                // Error callback
-                (error) => {
-                    // Create a fallback basic sword model if loading fails
-                    this.createFallbackModel(swordGroup);
-                    resolve(swordGroup); // Resolve with fallback model instead of rejecting
-                }
-            );
+        // Resolve with a copy of the cached sword model
+        return assetManager.getModel('/models/weapons/ironSword.glb').then((gltf) => {
+            if (!gltf) {
+                // Create a fallback basic sword model if loading fails
+                this.createFallbackModel(swordGroup);
+                return swordGroup;
+            }
+
+            // Get the sword model from the loaded GLB
+            const swordModel = gltf.scene;
+            
+            // Scale the model if needed
+            swordModel.scale.set(0.5, 0.5, 0.5);
+            
+            // Rotate the model to the correct orientation
+            swordModel.rotation.z = Math.PI / 2;
+            
+            // Add the model to the group
+            swordGroup.add(swordModel);
+            
+            return swordGroup;
         });
     }
 
@@ -297,16 +384,22 @@ export class WoodenSword extends ItemSchema {
                 if (model instanceof THREE.Group) {
                     this.model = model;
                     this.attackAnimation.init(this.model);
-                    this.attackAnimation.setOnSwingCallback(() => this.checkForEnemiesInRange());
+                    this.setSwingCallbacks();
                     this.equipToCamera(model);
                 }
             });
         } else if (this.model instanceof THREE.Group) {
-            this.attackAnimation.setOnSwingCallback(() => this.checkForEnemiesInRange());
+            this.setSwingCallbacks();
             this.equipToCamera(this.model);
         }
     }
 
+    // Hook hit detection into the swing animation
+    setSwingCallbacks() {
+        this.attackAnimation.setOnSwingCallback(sweepProgress => this.sweepSwingArc(sweepProgress));
+        this.attackAnimation.setOnDamageFrameCallback(() => this.confirmSwingHits());
+    }
+
     // New method to equip the sword to the camera
     equipToCamera(model) {
         // Create a clone of the model for the equipped instance
@@ -329,6 +422,9 @@ export class WoodenSword extends ItemSchema {
         if (this.attackAnimation) {
             this.attackAnimation.init(this.equippedModel);
         }
+        if (this.blockAnimation) {
+            this.blockAnimation.init(this.equippedModel);
+        }
 
         // Find the player's camera and add the sword to it
         const player = this.getOwner();
@@ -347,16 +443,46 @@ export class WoodenSword extends ItemSchema {
 
     /**
      * Start the swing animation
+     * @returns {boolean} Whether a new swing started
      */
     startSwing() {
-        if (this.equippedModel && this.attackAnimation) {
+        if (this.equippedModel && this.attackAnimation && !this.attackAnimation.isPlaying() &&
+            !this.blockAnimation.isPlaying()) {
+            // Start a fresh swing so every enemy can be hit once
+            this.swingTargets.clear();
+            this.pendingHits = [];
+            this.damageFrameReached = false;
+
             this.attackAnimation.startAnimation();
-            this.checkForEnemiesInRange();
             
             // Play slash sound if loaded
             if (this.slashSound) {
                 this.slashSound.play();
             }
+            return true;
         }
+        return false;
+    }
+
+    /**
+     * Check if the sword is free to raise into a block
+     * @returns {boolean} Whether a block can start
+     */
+    canBlock() {
+        return !!this.equippedModel && !this.attackAnimation.isPlaying();
+    }
+
+    /**
+     * Raise the sword into the guard pose
+     */
+    startBlock() {
+        this.blockAnimation.startBlock();
+    }
+
+    /**
+     * Lower the sword back to rest
+     */
+    endBlock() {
+        this.blockAnimation.endBlock();
     }
-} 
\ No newline at end of file
+}
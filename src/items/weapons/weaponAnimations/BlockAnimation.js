@@ -0,0 +1,72 @@
+import * as THREE from 'three';
+
+export class BlockAnimation {
+    constructor() {
+        this.isRaised = false;
+        this.weapon = null;
+        this.raiseDuration = 0.12; // Time to move the weapon into the guard pose in seconds
+        this.progress = 0; // 0 = resting, 1 = fully in guard
+        this.originalPosition = new THREE.Vector3();
+        this.originalRotation = new THREE.Euler();
+
+        // Guard pose: blade held flat across the view in front of the camera
+        this.guardPosition = new THREE.Vector3(0, -0.35, -0.5);
+        this.guardRotationOffset = new THREE.Euler(0, 0, Math.PI / 2);
+    }
+
+    init(weaponMesh) {
+        this.weapon = weaponMesh;
+        // Store the resting pose
+        this.originalPosition.copy(this.weapon.position);
+        this.originalRotation.copy(this.weapon.rotation);
+    }
+
+    startBlock() {
+        this.isRaised = true;
+    }
+
+    endBlock() {
+        this.isRaised = false;
+    }
+
+    update(deltaTime) {
+        if (!this.weapon) return;
+
+        // Move towards the guard pose while blocking, back to rest otherwise
+        const step = deltaTime / this.raiseDuration;
+        const target = this.isRaised ? 1 : 0;
+        if (this.progress === target) return;
+
+        this.progress = this.isRaised
+            ? Math.min(1, this.progress + step)
+            : Math.max(0, this.progress - step);
+
+        const t = this.easeOutQuad(this.progress);
+        this.weapon.position.lerpVectors(this.originalPosition, this.guardPosition, t);
+        this.weapon.rotation.set(
+            this.originalRotation.x + this.guardRotationOffset.x * t,
+            this.originalRotation.y + this.guardRotationOffset.y * t,
+            this.originalRotation.z + this.guardRotationOffset.z * t,
+            this.originalRotation.order
+        );
+    }
+
+    // Easing function for smooth animation
+    easeOutQuad(t) {
+        return t * (2 - t);
+    }
+
+    // Whether the weapon is raised or still on its way back down
+    isPlaying() {
+        return this.isRaised || this.progress > 0;
+    }
+
+    reset() {
+        this.isRaised = false;
+        this.progress = 0;
+        if (this.weapon) {
+            this.weapon.position.copy(this.originalPosition);
+            this.weapon.rotation.copy(this.originalRotation);
+        }
+    }
+}
@@ -10,8 +10,10 @@ export class SwordAnimation {
         this.weapon = null;
         this.originalRotation = new THREE.Euler();
         this.onSwingCallback = null;
-        this.lastCheckTime = 0;
-        this.checkInterval = 0.05; // Check every 50ms
+        this.onDamageFrameCallback = null;
+        this.damageFrame = 0.5; // Point in the forward swing (0-1) where hits land
+        this.damageFrameReached = false;
+        this.sweepComplete = false;
     }
 
     init(weaponMesh) {
@@ -20,15 +22,22 @@ export class SwordAnimation {
         this.originalRotation.copy(this.weapon.rotation);
     }
 
+    // Called every frame of the forward swing with how much of the arc has been swept (0-1)
     setOnSwingCallback(callback) {
         this.onSwingCallback = callback;
     }
 
+    // Called once per swing when the blade reaches the damage frame
+    setOnDamageFrameCallback(callback) {
+        this.onDamageFrameCallback = callback;
+    }
+
     startAnimation() {
         if (!this.isAnimating) {
             this.isAnimating = true;
             this.elapsedTime = 0;
-            this.lastCheckTime = 0;
+            this.damageFrameReached = false;
+            this.sweepComplete = false;
             // Store current rotation as start
             this.startRotation.copy(this.weapon.rotation);
             
@@ -54,18 +63,6 @@ export class SwordAnimation {
                 this.endRotation.z,
                 this.easeOutQuad(swingProgress)
             );
-
-            // Check for enemies during the forward swing
-            if (this.onSwingCallback) {
-                // Check more frequently during the swing
-                if (swingProgress > 0.1 && swingProgress < 0.9) {
-                    const currentTime = performance.now();
-                    if (currentTime - this.lastCheckTime >= this.checkInterval * 1000) {
-                        this.onSwingCallback();
-                        this.lastCheckTime = currentTime;
-                    }
-                }
-            }
         } else {
             // Second half of animation - return to original position
             const returnProgress = (progress - 0.5) * 2; // Scale to 0-1 for second half
@@ -76,6 +73,9 @@ export class SwordAnimation {
             );
         }
 
+        // Check for hits along the forward swing, even if a long frame skipped past it
+        this.updateSweep(Math.min(progress * 2, 1));
+
         // Animation complete
         if (progress >= 1) {
             this.isAnimating = false;
@@ -83,6 +83,26 @@ export class SwordAnimation {
         }
     }
 
+    updateSweep(swingProgress) {
+        if (this.sweepComplete) return;
+
+        // Report the swept arc first so anything it reaches this frame lands on the damage frame
+        if (this.onSwingCallback) {
+            this.onSwingCallback(this.easeOutQuad(swingProgress));
+        }
+
+        if (!this.damageFrameReached && swingProgress >= this.damageFrame) {
+            this.damageFrameReached = true;
+            if (this.onDamageFrameCallback) {
+                this.onDamageFrameCallback();
+            }
+        }
+
+        if (swingProgress >= 1) {
+            this.sweepComplete = true;
+        }
+    }
+
     // Easing functions for smooth animation
     easeOutQuad(t) {
         return t * (2 - t);
@@ -27,6 +27,7 @@ export class NPCSchema {
         this.attackRange = config.attackRange || 2;
         this.defense = config.defense || 10;
         this.isAlive = true;
+        this.isTakingTrueDamage = false; // Set by takeTrueDamage so the hit skips defense
 
         // AI properties
         this.state = 'IDLE';
@@ -104,22 +105,30 @@ export class NPCSchema {
 
     // Update AI behavior
     updateAI(deltaTime) {
+        // Pick a target and state before running the state handler
+        this.updateTarget(deltaTime);
+
         switch(this.state) {
             case 'IDLE':
-                this.handleIdleState();
+                this.handleIdleState(deltaTime);
                 break;
             case 'CHASE':
-                this.handleChaseState();
+                this.handleChaseState(deltaTime);
                 break;
             case 'ATTACK':
-                this.handleAttackState();
+                this.handleAttackState(deltaTime);
                 break;
             case 'FLEE':
-                this.handleFleeState();
+                this.handleFleeState(deltaTime);
                 break;
         }
     }
 
+    // Choose targetEntity and state - to be overridden by specific NPC types
+    updateTarget() {
+        // Default: keep the current target and state
+    }
+
     // State handlers
     handleIdleState() {
         // Default idle behavior
@@ -138,8 +147,13 @@ export class NPCSchema {
     }
 
     // Combat methods
+    // Reduce incoming damage by defense - can be overridden for other mitigation rules
+    calculateDamageTaken(amount) {
+        return Math.max(0, amount - this.defense);
+    }
+
     takeDamage(amount) {
-        const actualDamage = Math.max(0, amount - this.defense);
+        const actualDamage = this.isTakingTrueDamage ? amount : this.calculateDamageTaken(amount);
         this.health = Math.max(0, this.health - actualDamage);
         
         if (this.health <= 0 && !this.isDead) {
@@ -149,6 +163,21 @@ export class NPCSchema {
         return actualDamage;
     }
 
+    /**
+     * Take damage that skips defense, e.g. from spiked walls. Goes through
+     * takeDamage so overrides still react to the hit.
+     * @param {number} amount - Damage dealt
+     * @returns {number} Damage actually taken
+     */
+    takeTrueDamage(amount) {
+        this.isTakingTrueDamage = true;
+        try {
+            return this.takeDamage(amount);
+        } finally {
+            this.isTakingTrueDamage = false;
+        }
+    }
+
     heal(amount) {
         this.health = Math.min(this.maxHealth, this.health + amount);
     }
@@ -1,7 +1,13 @@
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
 import { NPCSchema } from '../NPCSchema';
 import { HealthBar } from '../../ui/HealthBar';
+import { Ragdoll } from '../../systems/physics/Ragdoll';
+import { assetManager } from '../../systems/assets/AssetManager';
+import { Scheduler } from '../../game/Scheduler';
+
+// Tinted copies of the shared goblin materials, one per material and tint, so every
+// goblin of an archetype shares the same copy
+const tintedMaterials = new Map();
 
 export class Goblin extends NPCSchema {
     constructor(config = {}) {
@@ -32,14 +38,18 @@ export class Goblin extends NPCSchema {
 
         // Combat properties
         this.attackCooldown = config.attackCooldown || 1.0;
+        this.attackAnimationDuration = config.attackAnimationDuration || 1.0;
+        this.playerAttackRange = config.playerAttackRange || 1.5;
         this.lastAttackTime = config.lastAttackTime || 0;
         this.currentState = config.currentState || 'idle';
 
         // Goblin-specific properties
+        this.enemyType = 'goblin'; // Wave enemy type, used to pool goblins by archetype
         this.modelPath = '/models/npc/goblin.glb';
         this.animations = {};
         this.currentAnimation = null;
         this.mixer = null;
+        this.isSharedModel = false; // Cloned models share geometry and materials with the cache
         this.isDead = false;
         this.animationStates = {
             idle: 'CharacterArmature|Idle',
@@ -50,12 +60,34 @@ export class Goblin extends NPCSchema {
             hitReact: 'CharacterArmature|HitReact'
         };
 
+        // Gameplay timers run on the game's clock so they freeze while paused
+        this.scheduler = config.scheduler || new Scheduler();
+
         // Initialize health bar
         this.healthBar = new HealthBar();
         this.isInCombat = false;
         this.combatTimeout = null;
+        this.hitReactTimeout = null;
+        this.deathTimeout = null;
         this.lastHitTime = 0;
         this.hitReactionDuration = 0.5; // Duration of hit reaction in seconds
+        this.staggeredUntil = 0; // Time in seconds until a stagger wears off
+
+        // Knockback from heavy hits, in units per second, slowed by damping each second
+        this.knockbackVelocity = new THREE.Vector3();
+        this.knockbackDamping = 6;
+
+        // Damage buff from a shaman
+        this.buffMultiplier = 1;
+        this.buffedUntil = 0;
+
+        // Corpse handling: the body lies still, then fades out before removal
+        this.ragdoll = null;
+        this.corpseTime = 0;
+        this.corpseDuration = config.corpseDuration || 4; // Seconds before the corpse fades
+        this.fadeDuration = 1.5;
+        this.fadeMaterials = null;
+        this.fadedMeshes = []; // Meshes wearing fade copies, with the materials to restore
 
         // Set position and rotation from config
         if (config.position) {
@@ -110,35 +142,14 @@ export class Goblin extends NPCSchema {
 
     async createModel() {
         try {
-            const loader = new GLTFLoader();
-            
-            // Add loading manager to track progress
-            loader.manager.onProgress = (url, loaded, total) => {
-                // Progress tracking without console.log
-            };
-            
-            loader.manager.onError = (url) => {
-                // Error handling without console.log
-            };
-            
-            let gltf;
-            try {
-                gltf = await loader.loadAsync(this.modelPath);
-            } catch (loadError) {
-                const fallbackMesh = this.createFallbackModel();
-                return fallbackMesh;
-            }
+            // Every goblin gets its own clone of the model cached by the asset manager
+            const gltf = await assetManager.getModel(this.modelPath);
             
             if (!gltf) {
                 const fallbackMesh = this.createFallbackModel();
                 return fallbackMesh;
             }
             
-            if (!gltf.scene) {
-                const fallbackMesh = this.createFallbackModel();
-                return fallbackMesh;
-            }
-            
             if (!gltf.scene.children || gltf.scene.children.length === 0) {
                 const fallbackMesh = this.createFallbackModel();
                 return fallbackMesh;
@@ -146,6 +157,7 @@ export class Goblin extends NPCSchema {
             
             // Get the main mesh
             this.mesh = gltf.scene.children[0];
+            this.isSharedModel = true;
             
             // Set up animations
             this.mixer = new THREE.AnimationMixer(this.mesh);
@@ -273,23 +285,291 @@ export class Goblin extends NPCSchema {
         }
     }
 
+    /**
+     * Switch between attacking the castle and the player.
+     * The player is picked up inside aggroRange and dropped again once they
+     * leave detectionRange, die or can't be reached (e.g. inside the walls), at
+     * which point the goblin returns to the castle.
+     */
+    updateTarget() {
+        if (!this.waveManager || !this.mesh) {
+            this.state = 'IDLE';
+            return;
+        }
+
+        const player = this.waveManager.player;
+        const playerAvailable = player && player.mesh && !player.isDead &&
+            this.waveManager.canReach(this, player.mesh.position);
+
+        if (this.targetEntity === player) {
+            if (!playerAvailable || this.getDistanceTo(player.mesh.position) > this.detectionRange) {
+                this.targetEntity = null;
+            }
+        } else if (playerAvailable && this.getDistanceTo(player.mesh.position) <= this.aggroRange) {
+            this.targetEntity = player;
+        }
+
+        // Stand still while mid-punch so the animation isn't cut short
+        if (this.currentState === 'attack') {
+            this.state = 'ATTACK';
+            return;
+        }
+
+        const targetPosition = this.getTargetPosition();
+        if (!targetPosition) {
+            this.state = 'IDLE';
+        } else if (this.getDistanceTo(targetPosition) <= this.getTargetAttackRange()) {
+            this.state = 'ATTACK';
+        } else {
+            this.state = 'CHASE';
+        }
+    }
+
+    /**
+     * Get where the goblin is heading: the player if aggroed, otherwise the part of
+     * the castle it is besieging
+     * @returns {THREE.Vector3|null} Target position at ground level
+     */
+    getTargetPosition() {
+        if (this.targetEntity && this.targetEntity.mesh) {
+            const position = this.targetEntity.mesh.position.clone();
+            position.y = 0;
+            return position;
+        }
+        if (this.waveManager && this.waveManager.castle.isAlive()) {
+            return this.waveManager.getCastleTargetPosition(this.mesh.position);
+        }
+        return null;
+    }
+
+    /**
+     * Get the reach against the current target
+     * @returns {number} Attack range in world units
+     */
+    getTargetAttackRange() {
+        // The castle is targeted at the edge of its colliders, which navigation keeps goblins
+        // back from, so goblins need extra reach for it
+        return this.targetEntity ? this.playerAttackRange : this.attackRange;
+    }
+
+    getDistanceTo(position) {
+        return Math.hypot(position.x - this.mesh.position.x, position.z - this.mesh.position.z);
+    }
+
+    // Staggered goblins can't move or attack until they recover
+    updateAI(deltaTime) {
+        this.updateKnockback(deltaTime);
+        if (this.isStaggered()) return;
+        super.updateAI(deltaTime);
+    }
+
+    /**
+     * Shove the goblin along the ground, staggering it briefly
+     * @param {THREE.Vector3} direction - Direction to push in, flattened onto the ground
+     * @param {number} strength - Starting push speed in units per second
+     */
+    applyKnockback(direction, strength) {
+        const push = direction.clone();
+        push.y = 0;
+        if (push.lengthSq() === 0 || strength <= 0) return;
+
+        this.knockbackVelocity.add(push.normalize().multiplyScalar(strength));
+        if (!this.isDead) {
+            this.stagger(0.4);
+        }
+    }
+
+    updateKnockback(deltaTime) {
+        if (!this.mesh || this.knockbackVelocity.lengthSq() < 0.01) {
+            this.knockbackVelocity.set(0, 0, 0);
+            return;
+        }
+
+        // Stop dead against trees and walls rather than being pushed through them
+        const next = this.mesh.position.clone().addScaledVector(this.knockbackVelocity, deltaTime);
+        const navigation = this.waveManager && this.waveManager.navigation;
+        if (navigation && !navigation.isPositionWalkable(next)) {
+            this.knockbackVelocity.set(0, 0, 0);
+            return;
+        }
+
+        this.mesh.position.copy(next);
+        this.knockbackVelocity.multiplyScalar(Math.max(0, 1 - this.knockbackDamping * deltaTime));
+    }
+
+    isStaggered() {
+        return this.scheduler.now() < this.staggeredUntil;
+    }
+
+    /**
+     * Knock the goblin off balance, interrupting its attack
+     * @param {number} duration - How long the goblin is staggered in seconds
+     */
+    stagger(duration) {
+        if (this.isDead) return;
+
+        const currentTime = this.scheduler.now();
+        this.staggeredUntil = currentTime + duration;
+
+        // Restart the attack cooldown so it can't strike again straight away
+        this.lastAttackTime = currentTime;
+        this.currentState = 'hitReact';
+        this.playAnimation('hitReact', 0.1, 0.2);
+    }
+
     // Override state handlers for goblin-specific behavior
     handleIdleState() {
-        this.playAnimation('idle');
+        if (this.currentState !== 'idle') {
+            this.currentState = 'idle';
+            this.playAnimation('idle', 0.2, 0.2);
+        }
     }
 
-    handleChaseState() {
-        this.playAnimation('run');
+    handleChaseState(deltaTime) {
+        const targetPosition = this.getTargetPosition();
+
+        // Move towards the target, routing around obstacles
+        this.waveManager.moveGoblinTowards(this, targetPosition, deltaTime);
+
+        // Run at the player, walk towards the walls
+        const animation = this.targetEntity ? 'run' : 'walk';
+        if (this.currentState !== animation) {
+            this.currentState = animation;
+            this.playAnimation(animation, 0.2, 0.2);
+        }
     }
 
     handleAttackState() {
-        this.playAnimation('attack');
+        const currentTime = this.scheduler.now();
+
+        // Return to idle after the attack animation
+        if (this.currentState === 'attack') {
+            if (currentTime - this.lastAttackTime >= this.attackAnimationDuration) {
+                this.currentState = 'idle';
+                this.playAnimation('idle', 0.2, 0.2);
+            }
+            return;
+        }
+
+        const targetPosition = this.getTargetPosition();
+        if (!targetPosition) return;
+
+        // Make goblin face the target
+        targetPosition.y = this.mesh.position.y;
+        this.mesh.lookAt(targetPosition);
+
+        // Check attack cooldown
+        if (currentTime - this.lastAttackTime >= this.attackCooldown) {
+            this.strike();
+
+            // Play attack animation
+            this.currentState = 'attack';
+            this.playAnimation('attack', 0.2, 0.2);
+
+            // Update last attack time
+            this.lastAttackTime = currentTime;
+        } else if (this.currentState !== 'idle') {
+            // If on cooldown, play idle animation
+            this.currentState = 'idle';
+            this.playAnimation('idle', 0.2, 0.2);
+        }
     }
 
     handleFleeState() {
         this.playAnimation('run');
     }
 
+    /**
+     * Deal damage to the current target
+     */
+    strike() {
+        if (this.targetEntity) {
+            this.targetEntity.takeDamage(this.getAttackDamage(), this);
+        } else if (this.waveManager) {
+            // The blow lands on the part of the castle being besieged
+            const wall = this.waveManager.getCastleTargetPosition(this.mesh.position);
+            this.waveManager.castle.takeDamage(this.getAttackDamage(), wall, this);
+        }
+    }
+
+    // React to running into the player - overridden by goblins with contact attacks
+    onPlayerContact() {
+        // Default: the regular attacks deal with the player
+    }
+
+    /**
+     * Fire a projectile at the current target, for goblins that fight at range
+     * @param {string} type - Projectile type, e.g. 'arrow'
+     */
+    shoot(type) {
+        if (!this.waveManager || !this.mesh) return;
+
+        const { projectiles } = this.waveManager;
+        const origin = this.mesh.position.clone();
+        origin.y += this.height + 0.5;
+        const target = this.targetEntity
+            ? projectiles.getPlayerAimPoint(this.targetEntity)
+            : this.waveManager.getWallAimPoint(this.mesh.position);
+
+        projectiles.fire({
+            type,
+            origin,
+            target,
+            targetEntity: this.targetEntity,
+            damage: this.getAttackDamage(),
+            source: this
+        });
+    }
+
+    /**
+     * Get the damage of the next strike, including any shaman buff
+     * @returns {number} Damage dealt to the target
+     */
+    getAttackDamage() {
+        return this.isBuffed() ? this.attackPower * this.buffMultiplier : this.attackPower;
+    }
+
+    isBuffed() {
+        return this.scheduler.now() < this.buffedUntil;
+    }
+
+    /**
+     * Make the goblin hit harder for a while
+     * @param {number} multiplier - Damage multiplier while buffed
+     * @param {number} duration - How long the buff lasts in seconds
+     */
+    applyBuff(multiplier, duration) {
+        if (this.isDead) return;
+        this.buffMultiplier = multiplier;
+        this.buffedUntil = this.scheduler.now() + duration;
+    }
+
+    /**
+     * Recolour the goblin to tell its archetype apart. The tinted materials are
+     * shared by every goblin with the same tint.
+     * @param {number} tint - Colour multiplied into the model's materials
+     */
+    applyTint(tint) {
+        if (!this.mesh) return;
+
+        const tintMaterial = material => {
+            const key = `${material.uuid}_${tint}`;
+            if (!tintedMaterials.has(key)) {
+                const copy = material.clone();
+                copy.color.multiply(new THREE.Color(tint));
+                tintedMaterials.set(key, copy);
+            }
+            return tintedMaterials.get(key);
+        };
+
+        this.mesh.traverse(child => {
+            if (!child.isMesh) return;
+            child.material = Array.isArray(child.material)
+                ? child.material.map(tintMaterial)
+                : tintMaterial(child.material);
+        });
+    }
+
     // Update the goblin's state
     update(deltaTime) {
         if (this.isDead) return;
@@ -340,32 +620,32 @@ export class Goblin extends NPCSchema {
             
             // Only play hit reaction if not dead
             if (!this.isDead) {
-                const currentTime = Date.now() / 1000;
+                const currentTime = this.scheduler.now();
                 
                 if (currentTime - this.lastHitTime >= this.hitReactionDuration) {
                     this.playAnimation('hitReact');
                     this.lastHitTime = currentTime;
 
                     // Return to idle after hit reaction
-                    setTimeout(() => {
+                    this.hitReactTimeout = this.scheduler.schedule(this.hitReactionDuration, () => {
                         if (!this.isDead) {
                             this.playAnimation('idle');
                         }
-                    }, this.hitReactionDuration * 1000);
+                    }, this);
                 }
 
                 // Clear any existing combat timeout
                 if (this.combatTimeout) {
-                    clearTimeout(this.combatTimeout);
+                    this.scheduler.cancel(this.combatTimeout);
                 }
 
                 // Set a new timeout to exit combat state after 5 seconds of no damage
-                this.combatTimeout = setTimeout(() => {
+                this.combatTimeout = this.scheduler.schedule(5, () => {
                     this.isInCombat = false;
                     if (!this.isDead) {
                         this.playAnimation('idle');
                     }
-                }, 5000);
+                }, this);
             }
         }
         return actualDamage;
@@ -387,13 +667,209 @@ export class Goblin extends NPCSchema {
             this.healthBar.enabled = false;
         }
         
-        // Notify the wave manager that this goblin has died
+        // Try to play death animation using direct method
+        this.playDeathAnimationDirect();
+
+        // Notify the wave manager that this goblin has died. This comes after the death
+        // animation starts so the wave manager can swap it for a ragdoll.
         if (this.waveManager) {
             this.waveManager.handleGoblinDeath(this);
         }
-        
-        // Try to play death animation using direct method
-        this.playDeathAnimationDirect();
+    }
+
+    /**
+     * Let the corpse fall under physics instead of playing the death animation
+     * @param {PhysicsWorld} physics - World the ragdoll is simulated in
+     * @returns {boolean} Whether a ragdoll was created; models without a skeleton keep the animation
+     */
+    enableRagdoll(physics) {
+        if (!this.mesh || this.ragdoll) return false;
+
+        // Carry the knockback into the fall, with a little lift so the body tips over
+        const velocity = this.knockbackVelocity.clone();
+        velocity.y += 1;
+
+        this.ragdoll = Ragdoll.create(physics, this.mesh, velocity);
+        if (!this.ragdoll) return false;
+
+        if (this.mixer) {
+            this.mixer.stopAllAction();
+        }
+        this.knockbackVelocity.set(0, 0, 0);
+        return true;
+    }
+
+    /**
+     * Advance the corpse: finish the knockback, pose the ragdoll or death animation,
+     * then fade the body out once it has lain still for a while
+     * @param {number} deltaTime - Time since last update in seconds
+     * @returns {boolean} Whether the corpse has fully faded and can be removed
+     */
+    updateCorpse(deltaTime) {
+        this.corpseTime += deltaTime;
+
+        if (this.ragdoll) {
+            this.ragdoll.update();
+        } else {
+            this.updateKnockback(deltaTime);
+            this.updateAnimation(deltaTime);
+        }
+
+        const fadeTime = this.corpseTime - this.corpseDuration;
+        if (fadeTime <= 0) return false;
+
+        if (!this.fadeMaterials) {
+            this.startFade();
+        }
+        const opacity = Math.max(0, 1 - fadeTime / this.fadeDuration);
+        this.fadeMaterials.forEach(material => {
+            material.opacity = opacity;
+        });
+
+        return opacity === 0;
+    }
+
+    // Swap in transparent copies of the materials, since goblins may share the originals
+    startFade() {
+        const copies = new Map();
+        this.fadeMaterials = [];
+
+        if (!this.mesh) return;
+
+        this.mesh.traverse(child => {
+            if (!child.isMesh) return;
+            this.fadedMeshes.push({ mesh: child, material: child.material });
+
+            const copyMaterial = material => {
+                if (!copies.has(material)) {
+                    const copy = material.clone();
+                    copy.transparent = true;
+                    copy.depthWrite = false;
+                    copies.set(material, copy);
+                    this.fadeMaterials.push(copy);
+                }
+                return copies.get(material);
+            };
+
+            child.material = Array.isArray(child.material)
+                ? child.material.map(copyMaterial)
+                : copyMaterial(child.material);
+        });
+    }
+
+    // Put the original materials back and free the fade copies
+    restoreMaterials() {
+        this.fadedMeshes.forEach(({ mesh, material }) => {
+            mesh.material = material;
+        });
+        this.fadedMeshes = [];
+
+        if (this.fadeMaterials) {
+            this.fadeMaterials.forEach(material => material.dispose());
+            this.fadeMaterials = null;
+        }
+    }
+
+    /**
+     * Take the goblin out of the world so it can be pooled: stop timers, animations
+     * and the ragdoll, undo the corpse fade and detach the mesh and health bar
+     */
+    removeFromScene() {
+        // Cancel pending animation and combat timers
+        this.scheduler.cancelOwner(this);
+        this.combatTimeout = null;
+        this.hitReactTimeout = null;
+        this.deathTimeout = null;
+
+        if (this.mixer) {
+            this.mixer.stopAllAction();
+        }
+        this.currentAnimation = null;
+
+        if (this.ragdoll) {
+            this.ragdoll.dispose();
+            this.ragdoll = null;
+        }
+        this.restoreMaterials();
+
+        if (this.mesh && this.mesh.parent) {
+            this.mesh.parent.remove(this.mesh);
+        }
+
+        if (this.healthBar) {
+            this.healthBar.detach();
+        }
+
+        this.waveManager = null;
+    }
+
+    /**
+     * Put a pooled goblin back into the world
+     * @param {THREE.Scene} scene - Scene to add the mesh and health bar to
+     */
+    addToScene(scene) {
+        if (this.mesh) {
+            scene.add(this.mesh);
+        }
+        if (this.healthBar) {
+            scene.add(this.healthBar.getSprite());
+            this.healthBar.update(this.health, this.maxHealth);
+        }
+    }
+
+    /**
+     * Bring a pooled goblin back to life with a new spawn configuration
+     * @param {Object} config - Same options as the constructor; health, combat stats and position are applied
+     */
+    reset(config = {}) {
+        this.scheduler = config.scheduler || this.scheduler;
+        this.health = config.health || 40;
+        this.maxHealth = config.maxHealth || 40;
+        this.attackPower = config.attackPower || 15;
+        this.moveSpeed = config.moveSpeed || 0.15;
+        this.attackRange = config.attackRange || 1.5;
+        this.attackCooldown = config.attackCooldown || 1.0;
+        this.stats = {
+            strength: config.stats?.strength || 12,
+            dexterity: config.stats?.dexterity || 14,
+            vitality: config.stats?.vitality || 10,
+            intelligence: config.stats?.intelligence || 8
+        };
+
+        // Combat and AI state
+        this.isDead = false;
+        this.isAlive = true;
+        this.isInCombat = false;
+        this.state = 'IDLE';
+        this.targetEntity = null;
+        this.currentState = config.currentState || 'idle';
+        this.lastAttackTime = config.lastAttackTime || 0;
+        this.lastHitTime = 0;
+        this.staggeredUntil = 0;
+        this.buffedUntil = 0;
+        this.knockbackVelocity.set(0, 0, 0);
+        this.navPath = null;
+        this.corpseTime = 0;
+
+        if (this.healthBar) {
+            this.healthBar.enabled = true;
+        }
+
+        // Undo the death pose or ragdoll before animating again
+        if (this.mesh) {
+            this.mesh.traverse(child => {
+                if (child.isSkinnedMesh) {
+                    child.skeleton.pose();
+                }
+            });
+        }
+
+        this.position.copy(config.position || new THREE.Vector3());
+        this.rotation.copy(config.rotation || new THREE.Euler());
+        if (this.mesh) {
+            this.mesh.position.copy(this.position);
+            this.mesh.rotation.copy(this.rotation);
+        }
     }
     
     // Simple method to play death animation
@@ -454,17 +930,17 @@ export class Goblin extends NPCSchema {
         const deathDuration = deathAnimation.getClip().duration;
         
         // Add a delay before removing the goblin to ensure the animation is visible
-        const removalDelay = Math.max(deathDuration * 1000, 3000); // At least 3 seconds
+        const removalDelay = Math.max(deathDuration, 3); // At least 3 seconds
         
         // Remove the goblin after the animation completes
-        setTimeout(() => {
+        this.deathTimeout = this.scheduler.schedule(removalDelay, () => {
             if (this.mesh && this.mesh.parent) {
                 this.mesh.parent.remove(this.mesh);
             }
             if (this.healthBar && this.healthBar.sprite && this.healthBar.sprite.parent) {
                 this.healthBar.sprite.parent.remove(this.healthBar.sprite);
             }
-        }, removalDelay); // Use the longer delay
+        }, this); // Use the longer delay
     }
 
     setPosition(position) {
@@ -564,17 +1040,17 @@ export class Goblin extends NPCSchema {
         const deathDuration = deathAnimation.getClip().duration;
         
         // Add a delay before removing the goblin to ensure the animation is visible
-        const removalDelay = Math.max(deathDuration * 1000, 3000); // At least 3 seconds
+        const removalDelay = Math.max(deathDuration, 3); // At least 3 seconds
         
         // Remove the goblin after the animation completes
-        setTimeout(() => {
+        this.deathTimeout = this.scheduler.schedule(removalDelay, () => {
             if (this.mesh && this.mesh.parent) {
                 this.mesh.parent.remove(this.mesh);
             }
             if (this.healthBar && this.healthBar.sprite && this.healthBar.sprite.parent) {
                 this.healthBar.sprite.parent.remove(this.healthBar.sprite);
             }
-        }, removalDelay); // Use the longer delay
+        }, this); // Use the longer delay
     }
 
     // Method to directly manipulate the animation mixer
@@ -635,14 +1111,44 @@ export class Goblin extends NPCSchema {
         const deathDuration = deathAnimation.getClip().duration;
         
         // Add a delay before removing the goblin to ensure the animation is visible
-        const removalDelay = Math.max(deathDuration * 1000, 3000); // At least 3 seconds
+        const removalDelay = Math.max(deathDuration, 3); // At least 3 seconds
         
         // Remove the goblin after the animation completes
-        setTimeout(() => {
+        this.deathTimeout = this.scheduler.schedule(removalDelay, () => {
             // Only remove the health bar, the goblin itself will be removed by the WaveManager
             if (this.healthBar && this.healthBar.sprite && this.healthBar.sprite.parent) {
                 this.healthBar.sprite.parent.remove(this.healthBar.sprite);
             }
-        }, removalDelay); // Use the longer delay
+        }, this); // Use the longer delay
+    }
+
+    /**
+     * Remove the goblin from the scene and release its resources
+     */
+    dispose() {
+        this.removeFromScene();
+
+        // Release cached animation actions
+        if (this.mixer) {
+            this.mixer.uncacheRoot(this.mesh);
+            this.mixer = null;
+        }
+        this.animations = {};
+
+        // Free the geometry and materials. Models cloned from the asset cache share
+        // them with every other goblin, so only fallback models own theirs.
+        if (this.mesh && !this.isSharedModel) {
+            this.mesh.traverse(child => {
+                if (child.isMesh) {
+                    child.geometry.dispose();
+                    const materials = Array.isArray(child.material) ? child.material : [child.material];
+                    materials.forEach(material => material.dispose());
+                }
+            });
+        }
+
+        if (this.healthBar) {
+            this.healthBar.dispose();
+        }
     }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,59 @@
+import { Goblin } from './Goblin';
+
+// Archer tuning, applied on top of the wave group's stats
+const ARCHER = {
+    healthMultiplier: 0.7,
+    scale: 0.45,
+    tint: 0xd8c890,
+    attackRange: 14, // Distance kept from the walls
+    playerAttackRange: 16,
+    aggroRange: 18,
+    detectionRange: 24
+};
+
+/**
+ * Apply the archer's stats to a goblin configuration
+ * @param {Object} config - Goblin configuration from the wave
+ * @returns {Object} Configuration for an archer
+ */
+function withArcherStats(config) {
+    const health = (config.health || 40) * ARCHER.healthMultiplier;
+    return {
+        ...config,
+        name: 'Goblin Archer',
+        health,
+        maxHealth: health,
+        attackRange: ARCHER.attackRange
+    };
+}
+
+/**
+ * Frail goblin that stops out of sword reach and shoots arrows at the walls, or
+ * at the player when they come close
+ */
+export class GoblinArcher extends Goblin {
+    constructor(config = {}) {
+        super({
+            scale: ARCHER.scale,
+            playerAttackRange: ARCHER.playerAttackRange,
+            aggroRange: ARCHER.aggroRange,
+            detectionRange: ARCHER.detectionRange,
+            ...withArcherStats(config)
+        });
+        this.enemyType = 'archer';
+    }
+
+    async createModel() {
+        const mesh = await super.createModel();
+        this.applyTint(ARCHER.tint);
+        return mesh;
+    }
+
+    strike() {
+        this.shoot('arrow');
+    }
+
+    reset(config = {}) {
+        super.reset(withArcherStats(config));
+    }
+}
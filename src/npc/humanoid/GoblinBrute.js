@@ -0,0 +1,68 @@
+import { Goblin } from './Goblin';
+
+// Brute tuning, applied on top of the wave group's stats
+const BRUTE = {
+    healthMultiplier: 2.5,
+    damageMultiplier: 1.5,
+    speedMultiplier: 0.6,
+    wallDamageMultiplier: 2.5,
+    knockbackResistance: 0.3, // Fraction of knockback that still moves it
+    scale: 0.75,
+    height: 0.75,
+    tint: 0xc07060
+};
+
+/**
+ * Apply the brute's stats to a goblin configuration
+ * @param {Object} config - Goblin configuration from the wave
+ * @returns {Object} Configuration for a brute
+ */
+function withBruteStats(config) {
+    const health = (config.health || 40) * BRUTE.healthMultiplier;
+    return {
+        ...config,
+        name: 'Goblin Brute',
+        health,
+        maxHealth: health,
+        attackPower: (config.attackPower || 15) * BRUTE.damageMultiplier,
+        moveSpeed: (config.moveSpeed || 0.15) * BRUTE.speedMultiplier
+    };
+}
+
+/**
+ * Big, slow goblin that soaks up hits, shrugs off knockback and batters the
+ * walls for extra damage
+ */
+export class GoblinBrute extends Goblin {
+    constructor(config = {}) {
+        super({
+            scale: BRUTE.scale,
+            height: BRUTE.height,
+            ...withBruteStats(config)
+        });
+        this.enemyType = 'brute';
+    }
+
+    async createModel() {
+        const mesh = await super.createModel();
+        this.applyTint(BRUTE.tint);
+        return mesh;
+    }
+
+    strike() {
+        if (this.targetEntity || !this.waveManager) {
+            super.strike();
+            return;
+        }
+        const wall = this.waveManager.getCastleTargetPosition(this.mesh.position);
+        this.waveManager.castle.takeDamage(this.getAttackDamage() * BRUTE.wallDamageMultiplier, wall, this);
+    }
+
+    applyKnockback(direction, strength) {
+        super.applyKnockback(direction, strength * BRUTE.knockbackResistance);
+    }
+
+    reset(config = {}) {
+        super.reset(withBruteStats(config));
+    }
+}
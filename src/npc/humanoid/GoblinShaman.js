@@ -0,0 +1,175 @@
+import * as THREE from 'three';
+import { Goblin } from './Goblin';
+
+// Shaman tuning, applied on top of the wave group's stats
+const SHAMAN = {
+    healthMultiplier: 0.8,
+    damageMultiplier: 0.5,
+    scale: 0.5,
+    tint: 0x9a70d0,
+    attackRange: 10, // Hangs back behind the other goblins
+    playerAttackRange: 10,
+    castInterval: 4, // Seconds between spells
+    auraRadius: 8,
+    healAmount: 15,
+    buffMultiplier: 1.5,
+    buffDuration: 4
+};
+
+// Colours of the spell ring for heals and buffs, and how long it takes to spread out
+const HEAL_COLOR = 0x66ff88;
+const BUFF_COLOR = 0xff9944;
+const AURA_PULSE_DURATION = 0.6;
+
+/**
+ * Apply the shaman's stats to a goblin configuration
+ * @param {Object} config - Goblin configuration from the wave
+ * @returns {Object} Configuration for a shaman
+ */
+function withShamanStats(config) {
+    const health = (config.health || 40) * SHAMAN.healthMultiplier;
+    return {
+        ...config,
+        name: 'Goblin Shaman',
+        health,
+        maxHealth: health,
+        attackPower: (config.attackPower || 15) * SHAMAN.damageMultiplier,
+        attackRange: SHAMAN.attackRange
+    };
+}
+
+/**
+ * Goblin spellcaster that keeps its distance, flings weak bolts and every few
+ * seconds heals the wounded goblins around it, or makes them hit harder if none
+ * are hurt
+ */
+export class GoblinShaman extends Goblin {
+    constructor(config = {}) {
+        super({
+            scale: SHAMAN.scale,
+            playerAttackRange: SHAMAN.playerAttackRange,
+            ...withShamanStats(config)
+        });
+        this.enemyType = 'shaman';
+        this.nextCastTime = this.scheduler.now() + SHAMAN.castInterval;
+
+        // Ring that spreads across the ground when a spell is cast
+        this.auraRing = null;
+        this.auraPulseTime = 0;
+    }
+
+    async createModel() {
+        const mesh = await super.createModel();
+        this.applyTint(SHAMAN.tint);
+
+        this.auraRing = new THREE.Mesh(
+            new THREE.RingGeometry(0.85, 1, 48),
+            new THREE.MeshBasicMaterial({ color: HEAL_COLOR, transparent: true, opacity: 0, depthWrite: false })
+        );
+        this.auraRing.rotation.x = -Math.PI / 2;
+        return mesh;
+    }
+
+    strike() {
+        this.shoot('bolt');
+    }
+
+    updateAI(deltaTime) {
+        super.updateAI(deltaTime);
+        this.updateAuraRing(deltaTime);
+
+        if (this.isStaggered() || this.scheduler.now() < this.nextCastTime) return;
+        if (this.castSpell()) {
+            this.nextCastTime = this.scheduler.now() + SHAMAN.castInterval;
+        }
+    }
+
+    /**
+     * Heal wounded goblins in range, or buff them if none are hurt
+     * @returns {boolean} Whether any goblin was in range to cast on
+     */
+    castSpell() {
+        if (!this.waveManager || !this.mesh) return false;
+
+        const allies = this.waveManager.activeGoblins.filter(goblin =>
+            goblin !== this && !goblin.isDead && goblin.mesh &&
+            this.getDistanceTo(goblin.mesh.position) <= SHAMAN.auraRadius
+        );
+        if (allies.length === 0) return false;
+
+        const wounded = allies.filter(goblin => goblin.health < goblin.maxHealth);
+        if (wounded.length > 0) {
+            wounded.forEach(goblin => {
+                goblin.heal(SHAMAN.healAmount);
+                if (goblin.healthBar) {
+                    goblin.healthBar.update(goblin.health, goblin.maxHealth);
+                }
+            });
+            this.pulseAura(HEAL_COLOR);
+        } else {
+            allies.forEach(goblin => goblin.applyBuff(SHAMAN.buffMultiplier, SHAMAN.buffDuration));
+            this.pulseAura(BUFF_COLOR);
+        }
+        return true;
+    }
+
+    /**
+     * Start the spell ring spreading out from the shaman
+     * @param {number} color - Ring colour
+     */
+    pulseAura(color) {
+        if (!this.auraRing || !this.mesh || !this.mesh.parent) return;
+
+        this.auraRing.material.color.setHex(color);
+        this.auraRing.position.set(this.mesh.position.x, 0.05, this.mesh.position.z);
+        this.mesh.parent.add(this.auraRing);
+        this.auraPulseTime = AURA_PULSE_DURATION;
+    }
+
+    updateAuraRing(deltaTime) {
+        if (!this.auraRing || !this.auraRing.parent) return;
+
+        this.auraPulseTime -= deltaTime;
+        if (this.auraPulseTime <= 0) {
+            this.hideAuraRing();
+            return;
+        }
+
+        // Grow out to the spell's radius while fading
+        const progress = 1 - this.auraPulseTime / AURA_PULSE_DURATION;
+        const radius = SHAMAN.auraRadius * progress;
+        this.auraRing.scale.set(radius, radius, 1);
+        this.auraRing.material.opacity = 0.8 * (1 - progress);
+    }
+
+    hideAuraRing() {
+        if (this.auraRing && this.auraRing.parent) {
+            this.auraRing.parent.remove(this.auraRing);
+        }
+    }
+
+    die() {
+        this.hideAuraRing();
+        super.die();
+    }
+
+    removeFromScene() {
+        this.hideAuraRing();
+        super.removeFromScene();
+    }
+
+    reset(config = {}) {
+        super.reset(withShamanStats(config));
+        this.nextCastTime = this.scheduler.now() + SHAMAN.castInterval;
+        this.auraPulseTime = 0;
+    }
+
+    dispose() {
+        super.dispose();
+        if (this.auraRing) {
+            this.auraRing.geometry.dispose();
+            this.auraRing.material.dispose();
+            this.auraRing = null;
+        }
+    }
+}
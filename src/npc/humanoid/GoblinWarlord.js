@@ -0,0 +1,370 @@
+import * as THREE from 'three';
+import { Goblin } from './Goblin';
+
+// Warlord tuning. Health, damage and speed come from the wave's boss definition.
+const WARLORD = {
+    name: 'Goblin Warlord',
+    scale: 1.3,
+    height: 1.3,
+    tint: 0x806858,
+    defense: 8,
+    bodyRadius: 1.1,
+    knockbackResistance: 0.1, // Fraction of knockback that still moves it
+    staggerResistance: 0.4, // Fraction of a stagger it suffers, e.g. from a perfect block
+    specialAttackGap: 2 // Seconds between the end of one special attack and the start of the next
+};
+
+// Health fraction each phase starts at, the special attacks it unlocks and how
+// much faster the warlord moves
+const PHASES = [
+    { threshold: 1, attacks: ['slam'], speedMultiplier: 1 },
+    { threshold: 0.66, attacks: ['slam', 'summon'], speedMultiplier: 1.15 },
+    { threshold: 0.33, attacks: ['charge', 'slam', 'summon'], speedMultiplier: 1.3 }
+];
+
+// Ground slam: a telegraphed ring that hurts everything inside it when it lands
+const SLAM = {
+    cooldown: 7,
+    windup: 0.8,
+    radius: 6,
+    damageMultiplier: 1.5
+};
+
+// Summoning a group of goblins around the warlord
+const SUMMON = {
+    cooldown: 14,
+    radius: 3 // Distance from the warlord the adds appear at
+};
+
+// Running at the castle gate and ramming it
+const CHARGE = {
+    cooldown: 12,
+    minDistance: 10, // Needs a run-up, so it won't charge when already at the walls
+    speedMultiplier: 4,
+    wallDamageMultiplier: 3,
+    playerDamageMultiplier: 2, // Damage to a player caught in its path
+    recovery: 2 // Seconds the warlord is dazed after hitting the gate
+};
+
+const SLAM_COLOR = 0xff3322;
+
+/**
+ * Boss goblin that fights in phases. As its health drops it unlocks more
+ * special attacks: ground slams around itself, summoning adds and charging the
+ * castle gate. Its health is shown by the screen-top boss health bar rather
+ * than a sprite over its head.
+ */
+export class GoblinWarlord extends Goblin {
+    constructor(config = {}) {
+        super({
+            scale: WARLORD.scale,
+            height: WARLORD.height,
+            defense: WARLORD.defense,
+            ...config,
+            name: config.name || WARLORD.name
+        });
+        this.enemyType = 'warlord';
+        this.isBoss = true;
+        this.bodyRadius = WARLORD.bodyRadius;
+
+        // The boss health bar replaces the health bar sprite
+        this.healthBar.dispose();
+        this.healthBar = null;
+
+        // Ground ring telegraphing a slam
+        this.slamRing = null;
+        this.slamProgress = 0;
+
+        this.resetEncounter(config);
+    }
+
+    /**
+     * Start the fight over in the first phase
+     * @param {Object} config - Boss configuration from the wave
+     */
+    resetEncounter(config) {
+        this.adds = config.adds || null;
+        this.baseMoveSpeed = this.moveSpeed;
+        this.phase = 0;
+        this.specialAttack = null; // 'slam' or 'charge' while one is under way
+        this.chargeTarget = null;
+        this.hasTrampledPlayer = false;
+
+        // Every special attack is ready a few seconds into the fight
+        const readyTime = this.scheduler.now() + WARLORD.specialAttackGap;
+        this.nextAttackTimes = { slam: readyTime, summon: readyTime, charge: readyTime };
+        this.nextSpecialTime = readyTime;
+    }
+
+    async createModel() {
+        const mesh = await super.createModel();
+        this.applyTint(WARLORD.tint);
+
+        this.slamRing = new THREE.Mesh(
+            new THREE.RingGeometry(0.9, 1, 48),
+            new THREE.MeshBasicMaterial({ color: SLAM_COLOR, transparent: true, opacity: 0, depthWrite: false })
+        );
+        this.slamRing.rotation.x = -Math.PI / 2;
+        return mesh;
+    }
+
+    /**
+     * Get the current phase, counted from 1
+     * @returns {number} Phase number
+     */
+    getPhase() {
+        return this.phase + 1;
+    }
+
+    getPhaseCount() {
+        return PHASES.length;
+    }
+
+    /**
+     * Get the health fractions later phases start at, for marking them on the health bar
+     * @returns {number[]} Thresholds between 0 and 1
+     */
+    getPhaseThresholds() {
+        return PHASES.slice(1).map(phase => phase.threshold);
+    }
+
+    updateAI(deltaTime) {
+        if (this.specialAttack === 'slam') {
+            this.updateKnockback(deltaTime);
+            this.updateSlam(deltaTime);
+            return;
+        }
+        if (this.specialAttack === 'charge') {
+            this.updateCharge(deltaTime);
+            return;
+        }
+
+        super.updateAI(deltaTime);
+        this.trySpecialAttack();
+    }
+
+    /**
+     * Start the first special attack of the current phase that is off cooldown and usable
+     */
+    trySpecialAttack() {
+        if (!this.waveManager || !this.mesh || this.isStaggered() || this.currentState === 'attack') return;
+
+        const currentTime = this.scheduler.now();
+        if (currentTime < this.nextSpecialTime) return;
+
+        const attack = PHASES[this.phase].attacks.find(name =>
+            currentTime >= this.nextAttackTimes[name] && this.canUseAttack(name)
+        );
+        if (!attack) return;
+
+        if (attack === 'slam') {
+            this.startSlam();
+        } else if (attack === 'summon') {
+            this.summonAdds();
+        } else {
+            this.startCharge();
+        }
+        const cooldown = { slam: SLAM.cooldown, summon: SUMMON.cooldown, charge: CHARGE.cooldown }[attack];
+        this.nextAttackTimes[attack] = currentTime + cooldown;
+        this.nextSpecialTime = currentTime + WARLORD.specialAttackGap;
+    }
+
+    /**
+     * Check whether a special attack would do anything right now
+     * @param {string} attack - 'slam', 'summon' or 'charge'
+     * @returns {boolean} Whether the attack can be used
+     */
+    canUseAttack(attack) {
+        if (attack === 'slam') {
+            // Slam when the player is close, or when battering the walls
+            const player = this.waveManager.player;
+            const playerInRange = player && player.mesh && !player.isDead &&
+                this.getDistanceTo(player.mesh.position) <= SLAM.radius;
+            return playerInRange || (this.state === 'ATTACK' && !this.targetEntity);
+        }
+        if (attack === 'summon') {
+            return !!this.adds;
+        }
+        const gate = this.waveManager.getGatePosition(this.mesh.position);
+        return this.waveManager.castle.isAlive() && !!gate && this.getDistanceTo(gate) >= CHARGE.minDistance;
+    }
+
+    startSlam() {
+        this.specialAttack = 'slam';
+        this.slamProgress = 0;
+        this.currentState = 'attack';
+        this.playAnimation('attack', 0.1, 0.2);
+
+        if (this.slamRing && this.mesh.parent) {
+            this.slamRing.position.set(this.mesh.position.x, 0.05, this.mesh.position.z);
+            this.mesh.parent.add(this.slamRing);
+        }
+    }
+
+    updateSlam(deltaTime) {
+        // The ring spreads out to the slam's reach, landing as it gets there
+        this.slamProgress += deltaTime / SLAM.windup;
+        if (this.slamRing) {
+            const radius = SLAM.radius * Math.min(1, this.slamProgress);
+            this.slamRing.scale.set(radius, radius, 1);
+            this.slamRing.material.opacity = 0.3 + 0.5 * Math.min(1, this.slamProgress);
+        }
+
+        if (this.slamProgress >= 1) {
+            this.landSlam();
+        }
+    }
+
+    /**
+     * Hurt the player if they are inside the slam, and the walls if the warlord is at them
+     */
+    landSlam() {
+        this.specialAttack = null;
+        this.hideSlamRing();
+        this.lastAttackTime = this.scheduler.now();
+
+        const damage = this.getAttackDamage() * SLAM.damageMultiplier;
+        const player = this.waveManager.player;
+        if (player && player.mesh && !player.isDead && this.getDistanceTo(player.mesh.position) <= SLAM.radius) {
+            player.takeDamage(damage, this);
+        }
+
+        const wall = this.waveManager.getCastleTargetPosition(this.mesh.position);
+        if (this.getDistanceTo(wall) <= Math.max(this.attackRange, SLAM.radius)) {
+            this.waveManager.castle.takeDamage(damage, wall, this);
+        }
+    }
+
+    hideSlamRing() {
+        if (this.slamRing && this.slamRing.parent) {
+            this.slamRing.parent.remove(this.slamRing);
+        }
+    }
+
+    /**
+     * Call a group of adds to the warlord's side
+     */
+    summonAdds() {
+        this.currentState = 'attack';
+        this.lastAttackTime = this.scheduler.now();
+        this.playAnimation('attack', 0.1, 0.2);
+        this.waveManager.summonAdds(this, this.adds, SUMMON.radius);
+    }
+
+    startCharge() {
+        this.specialAttack = 'charge';
+        this.targetEntity = null;
+        this.chargeTarget = this.waveManager.getGatePosition(this.mesh.position);
+        this.hasTrampledPlayer = false;
+        this.currentState = 'run';
+        this.playAnimation('run', 0.1, 0.2);
+    }
+
+    updateCharge(deltaTime) {
+        const moveSpeed = this.moveSpeed;
+        this.moveSpeed = moveSpeed * CHARGE.speedMultiplier;
+        this.waveManager.moveGoblinTowards(this, this.chargeTarget, deltaTime);
+        this.moveSpeed = moveSpeed;
+
+        if (this.getDistanceTo(this.chargeTarget) > this.attackRange) return;
+
+        // Ram the gate, then stand dazed for a moment
+        if (this.waveManager.castle.isAlive()) {
+            this.waveManager.castle.takeDamage(
+                this.getAttackDamage() * CHARGE.wallDamageMultiplier, this.chargeTarget, this
+            );
+        }
+        this.specialAttack = null;
+        this.chargeTarget = null;
+        super.stagger(CHARGE.recovery);
+    }
+
+    /**
+     * Trample the player if they stand in the way of a charge, once per charge
+     * @param {Player} player - The player the warlord ran into
+     */
+    onPlayerContact(player) {
+        if (this.specialAttack !== 'charge' || this.hasTrampledPlayer || player.isDead) return;
+
+        this.hasTrampledPlayer = true;
+        player.takeDamage(this.getAttackDamage() * CHARGE.playerDamageMultiplier, this);
+    }
+
+    takeDamage(amount) {
+        const actualDamage = super.takeDamage(amount);
+        if (actualDamage > 0 && !this.isDead) {
+            this.updatePhase();
+        }
+        return actualDamage;
+    }
+
+    /**
+     * Move on to the next phase once health drops below its threshold
+     */
+    updatePhase() {
+        const healthFraction = this.health / this.maxHealth;
+        let phase = this.phase;
+        while (phase + 1 < PHASES.length && healthFraction <= PHASES[phase + 1].threshold) {
+            phase++;
+        }
+        if (phase === this.phase) return;
+
+        this.phase = phase;
+        this.moveSpeed = this.baseMoveSpeed * PHASES[phase].speedMultiplier;
+
+        // Attacks the new phase unlocks can be used straight away
+        const currentTime = this.scheduler.now();
+        PHASES[phase].attacks
+            .filter(attack => !PHASES[phase - 1].attacks.includes(attack))
+            .forEach(attack => {
+                this.nextAttackTimes[attack] = currentTime;
+            });
+
+        const event = new CustomEvent('bossPhaseChanged', {
+            detail: { boss: this, phase: this.getPhase() }
+        });
+        window.dispatchEvent(event);
+    }
+
+    stagger(duration) {
+        super.stagger(duration * WARLORD.staggerResistance);
+    }
+
+    applyKnockback(direction, strength) {
+        super.applyKnockback(direction, strength * WARLORD.knockbackResistance);
+    }
+
+    die() {
+        if (this.isDead) return;
+
+        this.specialAttack = null;
+        this.hideSlamRing();
+        super.die();
+
+        const event = new CustomEvent('bossDefeated', {
+            detail: { boss: this }
+        });
+        window.dispatchEvent(event);
+    }
+
+    removeFromScene() {
+        this.hideSlamRing();
+        super.removeFromScene();
+    }
+
+    reset(config = {}) {
+        super.reset(config);
+        this.name = config.name || WARLORD.name;
+        this.slamProgress = 0;
+        this.resetEncounter(config);
+    }
+
+    dispose() {
+        super.dispose();
+        if (this.slamRing) {
+            this.slamRing.geometry.dispose();
+            this.slamRing.material.dispose();
+            this.slamRing = null;
+        }
+    }
+}
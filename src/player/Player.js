@@ -3,8 +3,12 @@ import { PlayerCamera } from '../systems/camera/PlayerCamera';
 import { WoodenSword } from '../items/weapons/WoodenSword';
 import { EquipmentSystem } from '../equipment/EquipmentSystem';
 import { PlayerSettings } from '../systems/settings/PlayerSettings';
+import { CharacterInventory } from '../inventory/CharacterInventory';
 import * as THREE from 'three';
 
+// Gold the player starts every run with
+const STARTING_GOLD = 20;
+
 export class Player extends PlayerSchema {
     constructor(config = {}) {
         console.log('=== Player: Starting Constructor ===');
@@ -13,9 +17,46 @@ export class Player extends PlayerSchema {
 
         this.settings = new PlayerSettings();
 
+        // Death and respawn
+        this.isDead = false;
+        this.respawnDelay = config.respawnDelay || 5; // seconds
+        this.respawnTimer = 0;
+        this.respawnPosition = new THREE.Vector3(0, 0, 0); // Inside the castle
+
+        // Blocking
+        this.isBlocking = false;
+        this.isGuardBroken = false; // Set when stamina runs out until the block is released
+        this.blockTime = 0; // How long the current block has been held
+        this.perfectBlockWindow = 0.25; // seconds after raising the guard that stagger attackers
+        this.blockArc = THREE.MathUtils.degToRad(120); // Frontal arc the guard covers
+        this.blockStaminaDrain = 15; // per second held
+        this.blockHitStaminaCost = 10; // per blocked hit
+        this.minBlockStamina = 10; // needed to raise the guard
+        this.blockMoveSpeedMultiplier = 0.5;
+        this.staggerDuration = 1.0; // seconds a perfectly blocked attacker is staggered
+
+        // Vertical movement
+        this.velocity = new THREE.Vector3();
+        this.isGrounded = true;
+
+        // Sprinting and swinging
+        this.isSprinting = false;
+        this.isSprintExhausted = false; // Set when stamina runs out until sprint is released
+        this.sprintStaminaDrain = 20; // per second
+        this.swingStaminaCost = 8;
+
+        // Gold is earned by slaying goblins and spent on repairing the castle
+        this.inventory = new CharacterInventory({ owner: this, name: 'Player Inventory' });
+        this.inventory.addCurrency('gold', STARTING_GOLD);
+
 
         this.equipmentSystem = new EquipmentSystem(this);
 
+        // Equipment stats change the size of the stamina pool
+        const updateStamina = () => this.updateMaxStamina(this.equipmentSystem.getTotalStats());
+        this.equipmentSystem.addEventListener('itemEquipped', updateStamina);
+        this.equipmentSystem.addEventListener('itemUnequipped', updateStamina);
+
 
         this.mesh = this.createModel();
 
@@ -120,10 +161,29 @@ export class Player extends PlayerSchema {
     update(deltaTime) {
         // Update input state
         this.settings.update(deltaTime);
+
+        // Dead players can't act until they respawn
+        if (this.isDead) {
+            this.updateVerticalMovement(deltaTime);
+            this.updateRespawn(deltaTime);
+            return;
+        }
         
-        // Handle attack input
-        if (this.settings.shouldAttack() && this.woodenSword) {
-            this.woodenSword.startSwing();
+        // Handle blocking before attacks so a raised guard can't swing
+        this.updateBlock(deltaTime);
+        this.updateSprint(deltaTime);
+
+        // Stamina only comes back while not blocking or sprinting
+        if (!this.isBlocking && !this.isSprinting) {
+            this.regenerateStamina(deltaTime);
+        }
+
+        // Handle attack input, each swing costs stamina
+        if (!this.isBlocking && this.stamina >= this.swingStaminaCost &&
+            this.settings.shouldAttack(this.getClockTime()) && this.woodenSword) {
+            if (this.woodenSword.startSwing()) {
+                this.useStamina(this.swingStaminaCost);
+            }
         }
         
         // Update sword animation
@@ -133,7 +193,7 @@ export class Player extends PlayerSchema {
         
         // Update camera controller (handles movement and rotation)
         if (this.cameraController) {
-            this.cameraController.update();
+            this.cameraController.update(this.getMoveSpeedMultiplier());
         }
         
         // Update jump
@@ -141,6 +201,303 @@ export class Player extends PlayerSchema {
             this.velocity.y = this.settings.jumpForce;
             this.isGrounded = false;
         }
+
+        this.updateVerticalMovement(deltaTime);
+    }
+
+    /**
+     * Apply gravity and land on the ground, castle walls or anything else below
+     * @param {number} deltaTime - Time since last update
+     */
+    updateVerticalMovement(deltaTime) {
+        if (!this.cameraController) return;
+
+        const position = this.mesh.position;
+        const floor = this.cameraController.getFloorHeight(position);
+
+        // Walking off a ledge starts a fall
+        if (this.isGrounded && position.y > floor) {
+            this.isGrounded = false;
+        }
+
+        if (!this.isGrounded) {
+            this.velocity.y -= this.settings.gravity * deltaTime;
+            position.y += this.velocity.y * deltaTime;
+
+            // Land once the feet reach the floor on the way down
+            if (position.y <= floor && this.velocity.y <= 0) {
+                position.y = floor;
+                this.velocity.y = 0;
+                this.isGrounded = true;
+            }
+        } else {
+            // Snap onto low steps walked over
+            position.y = floor;
+        }
+
+        this.cameraController.updateEyeHeight();
+    }
+
+    /**
+     * Raise or lower the guard from the block input, draining stamina while it is held
+     * @param {number} deltaTime - Time since last update
+     */
+    updateBlock(deltaTime) {
+        const wantsBlock = this.settings.isBlockPressed() && !!this.woodenSword;
+
+        if (!wantsBlock) {
+            this.isGuardBroken = false;
+        }
+
+        if (this.isBlocking) {
+            this.blockTime += deltaTime;
+            this.useStamina(this.blockStaminaDrain * deltaTime);
+
+            if (this.stamina <= 0) {
+                // Out of stamina - the guard stays down until the button is released
+                this.isGuardBroken = true;
+                this.stopBlock();
+            } else if (!wantsBlock) {
+                this.stopBlock();
+            }
+        } else if (wantsBlock && !this.isGuardBroken && this.stamina >= this.minBlockStamina &&
+            this.woodenSword.canBlock()) {
+            this.startBlock();
+        }
+    }
+
+    /**
+     * Sprint while the sprint key is held and the player is moving, draining stamina
+     * @param {number} deltaTime - Time since last update
+     */
+    updateSprint(deltaTime) {
+        const wantsSprint = this.settings.isSprintPressed();
+
+        if (!wantsSprint) {
+            this.isSprintExhausted = false;
+        }
+
+        const isMoving = this.cameraController && this.cameraController.isMoving();
+        this.isSprinting = wantsSprint && isMoving && !this.isBlocking &&
+            !this.isSprintExhausted && this.stamina > 0;
+
+        if (this.isSprinting) {
+            this.useStamina(this.sprintStaminaDrain * deltaTime);
+
+            // Out of stamina - walk until the sprint key is released
+            if (this.stamina <= 0) {
+                this.isSprintExhausted = true;
+                this.isSprinting = false;
+            }
+        }
+    }
+
+    /**
+     * Get the movement speed multiplier for the current stance
+     * @returns {number} Multiplier applied to the base move speed
+     */
+    getMoveSpeedMultiplier() {
+        if (this.isBlocking) {
+            return this.blockMoveSpeedMultiplier;
+        }
+        if (this.isSprinting) {
+            return this.settings.getSprintMultiplier();
+        }
+        return 1;
+    }
+
+    startBlock() {
+        this.isBlocking = true;
+        this.blockTime = 0;
+        this.woodenSword.startBlock();
+    }
+
+    stopBlock() {
+        this.isBlocking = false;
+        this.blockTime = 0;
+        if (this.woodenSword) {
+            this.woodenSword.endBlock();
+        }
+    }
+
+    /**
+     * Check if an attacker is inside the frontal arc covered by the guard
+     * @param {Object} attacker - The entity dealing the damage
+     * @returns {boolean} Whether the attacker is in front of the player
+     */
+    isFacing(attacker) {
+        if (!attacker || !attacker.mesh) return false;
+
+        const toAttacker = attacker.mesh.position.clone().sub(this.mesh.position);
+        toAttacker.y = 0;
+        if (toAttacker.lengthSq() === 0) return true;
+
+        const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(this.mesh.quaternion);
+        forward.y = 0;
+        if (forward.lengthSq() === 0) return false;
+
+        return toAttacker.angleTo(forward) <= this.blockArc / 2;
+    }
+
+    /**
+     * Reduce a hit with the guard if it comes from the front. A block raised just
+     * before the hit stops it completely and staggers the attacker.
+     * @param {number} amount - Raw damage
+     * @param {Object} attacker - The entity dealing the damage
+     * @returns {number} Damage left after the block
+     */
+    applyBlock(amount, attacker) {
+        if (!this.isBlocking || !this.isFacing(attacker)) {
+            return amount;
+        }
+
+        const isPerfect = this.blockTime <= this.perfectBlockWindow;
+        this.useStamina(this.blockHitStaminaCost);
+
+        const event = new CustomEvent('playerBlocked', {
+            detail: { player: this, attacker, isPerfect }
+        });
+        window.dispatchEvent(event);
+
+        if (isPerfect) {
+            if (typeof attacker.stagger === 'function') {
+                attacker.stagger(this.staggerDuration);
+            }
+            return 0;
+        }
+
+        const weapon = this.equipmentSystem.getItem('MAINHAND');
+        const blockStrength = weapon ? weapon.getBlockStrength() : 0;
+        return amount * (1 - blockStrength);
+    }
+
+    /**
+     * Take damage from an attacker, reduced by blocking and defense
+     * @param {number} amount - Raw damage
+     * @param {Object} attacker - The entity dealing the damage
+     * @returns {number} Damage actually taken
+     */
+    takeDamage(amount, attacker = null) {
+        if (this.isDead) return 0;
+
+        const blockedAmount = this.applyBlock(amount, attacker);
+        if (blockedAmount <= 0) return 0;
+
+        const actualDamage = super.takeDamage(blockedAmount);
+
+        if (actualDamage > 0) {
+            // Dispatch event so other systems can react to the hit
+            const event = new CustomEvent('playerDamaged', {
+                detail: { player: this, amount: actualDamage, attacker }
+            });
+            window.dispatchEvent(event);
+        }
+
+        return actualDamage;
+    }
+
+    /**
+     * Handle the player's death and start the respawn timer
+     */
+    die() {
+        if (this.isDead) return;
+
+        this.isDead = true;
+        this.respawnTimer = this.respawnDelay;
+        this.isSprinting = false;
+        this.stopBlock();
+
+        // Drop any held movement keys and cancel a swing in progress
+        if (this.cameraController) {
+            this.cameraController.reset();
+        }
+        if (this.woodenSword && this.woodenSword.attackAnimation) {
+            this.woodenSword.attackAnimation.reset();
+            this.woodenSword.blockAnimation.reset();
+        }
+
+        const event = new CustomEvent('playerDied', {
+            detail: { player: this }
+        });
+        window.dispatchEvent(event);
+    }
+
+    /**
+     * Count down to respawn while dead. Respawning only happens while a run is active,
+     * so a death that ends the run leaves the player down until the next run.
+     * @param {number} deltaTime - Time since last update
+     */
+    updateRespawn(deltaTime) {
+        const runActive = this.game && this.game.runState && this.game.runState.isActive;
+        if (!runActive) return;
+
+        this.respawnTimer = Math.max(0, this.respawnTimer - deltaTime);
+        if (this.respawnTimer <= 0) {
+            this.respawn();
+        }
+    }
+
+    /**
+     * Bring the player back to full health inside the castle
+     */
+    respawn() {
+        this.isDead = false;
+        this.health = this.maxHealth;
+        this.stamina = this.maxStamina;
+        this.respawnTimer = 0;
+        this.mesh.position.copy(this.respawnPosition);
+        this.velocity.set(0, 0, 0);
+        this.isGrounded = true;
+        this.mesh.quaternion.identity();
+        if (this.cameraController) {
+            this.cameraController.reset();
+        }
+
+        const event = new CustomEvent('playerRespawned', {
+            detail: { player: this }
+        });
+        window.dispatchEvent(event);
+    }
+
+    /**
+     * Return the player to a fresh state for a new run
+     * @param {THREE.Vector3} position - Where the player should stand
+     */
+    reset(position) {
+        // Restore health and stamina
+        this.health = this.maxHealth;
+        this.stamina = this.maxStamina;
+        this.staminaRegenCooldown = 0;
+        this.isDead = false;
+        this.respawnTimer = 0;
+        this.isBlocking = false;
+        this.isGuardBroken = false;
+        this.blockTime = 0;
+        this.isSprinting = false;
+        this.isSprintExhausted = false;
+
+        // Gold doesn't carry over between runs
+        this.inventory.removeCurrency('gold', this.inventory.getCurrency('gold'));
+        this.inventory.addCurrency('gold', STARTING_GOLD);
+
+        // Move back to the spawn point facing forward
+        this.mesh.position.copy(position);
+        this.velocity.set(0, 0, 0);
+        this.isGrounded = true;
+        this.mesh.quaternion.identity();
+        if (this.cameraController) {
+            this.cameraController.reset();
+        }
+
+        // Make sure the sword is equipped and not mid-swing
+        if (this.woodenSword) {
+            if (this.equipmentSystem.getItem('MAINHAND') !== this.woodenSword) {
+                this.equipSword();
+            } else if (this.woodenSword.attackAnimation) {
+                this.woodenSword.attackAnimation.reset();
+            }
+            this.woodenSword.blockAnimation.reset();
+        }
     }
 
     /**
@@ -159,4 +516,12 @@ export class Player extends PlayerSchema {
     getGame() {
         return this.game;
     }
+
+    /**
+     * Get the time attack cooldowns are measured against
+     * @returns {number} Game clock time in seconds, or wall-clock time before the game is set
+     */
+    getClockTime() {
+        return this.game && this.game.scheduler ? this.game.scheduler.now() : performance.now() / 1000;
+    }
 } 
\ No newline at end of file
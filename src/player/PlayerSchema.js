@@ -33,6 +33,19 @@ export class PlayerSchema extends NPCSchema {
             ...config
         });
 
+        // Stamina, spent by sprinting, swinging and blocking and regenerated while resting.
+        // The pool grows with vitality and dexterity, including bonuses from equipped items.
+        this.baseStamina = config.baseStamina || 50;
+        this.staminaPerVitality = config.staminaPerVitality || 3;
+        this.staminaPerDexterity = config.staminaPerDexterity || 2;
+        this.maxStamina = 0;
+        this.stamina = 0;
+        this.updateMaxStamina();
+        this.staminaRegenRate = config.staminaRegenRate || 20; // per second
+        this.staminaRegenDelay = config.staminaRegenDelay || 1; // seconds after last use
+        this.staminaExhaustedDelay = config.staminaExhaustedDelay || 2; // seconds after running out
+        this.staminaRegenCooldown = 0;
+
         // Player specific properties
         this.isPlayer = true;
         this.isFirstPerson = true; // Toggle between first and third person
@@ -143,6 +156,59 @@ export class PlayerSchema extends NPCSchema {
         return group;
     }
 
+    /**
+     * Reduce incoming damage by defense as a percentage, so the player's defense
+     * softens hits instead of cancelling out weak attacks entirely
+     * @param {number} amount - Raw damage
+     * @returns {number} Damage after defense
+     */
+    calculateDamageTaken(amount) {
+        const reduced = amount * (100 / (100 + Math.max(0, this.defense)));
+        return Math.round(reduced * 10) / 10;
+    }
+
+    /**
+     * Recalculate the stamina pool from vitality and dexterity
+     * @param {Object} bonusStats - Stats granted by equipped items
+     */
+    updateMaxStamina(bonusStats = {}) {
+        const vitality = this.stats.vitality + (bonusStats.vitality || 0);
+        const dexterity = this.stats.dexterity + (bonusStats.dexterity || 0);
+        const maxStamina = this.baseStamina +
+            vitality * this.staminaPerVitality +
+            dexterity * this.staminaPerDexterity;
+
+        // Keep the same fraction of stamina when the pool changes size
+        const ratio = this.maxStamina > 0 ? this.stamina / this.maxStamina : 1;
+        this.maxStamina = maxStamina;
+        this.stamina = maxStamina * ratio;
+    }
+
+    /**
+     * Spend stamina, pausing regeneration for a moment. Running out pauses it for longer.
+     * @param {number} amount - Stamina to spend
+     * @returns {boolean} Whether there was any stamina left to spend
+     */
+    useStamina(amount) {
+        if (this.stamina <= 0) return false;
+
+        this.stamina = Math.max(0, this.stamina - amount);
+        this.staminaRegenCooldown = this.stamina > 0 ? this.staminaRegenDelay : this.staminaExhaustedDelay;
+        return true;
+    }
+
+    /**
+     * Regenerate stamina once the regen delay has passed
+     * @param {number} deltaTime - Time since last update
+     */
+    regenerateStamina(deltaTime) {
+        if (this.staminaRegenCooldown > 0) {
+            this.staminaRegenCooldown = Math.max(0, this.staminaRegenCooldown - deltaTime);
+            return;
+        }
+        this.stamina = Math.min(this.maxStamina, this.stamina + this.staminaRegenRate * deltaTime);
+    }
+
     /**
      * Toggle between first and third person view
      */
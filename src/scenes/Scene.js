@@ -1,5 +1,4 @@
 import * as THREE from 'three';
-import { CastleWalls } from '../entities/structures/CastleWalls.js';
 import { Ground } from '../entities/structures/Ground.js';
 import { Sky } from '../entities/environment/Sky.js';
 import { HumanDummy } from '../npc/humanoid/HumanDummy.js';
@@ -16,7 +15,6 @@ export class Scene {
         this.scene = new THREE.Scene();
         
         // Components
-        this.castle = null;
         this.ground = null;
         this.sky = null;
         
@@ -43,9 +41,8 @@ export class Scene {
         
         // Create ground
         this._createGround();
-        
-        // Create castle
-        this._createCastle();
+
+        // The castle is built by Game, which owns its damage and collapse
         
         // Handle window resize
         window.addEventListener('resize', this._onWindowResize.bind(this));
@@ -63,6 +60,14 @@ export class Scene {
         return this.scene;
     }
     
+    /**
+     * Get the ground the player and enemies stand on
+     * @returns {Ground} The ground
+     */
+    getGround() {
+        return this.ground;
+    }
+    
     /**
      * Setup scene lighting
      * @private
@@ -129,21 +134,6 @@ export class Scene {
         }
     }
     
-    /**
-     * Create castle
-     * @private
-     */
-    _createCastle() {
-        this.castle = new CastleWalls({
-            size: 20,
-            wallHeight: 8,
-            debug: this.debug
-        });
-        
-        const castleMesh = this.castle.build();
-        this.scene.add(castleMesh);
-    }
-    
     /**
      * Handle window resize
      * @private
@@ -173,11 +163,6 @@ export class Scene {
      * @param {number} deltaTime - Time since last update in seconds
      */
     update(deltaTime) {
-        // Update components
-        if (this.castle) {
-            this.castle.update(deltaTime);
-        }
-        
         // Update sky and clouds
         if (this.sky) {
             this.sky.update(deltaTime);
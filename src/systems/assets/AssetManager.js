@@ -0,0 +1,117 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
+import { clone as cloneSkinned } from 'three/examples/jsm/utils/SkeletonUtils';
+
+/**
+ * Loads each model, sound and texture once and shares it across the game.
+ *
+ * Loads are cached by path, so asking for an asset that is already loading waits
+ * for the same request. Models are handed out as SkeletonUtils clones so every
+ * goblin gets its own skeleton while sharing geometry and materials with the
+ * cached original. Failed loads are cached too and resolve to null, letting
+ * callers fall back to procedural models.
+ */
+export class AssetManager extends THREE.EventDispatcher {
+    constructor() {
+        super();
+
+        this.loadingManager = new THREE.LoadingManager();
+        this.gltfLoader = new GLTFLoader(this.loadingManager);
+        this.audioLoader = new THREE.AudioLoader(this.loadingManager);
+        this.textureLoader = new THREE.TextureLoader(this.loadingManager);
+
+        // Promises of loaded assets by path, resolving to null if the load failed
+        this.models = new Map();
+        this.audio = new Map();
+        this.textures = new Map();
+    }
+
+    /**
+     * Load every asset of a manifest, dispatching 'progress' as each one settles
+     * @param {Object} manifest - Asset paths to load
+     * @param {string[]} manifest.models - GLTF/GLB model paths
+     * @param {string[]} manifest.audio - Sound file paths
+     * @param {string[]} manifest.textures - Image paths
+     * @returns {Promise<void>} Resolves once every asset has loaded or failed
+     */
+    async preload(manifest = {}) {
+        const loads = [
+            ...(manifest.models || []).map(path => ({ path, promise: this.loadModel(path) })),
+            ...(manifest.audio || []).map(path => ({ path, promise: this.loadAudio(path) })),
+            ...(manifest.textures || []).map(path => ({ path, promise: this.loadTexture(path) }))
+        ];
+
+        const total = loads.length;
+        let loaded = 0;
+        this.dispatchEvent({ type: 'progress', loaded, total, path: null });
+
+        await Promise.all(
+            loads.map(({ path, promise }) =>
+                promise.then(() => {
+                    loaded++;
+                    this.dispatchEvent({ type: 'progress', loaded, total, path });
+                })
+            )
+        );
+    }
+
+    /**
+     * Load a GLTF model once
+     * @param {string} path - URL of the model
+     * @returns {Promise<Object|null>} The cached GLTF, or null if it failed to load
+     */
+    loadModel(path) {
+        return this.load(this.models, path, this.gltfLoader, 'model');
+    }
+
+    /**
+     * Load a sound once
+     * @param {string} path - URL of the sound
+     * @returns {Promise<AudioBuffer|null>} The decoded sound, or null if it failed to load
+     */
+    loadAudio(path) {
+        return this.load(this.audio, path, this.audioLoader, 'sound');
+    }
+
+    /**
+     * Load a texture once
+     * @param {string} path - URL of the image
+     * @returns {Promise<THREE.Texture|null>} The shared texture, or null if it failed to load
+     */
+    loadTexture(path) {
+        return this.load(this.textures, path, this.textureLoader, 'texture');
+    }
+
+    load(cache, path, loader, label) {
+        if (!cache.has(path)) {
+            const promise = loader.loadAsync(path).catch(error => {
+                console.error(`AssetManager: Failed to load ${label} ${path}`, error);
+                return null;
+            });
+            cache.set(path, promise);
+        }
+        return cache.get(path);
+    }
+
+    /**
+     * Get a fresh copy of a model. Geometry and materials are shared with the cached
+     * original, so owners must not dispose them.
+     * @param {string} path - URL of the model
+     * @returns {Promise<{scene: THREE.Object3D, animations: THREE.AnimationClip[]}|null>}
+     *   The cloned scene and its animation clips, or null if the model failed to load
+     */
+    async getModel(path) {
+        const gltf = await this.loadModel(path);
+        if (!gltf || !gltf.scene) {
+            return null;
+        }
+
+        return {
+            scene: cloneSkinned(gltf.scene),
+            animations: gltf.animations || []
+        };
+    }
+}
+
+// Cache shared by everything that loads assets
+export const assetManager = new AssetManager();
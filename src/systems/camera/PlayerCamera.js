@@ -18,6 +18,13 @@ export class PlayerCamera {
             maxZ: 100
         };
         
+        // Collision - anything with getColliders() returning THREE.Box3[] blocks movement
+        this.colliderSources = [];
+        this.ground = null;
+        this.collisionRadius = 0.5;
+        this.bodyHeight = 1.8;
+        this.stepHeight = 0.3; // Ledges this low are walked over without jumping
+        
         // Movement state
         this.moveForward = false;
         this.moveBackward = false;
@@ -172,7 +179,8 @@ export class PlayerCamera {
         return position;
     }
 
-    update() {
+    // speedMultiplier scales movement, e.g. to slow the player while blocking
+    update(speedMultiplier = 1) {
         if (!this.isInitialized) return;
         
         // Don't update camera movement if game is paused
@@ -201,56 +209,123 @@ export class PlayerCamera {
         const newPosition = currentPosition.clone();
 
         // Calculate new position
+        const moveSpeed = this.moveSpeed * speedMultiplier;
         if (this.moveForward || this.moveBackward) {
-            newPosition.addScaledVector(forward, this.direction.z * this.moveSpeed);
+            newPosition.addScaledVector(forward, this.direction.z * moveSpeed);
         }
         if (this.moveLeft || this.moveRight) {
-            newPosition.addScaledVector(right, this.direction.x * this.moveSpeed);
+            newPosition.addScaledVector(right, this.direction.x * moveSpeed);
         }
 
         // Check if new position is within bounds
         if (this.isWithinBounds(newPosition)) {
-            // Check for castle wall collisions
-            const castle = this.game.castle;
-            if (castle) {
-                // Check if the new position would cause a collision
-                if (castle.checkCollision(newPosition, 1.5)) {
-                    // If there's a collision, try to slide along walls
-                    const slidePosition = newPosition.clone();
-                    
-                    // Try moving only in X direction
-                    slidePosition.x = newPosition.x;
-                    slidePosition.z = currentPosition.z;
-                    if (!castle.checkCollision(slidePosition, 1.5)) {
+            // Check if the new position would cause a collision
+            if (this.isBlocked(newPosition)) {
+                // If there's a collision, try to slide along walls
+                const slidePosition = newPosition.clone();
+                
+                // Try moving only in X direction
+                slidePosition.x = newPosition.x;
+                slidePosition.z = currentPosition.z;
+                if (!this.isBlocked(slidePosition)) {
+                    playerMesh.position.copy(slidePosition);
+                } else {
+                    // Try moving only in Z direction
+                    slidePosition.x = currentPosition.x;
+                    slidePosition.z = newPosition.z;
+                    if (!this.isBlocked(slidePosition)) {
                         playerMesh.position.copy(slidePosition);
-                    } else {
-                        // Try moving only in Z direction
-                        slidePosition.x = currentPosition.x;
-                        slidePosition.z = newPosition.z;
-                        if (!castle.checkCollision(slidePosition, 1.5)) {
-                            playerMesh.position.copy(slidePosition);
-                        }
                     }
-                } else {
-                    // If no collision, update position
-                    playerMesh.position.copy(newPosition);
                 }
             } else {
-                // If no castle, just update position
+                // If no collision, update position
                 playerMesh.position.copy(newPosition);
             }
         } else {
             // Clamp position to bounds if outside
             playerMesh.position.copy(this.clampToBounds(newPosition));
         }
-
-        // Keep the player mesh at ground level
-        playerMesh.position.y = 0;
         
-        // Set camera's world position to maintain eye height
+        this.updateEyeHeight();
+    }
+
+    // Keep the camera at eye height above the player's feet, whatever the pitch
+    updateEyeHeight() {
+        const playerMesh = this.camera.parent;
         const worldPosition = this.camera.getWorldPosition(new THREE.Vector3());
-        worldPosition.y = this.eyeHeight;
-        this.camera.position.copy(this.camera.parent.worldToLocal(worldPosition));
+        worldPosition.y = playerMesh.position.y + this.eyeHeight;
+        this.camera.position.copy(playerMesh.worldToLocal(worldPosition));
+    }
+
+    /**
+     * Add an object that blocks player movement
+     * @param {Object} source - Object with a getColliders() method returning THREE.Box3[]
+     */
+    addColliderSource(source) {
+        if (!this.colliderSources.includes(source)) {
+            this.colliderSources.push(source);
+        }
+    }
+
+    /**
+     * Set the ground the player falls back to when not standing on anything
+     * @param {Ground} ground - Ground with a getHeightAt(x, z) method
+     */
+    setGround(ground) {
+        this.ground = ground;
+    }
+
+    getColliders() {
+        return this.colliderSources.flatMap(source => source.getColliders());
+    }
+
+    /**
+     * Check if the player's body would overlap a collider at a position. Colliders the
+     * player is standing on, or that are low enough to step over, don't block.
+     * @param {THREE.Vector3} position - Feet position to check
+     * @returns {boolean} Whether movement to the position is blocked
+     */
+    isBlocked(position) {
+        const feet = position.y + this.stepHeight;
+        const head = position.y + this.bodyHeight;
+
+        return this.getColliders().some(box => {
+            if (box.max.y <= feet || box.min.y >= head) {
+                return false;
+            }
+
+            // Distance from the player's centre to the closest point of the box footprint
+            const dx = Math.max(box.min.x - position.x, 0, position.x - box.max.x);
+            const dz = Math.max(box.min.z - position.z, 0, position.z - box.max.z);
+            return dx * dx + dz * dz < this.collisionRadius * this.collisionRadius;
+        });
+    }
+
+    /**
+     * Get the height of the highest surface under the player that they can stand on
+     * @param {THREE.Vector3} position - Feet position to check
+     * @returns {number} Height of the floor, or -Infinity if there is nothing below
+     */
+    getFloorHeight(position) {
+        let floor = this.ground ? this.ground.getHeightAt(position.x, position.z) : 0;
+
+        // Let the player stand on a ledge until their centre is nearly off it
+        const margin = this.collisionRadius / 2;
+        this.getColliders().forEach(box => {
+            if (box.max.y > position.y + this.stepHeight || box.max.y <= floor) {
+                return;
+            }
+            if (position.x >= box.min.x - margin && position.x <= box.max.x + margin &&
+                position.z >= box.min.z - margin && position.z <= box.max.z + margin) {
+                floor = box.max.y;
+            }
+        });
+
+        return floor;
+    }
+
+    isMoving() {
+        return this.moveForward || this.moveBackward || this.moveLeft || this.moveRight;
     }
 
     getCamera() {
@@ -276,6 +351,12 @@ export class PlayerCamera {
 
     // Reset position to origin
     reset() {
+        // Release any movement keys held when the reset happened
+        this.moveForward = false;
+        this.moveBackward = false;
+        this.moveLeft = false;
+        this.moveRight = false;
+
         if (this.camera) {
             this.camera.position.set(0, this.eyeHeight, 0);
             this.camera.rotation.set(0, 0, 0);
@@ -0,0 +1,132 @@
+// How close the player must stand to a wall, tower or the keep to repair it
+const REPAIR_RANGE = 4;
+
+// Holding the interact key for REPAIR_TIME seconds spends REPAIR_COST gold to restore REPAIR_AMOUNT health
+const REPAIR_TIME = 1.5;
+const REPAIR_COST = 10;
+const REPAIR_AMOUNT = 25;
+
+/**
+ * Lets the player repair damaged parts of the castle by holding the interact key
+ * next to them, paying gold for each repair. Getting hit interrupts a repair
+ * until the key is let go.
+ */
+export class CastleRepair {
+    /**
+     * @param {Castle} castle - The castle to repair
+     * @param {Player} player - The player doing the repairs, paying from their inventory
+     */
+    constructor(castle, player) {
+        this.castle = castle;
+        this.player = player;
+        this.target = null; // { segment, name }, where segment is null for the keep
+        this.progress = 0; // 0 to 1 through the current repair
+        this.isInterrupted = false;
+    }
+
+    /**
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        const target = this.player.isDead ? null : this.findTarget();
+        const isHolding = this.player.settings.isInteractPressed();
+
+        // Moving to another part of the castle starts its repair over
+        if (!target || !this.target || target.segment !== this.target.segment) {
+            this.progress = 0;
+        }
+        this.target = target;
+
+        if (!isHolding) {
+            this.progress = 0;
+            this.isInterrupted = false;
+            return;
+        }
+        if (!target || this.isInterrupted || !this.canAfford()) return;
+
+        this.progress += deltaTime / REPAIR_TIME;
+        if (this.progress >= 1) {
+            this.progress = 0;
+            this.completeRepair(target);
+        }
+    }
+
+    /**
+     * Spend the gold and restore the health of one repair
+     * @param {Object} target - The part being repaired
+     */
+    completeRepair(target) {
+        if (!this.player.inventory.removeCurrency('gold', REPAIR_COST)) return;
+
+        this.castle.heal(REPAIR_AMOUNT, target.segment);
+    }
+
+    /**
+     * Get the damaged wall, tower or keep nearest the player that is within reach.
+     * Walls and towers that have collapsed can't be repaired.
+     * @returns {Object|null} { segment, name }, where segment is null for the keep
+     */
+    findTarget() {
+        const walls = this.castle.castleWalls;
+        if (!walls || !this.castle.isAlive()) return null;
+
+        const position = this.player.mesh.position;
+        let target = null;
+        let nearestDistance = REPAIR_RANGE;
+
+        this.castle.getSegments().forEach(segment => {
+            if (segment.isDestroyed || segment.health >= segment.maxHealth) return;
+            const distance = walls.getDistanceTo(segment, position);
+            if (distance <= nearestDistance) {
+                target = { segment, name: segment.name };
+                nearestDistance = distance;
+            }
+        });
+
+        if (this.castle.getHealth() < this.castle.getMaxHealth() &&
+            walls.getDistanceTo(walls.keep, position) <= nearestDistance) {
+            target = { segment: null, name: walls.keep.name };
+        }
+        return target;
+    }
+
+    /**
+     * Get the health of a part of the castle
+     * @param {Object} target - A target returned by findTarget()
+     * @returns {{health: number, maxHealth: number}} Current and full health
+     */
+    getTargetHealth(target) {
+        if (target.segment) {
+            return { health: target.segment.health, maxHealth: target.segment.maxHealth };
+        }
+        return { health: this.castle.getHealth(), maxHealth: this.castle.getMaxHealth() };
+    }
+
+    canAfford() {
+        return this.player.inventory.getCurrency('gold') >= REPAIR_COST;
+    }
+
+    getRepairCost() {
+        return REPAIR_COST;
+    }
+
+    /**
+     * Stop the repair under way, e.g. when the player is hit. Repairing can start
+     * again once the interact key has been let go.
+     */
+    interrupt() {
+        if (this.progress <= 0) return;
+
+        this.progress = 0;
+        this.isInterrupted = true;
+    }
+
+    /**
+     * Drop any repair under way, e.g. when a run ends
+     */
+    reset() {
+        this.target = null;
+        this.progress = 0;
+        this.isInterrupted = false;
+    }
+}
@@ -0,0 +1,105 @@
+// Upgrades the player can buy for the castle between waves. An upgrade can only
+// be bought once the one it `requires` has been. Wall health tiers set the
+// health of every wall and tower to a multiple of its base health.
+const UPGRADES = [
+    {
+        id: 'stoneWalls',
+        name: 'Stone Walls',
+        description: 'Walls and towers +50% health, keep +25 health',
+        cost: 40,
+        requires: null,
+        effects: { healthMultiplier: 1.5, keepHealth: 25 },
+        decoration: 'crenellations'
+    },
+    {
+        id: 'fortifiedWalls',
+        name: 'Fortified Walls',
+        description: 'Walls and towers double health, keep +50 health',
+        cost: 80,
+        requires: 'stoneWalls',
+        effects: { healthMultiplier: 2, keepHealth: 50 },
+        color: 0x6a6a74
+    },
+    {
+        id: 'spikedWalls',
+        name: 'Spiked Walls',
+        description: 'Goblins striking the walls take 4 damage',
+        cost: 50,
+        requires: 'stoneWalls',
+        effects: { spikeDamage: 4 },
+        decoration: 'spikes'
+    },
+    {
+        id: 'reinforcedGates',
+        name: 'Reinforced Gates',
+        description: 'Walls take 25% less damage',
+        cost: 45,
+        requires: null,
+        effects: { wallArmor: 0.25 },
+        decoration: 'gates'
+    },
+    {
+        id: 'towerArmor',
+        name: 'Tower Armor',
+        description: 'Towers take 30% less damage',
+        cost: 45,
+        requires: null,
+        effects: { towerArmor: 0.3 },
+        decoration: 'towerArmor'
+    }
+];
+
+/**
+ * Sells castle upgrades to the player for gold. Bought upgrades are recorded in
+ * the run state and last until the run ends.
+ */
+export class CastleUpgrades {
+    /**
+     * @param {Castle} castle - The castle to upgrade
+     * @param {Player} player - The player buying upgrades from their inventory
+     * @param {RunState} runState - Run the upgrades are recorded in
+     */
+    constructor(castle, player, runState) {
+        this.castle = castle;
+        this.player = player;
+        this.runState = runState;
+    }
+
+    getUpgrades() {
+        return UPGRADES;
+    }
+
+    /**
+     * Get whether an upgrade has been bought or can be
+     * @param {Object} upgrade - Upgrade definition
+     * @returns {string} 'owned', 'locked' until the upgrade it requires is bought, or 'available'
+     */
+    getStatus(upgrade) {
+        if (this.runState.hasUpgrade(upgrade.id)) return 'owned';
+        if (upgrade.requires && !this.runState.hasUpgrade(upgrade.requires)) return 'locked';
+        return 'available';
+    }
+
+    canAfford(upgrade) {
+        return this.player.inventory.getCurrency('gold') >= upgrade.cost;
+    }
+
+    /**
+     * Buy an upgrade and apply it to the castle
+     * @param {string} upgradeId - Id of the upgrade
+     * @returns {boolean} Whether the upgrade was bought
+     */
+    purchase(upgradeId) {
+        const upgrade = UPGRADES.find(entry => entry.id === upgradeId);
+        if (!upgrade || this.getStatus(upgrade) !== 'available' || !this.castle.isAlive()) {
+            return false;
+        }
+        if (!this.player.inventory.removeCurrency('gold', upgrade.cost)) {
+            return false;
+        }
+
+        this.runState.recordUpgrade(upgrade.id);
+        this.castle.applyUpgrade(upgrade);
+        return true;
+    }
+}
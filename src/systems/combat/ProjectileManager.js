@@ -0,0 +1,172 @@
+import * as THREE from 'three';
+
+// Flight and look of each kind of projectile
+const PROJECTILE_TYPES = {
+    arrow: { speed: 30, gravity: 9.8, color: 0x6b4423, emissive: 0x000000 },
+    bolt: { speed: 16, gravity: 0, color: 0xb388ff, emissive: 0x7c4dff }
+};
+
+// How close a projectile has to pass to the player to hit them
+const PLAYER_HIT_RADIUS = 0.9;
+
+// Height above the player's feet that projectiles aim for
+const PLAYER_AIM_HEIGHT = 1.2;
+
+/**
+ * Flies enemy projectiles, such as goblin archers' arrows and shamans' bolts.
+ *
+ * Projectiles follow an arc that lands on the point they were aimed at. Shots at
+ * the player hit if they pass close enough to them, so the player can sidestep
+ * or block them; shots at the castle hit the wall when they land.
+ */
+export class ProjectileManager {
+    /**
+     * @param {THREE.Scene} scene - Scene projectiles are added to
+     * @param {Castle} castle - Castle damaged by shots at the walls
+     */
+    constructor(scene, castle) {
+        this.scene = scene;
+        this.castle = castle;
+        this.projectiles = [];
+
+        // Every projectile of a type shares its geometry and material
+        this.geometries = {};
+        this.materials = {};
+    }
+
+    /**
+     * Launch a projectile
+     * @param {Object} options - Shot options
+     * @param {string} options.type - 'arrow' or 'bolt'
+     * @param {THREE.Vector3} options.origin - Where the projectile starts
+     * @param {THREE.Vector3} options.target - Where it should land
+     * @param {Object} options.targetEntity - Entity being shot at, e.g. the player; null for the castle
+     * @param {number} options.damage - Damage dealt on a hit
+     * @param {Object} options.source - Who fired it
+     */
+    fire({ type, origin, target, targetEntity = null, damage, source = null }) {
+        const config = PROJECTILE_TYPES[type];
+        const flightTime = Math.max(0.1, origin.distanceTo(target) / config.speed);
+
+        // Launch upwards just enough that gravity brings it down on the target
+        const velocity = target.clone().sub(origin).divideScalar(flightTime);
+        velocity.y += 0.5 * config.gravity * flightTime;
+
+        const mesh = new THREE.Mesh(this.getGeometry(type), this.getMaterial(type));
+        mesh.position.copy(origin);
+        this.scene.add(mesh);
+
+        this.projectiles.push({
+            type,
+            mesh,
+            velocity,
+            gravity: config.gravity,
+            remaining: flightTime,
+            targetEntity,
+            damage,
+            source
+        });
+    }
+
+    /**
+     * Get the point projectiles aim at on the player
+     * @param {Player} player - The player
+     * @returns {THREE.Vector3} Aim point
+     */
+    getPlayerAimPoint(player) {
+        return player.mesh.position.clone().add(new THREE.Vector3(0, PLAYER_AIM_HEIGHT, 0));
+    }
+
+    /**
+     * Move projectiles and resolve the ones that hit or land
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        this.projectiles = this.projectiles.filter(projectile => {
+            projectile.velocity.y -= projectile.gravity * deltaTime;
+            projectile.mesh.position.addScaledVector(projectile.velocity, deltaTime);
+            projectile.remaining -= deltaTime;
+
+            // Point the projectile along its flight path
+            const ahead = projectile.mesh.position.clone().add(projectile.velocity);
+            projectile.mesh.lookAt(ahead);
+
+            if (projectile.targetEntity) {
+                if (this.hitsEntity(projectile, projectile.targetEntity)) {
+                    // The projectile is passed as the attacker so blocks face the shot
+                    projectile.targetEntity.takeDamage(projectile.damage, projectile);
+                    this.removeMesh(projectile);
+                    return false;
+                }
+            } else if (projectile.remaining <= 0 && this.castle.isAlive()) {
+                this.castle.takeDamage(projectile.damage, projectile.mesh.position);
+            }
+
+            if (projectile.remaining <= 0) {
+                this.removeMesh(projectile);
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Check whether a projectile is touching the entity it was fired at
+     * @param {Object} projectile - The projectile
+     * @param {Object} entity - Entity with a mesh, e.g. the player
+     * @returns {boolean} Whether the projectile hits
+     */
+    hitsEntity(projectile, entity) {
+        if (!entity.mesh || entity.isDead) return false;
+        return projectile.mesh.position.distanceTo(this.getPlayerAimPoint(entity)) <= PLAYER_HIT_RADIUS;
+    }
+
+    getGeometry(type) {
+        if (!this.geometries[type]) {
+            if (type === 'arrow') {
+                // Thin shaft along the z axis, so lookAt points it forwards
+                this.geometries[type] = new THREE.CylinderGeometry(0.03, 0.03, 0.9, 6).rotateX(Math.PI / 2);
+            } else {
+                this.geometries[type] = new THREE.SphereGeometry(0.2, 8, 8);
+            }
+        }
+        return this.geometries[type];
+    }
+
+    getMaterial(type) {
+        if (!this.materials[type]) {
+            const config = PROJECTILE_TYPES[type];
+            this.materials[type] = new THREE.MeshStandardMaterial({
+                color: config.color,
+                emissive: config.emissive,
+                emissiveIntensity: 1.5
+            });
+        }
+        return this.materials[type];
+    }
+
+    removeMesh(projectile) {
+        if (projectile.mesh.parent) {
+            projectile.mesh.parent.remove(projectile.mesh);
+        }
+    }
+
+    /**
+     * Remove every projectile in flight, e.g. when a run ends
+     */
+    clear() {
+        this.projectiles.forEach(projectile => this.removeMesh(projectile));
+        this.projectiles = [];
+    }
+
+    /**
+     * Remove every projectile and free the shared geometry and materials
+     */
+    dispose() {
+        this.clear();
+        Object.values(this.geometries).forEach(geometry => geometry.dispose());
+        Object.values(this.materials).forEach(material => material.dispose());
+        this.geometries = {};
+        this.materials = {};
+    }
+}
@@ -0,0 +1,86 @@
+/**
+ * Samples renderer memory at the start of every wave to catch leaks.
+ *
+ * Geometry, texture and shader program counts should stay flat from one wave to
+ * the next once the first waves have warmed up the goblin pool and compiled the
+ * shaders. A sample that grows past the baseline logs a warning. Call report()
+ * from the console after a long run to see every sample.
+ */
+export class LeakMonitor {
+    /**
+     * @param {THREE.WebGLRenderer} renderer - Renderer whose memory is sampled
+     * @param {Object} options - Monitor options
+     * @param {number} options.warmupSamples - Samples taken before the baseline
+     * @param {Function} options.getExtraStats - Returns extra counts to record, e.g. pool
+     *   sizes. A 'corpses' count is allowed one texture each, for their health bars.
+     */
+    constructor(renderer, options = {}) {
+        this.renderer = renderer;
+        this.warmupSamples = options.warmupSamples !== undefined ? options.warmupSamples : 1;
+        this.getExtraStats = options.getExtraStats || null;
+        this.samples = [];
+    }
+
+    /**
+     * Record the renderer's current memory use and warn if it has grown
+     * @param {string} label - Name of the sample, e.g. 'Wave 3'
+     * @returns {Object} The recorded sample
+     */
+    sample(label) {
+        const { memory, programs } = this.renderer.info;
+        const sample = {
+            label,
+            geometries: memory.geometries,
+            textures: memory.textures,
+            programs: programs ? programs.length : 0,
+            ...(this.getExtraStats ? this.getExtraStats() : {})
+        };
+        this.samples.push(sample);
+
+        const growth = this.getGrowth(sample);
+        if (growth) {
+            console.warn(`LeakMonitor: Renderer memory grew between ${this.getBaseline().label} and ${label}`, growth);
+        }
+        return sample;
+    }
+
+    /**
+     * Get the sample later samples are compared with
+     * @returns {Object|null} The first sample after warm-up, or null while warming up
+     */
+    getBaseline() {
+        return this.samples[this.warmupSamples] || null;
+    }
+
+    /**
+     * Compare a sample with the baseline
+     * @param {Object} sample - Sample to check
+     * @returns {Object|null} How much each count grew, or null if nothing grew
+     */
+    getGrowth(sample) {
+        const baseline = this.getBaseline();
+        if (!baseline || baseline === sample) return null;
+
+        // Corpses still fading hold on to their health bar textures
+        const corpseTextures = (sample.corpses || 0) - (baseline.corpses || 0);
+        const growth = {};
+        const geometries = sample.geometries - baseline.geometries;
+        const textures = sample.textures - baseline.textures - Math.max(0, corpseTextures);
+        const programs = sample.programs - baseline.programs;
+
+        if (geometries > 0) growth.geometries = geometries;
+        if (textures > 0) growth.textures = textures;
+        if (programs > 0) growth.programs = programs;
+
+        return Object.keys(growth).length > 0 ? growth : null;
+    }
+
+    /**
+     * Log every sample as a table
+     * @returns {boolean} Whether memory stayed flat since the baseline
+     */
+    report() {
+        console.table(this.samples);
+        return this.samples.every(sample => !this.getGrowth(sample));
+    }
+}
@@ -24,14 +24,14 @@ export class InputManager {
     initEventListeners() {
         // Keyboard events
         window.addEventListener('keydown', (event) => {
-            const action = this.keyBindings.get(event.key.toLowerCase());
+            const action = this.keyBindings.get(this.getKeyName(event));
             if (action) {
                 this.keyStates.set(action, true);
             }
         });
         
         window.addEventListener('keyup', (event) => {
-            const action = this.keyBindings.get(event.key.toLowerCase());
+            const action = this.keyBindings.get(this.getKeyName(event));
             if (action) {
                 this.keyStates.set(action, false);
             }
@@ -54,10 +54,17 @@ export class InputManager {
             }
         });
         
-        // Mouse movement events
+        // Keep the browser menu from opening when right click is used to block
+        window.addEventListener('contextmenu', (event) => {
+            if (this.mouseBindings.has('RIGHT')) {
+                event.preventDefault();
+            }
+        });
+        
+        // Mouse movement events, summed until the next simulation step reads them
         window.addEventListener('mousemove', (event) => {
-            this.mouseAxis.X = event.movementX;
-            this.mouseAxis.Y = event.movementY;
+            this.mouseAxis.X += event.movementX;
+            this.mouseAxis.Y += event.movementY;
         });
         
         // Lock pointer when clicking on the game window
@@ -69,11 +76,15 @@ export class InputManager {
     }
     
     /**
-     * Bind a key to an action
+     * Bind a key to an action. An action has one key, so binding it again moves it.
      * @param {string} key - The key to bind
      * @param {string} action - The action to bind to
      */
     bindKey(key, action) {
+        const previousKey = this.getBoundKey(action);
+        if (previousKey) {
+            this.keyBindings.delete(previousKey);
+        }
         this.keyBindings.set(key.toLowerCase(), action);
         this.keyStates.set(action, false);
     }
@@ -106,6 +117,28 @@ export class InputManager {
         return this.keyStates.get(action) || false;
     }
     
+    /**
+     * Get the action bound to the key of a keyboard event, for actions that
+     * happen once per press rather than while held
+     * @param {KeyboardEvent} event - The keyboard event
+     * @returns {string|null} The bound action
+     */
+    getKeyAction(event) {
+        return this.keyBindings.get(this.getKeyName(event)) || null;
+    }
+    
+    /**
+     * Get the key bound to an action
+     * @param {string} action - The action to look up
+     * @returns {string|null} The lowercase key name
+     */
+    getBoundKey(action) {
+        for (const [key, boundAction] of this.keyBindings) {
+            if (boundAction === action) return key;
+        }
+        return null;
+    }
+    
     /**
      * Check if a mouse button is currently pressed
      * @param {string} action - The action to check
@@ -133,6 +166,15 @@ export class InputManager {
         this.mouseAxis.Y = 0;
     }
     
+    /**
+     * Get the binding name for a keyboard event
+     * @param {KeyboardEvent} event - The keyboard event
+     * @returns {string} The lowercase key name, with the space bar as 'space'
+     */
+    getKeyName(event) {
+        return event.key === ' ' ? 'space' : event.key.toLowerCase();
+    }
+    
     /**
      * Get the mouse button name from the button number
      * @param {number} button - The button number
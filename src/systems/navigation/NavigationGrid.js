@@ -0,0 +1,513 @@
+import * as THREE from 'three';
+
+// Neighbour offsets for 8-directional movement: [dCol, dRow, cost]
+const NEIGHBOURS = [
+    [1, 0, 1],
+    [-1, 0, 1],
+    [0, 1, 1],
+    [0, -1, 1],
+    [1, 1, Math.SQRT2],
+    [1, -1, Math.SQRT2],
+    [-1, 1, Math.SQRT2],
+    [-1, -1, Math.SQRT2]
+];
+
+/**
+ * Walkability grid over the map used to route enemies around obstacles.
+ *
+ * Obstacles come from sources that expose getColliders() returning THREE.Box3
+ * instances (e.g. TreeManager and Castle). The grid is rebuilt lazily the next
+ * time a path is requested after invalidate() is called.
+ */
+export class NavigationGrid {
+    /**
+     * Create a navigation grid
+     * @param {Object} config - Configuration options
+     * @param {Object} config.bounds - Map bounds { minX, maxX, minZ, maxZ }
+     * @param {number} config.cellSize - Size of a grid cell in world units
+     * @param {number} config.agentRadius - Clearance kept between agents and obstacles
+     */
+    constructor(config = {}) {
+        this.bounds = config.bounds || { minX: -100, maxX: 100, minZ: -100, maxZ: 100 };
+        this.cellSize = config.cellSize || 2;
+        this.agentRadius = config.agentRadius !== undefined ? config.agentRadius : 0.6;
+
+        this.cols = Math.ceil((this.bounds.maxX - this.bounds.minX) / this.cellSize);
+        this.rows = Math.ceil((this.bounds.maxZ - this.bounds.minZ) / this.cellSize);
+        this.blocked = new Uint8Array(this.cols * this.rows);
+
+        // Connected area of walkable cells each cell belongs to (0 if blocked), so
+        // goals cut off from the start fail without searching the grid
+        this.regions = new Int32Array(this.cols * this.rows);
+
+        this.obstacleSources = [];
+        this.isDirty = true;
+
+        // Incremented on every rebuild so cached paths know they are stale
+        this.version = 0;
+    }
+
+    /**
+     * Register an object whose getColliders() boxes block movement
+     * @param {Object} source - Object with a getColliders() method
+     */
+    addObstacleSource(source) {
+        if (source && !this.obstacleSources.includes(source)) {
+            this.obstacleSources.push(source);
+            this.invalidate();
+        }
+    }
+
+    /**
+     * Remove a previously registered obstacle source
+     * @param {Object} source - The source to remove
+     */
+    removeObstacleSource(source) {
+        const index = this.obstacleSources.indexOf(source);
+        if (index > -1) {
+            this.obstacleSources.splice(index, 1);
+            this.invalidate();
+        }
+    }
+
+    /**
+     * Mark the grid as needing a rebuild because obstacles changed
+     */
+    invalidate() {
+        this.isDirty = true;
+    }
+
+    /**
+     * Rebuild the grid if obstacles changed since the last build
+     */
+    ensureBuilt() {
+        if (this.isDirty) {
+            this.rebuild();
+        }
+    }
+
+    /**
+     * Rasterize all obstacle colliders into the grid
+     */
+    rebuild() {
+        this.blocked.fill(0);
+
+        this.obstacleSources.forEach(source => {
+            const colliders = source.getColliders ? source.getColliders() : [];
+            colliders.forEach(box => this.markBox(box));
+        });
+        this.labelRegions();
+
+        this.isDirty = false;
+        this.version++;
+    }
+
+    /**
+     * Mark every cell whose centre lies inside a box (expanded by the agent radius)
+     * @param {THREE.Box3} box - Obstacle bounds
+     * @private
+     */
+    markBox(box) {
+        if (!box || box.isEmpty()) return;
+
+        const minX = box.min.x - this.agentRadius;
+        const maxX = box.max.x + this.agentRadius;
+        const minZ = box.min.z - this.agentRadius;
+        const maxZ = box.max.z + this.agentRadius;
+
+        const minCol = Math.max(0, Math.floor((minX - this.bounds.minX) / this.cellSize));
+        const maxCol = Math.min(this.cols - 1, Math.floor((maxX - this.bounds.minX) / this.cellSize));
+        const minRow = Math.max(0, Math.floor((minZ - this.bounds.minZ) / this.cellSize));
+        const maxRow = Math.min(this.rows - 1, Math.floor((maxZ - this.bounds.minZ) / this.cellSize));
+
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                const center = this.cellToWorld(col, row);
+                if (center.x >= minX && center.x <= maxX && center.z >= minZ && center.z <= maxZ) {
+                    this.blocked[row * this.cols + col] = 1;
+                }
+            }
+        }
+    }
+
+    /**
+     * Flood fill the walkable cells into connected regions. Diagonal steps are only
+     * taken past two open cells, so four neighbours are enough to connect them.
+     * @private
+     */
+    labelRegions() {
+        this.regions.fill(0);
+        let region = 0;
+
+        for (let index = 0; index < this.regions.length; index++) {
+            if (this.blocked[index] || this.regions[index]) continue;
+
+            region++;
+            this.regions[index] = region;
+            const stack = [index];
+            while (stack.length > 0) {
+                const current = stack.pop();
+                const col = current % this.cols;
+                const row = Math.floor(current / this.cols);
+
+                for (const [dCol, dRow] of NEIGHBOURS.slice(0, 4)) {
+                    const nCol = col + dCol;
+                    const nRow = row + dRow;
+                    const neighbour = nRow * this.cols + nCol;
+                    if (this.isWalkable(nCol, nRow) && !this.regions[neighbour]) {
+                        this.regions[neighbour] = region;
+                        stack.push(neighbour);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Convert a world position to grid coordinates (clamped to the grid)
+     * @param {THREE.Vector3} position - World position
+     * @returns {{col: number, row: number}} Grid cell
+     */
+    worldToCell(position) {
+        const col = Math.floor((position.x - this.bounds.minX) / this.cellSize);
+        const row = Math.floor((position.z - this.bounds.minZ) / this.cellSize);
+        return {
+            col: Math.max(0, Math.min(this.cols - 1, col)),
+            row: Math.max(0, Math.min(this.rows - 1, row))
+        };
+    }
+
+    /**
+     * Get the world position of a cell centre
+     * @param {number} col - Grid column
+     * @param {number} row - Grid row
+     * @returns {THREE.Vector3} Cell centre at ground level
+     */
+    cellToWorld(col, row) {
+        return new THREE.Vector3(
+            this.bounds.minX + (col + 0.5) * this.cellSize,
+            0,
+            this.bounds.minZ + (row + 0.5) * this.cellSize
+        );
+    }
+
+    /**
+     * Check whether a cell can be walked on
+     * @param {number} col - Grid column
+     * @param {number} row - Grid row
+     * @returns {boolean} Whether the cell is inside the grid and unblocked
+     */
+    isWalkable(col, row) {
+        if (col < 0 || row < 0 || col >= this.cols || row >= this.rows) {
+            return false;
+        }
+        return this.blocked[row * this.cols + col] === 0;
+    }
+
+    /**
+     * Check whether a world position is walkable
+     * @param {THREE.Vector3} position - World position
+     * @returns {boolean} Whether the position is walkable
+     */
+    isPositionWalkable(position) {
+        this.ensureBuilt();
+        const { col, row } = this.worldToCell(position);
+        return this.isWalkable(col, row);
+    }
+
+    /**
+     * Find the closest walkable cell to a cell, searching outwards in rings
+     * @param {number} col - Grid column
+     * @param {number} row - Grid row
+     * @param {number} region - Only search this region's cells, or 0 for any region
+     * @returns {{col: number, row: number}|null} Nearest walkable cell
+     */
+    findNearestWalkable(col, row, region = 0) {
+        if (this.isWalkable(col, row)) {
+            return { col, row };
+        }
+
+        const maxRadius = Math.max(this.cols, this.rows);
+        for (let radius = 1; radius < maxRadius; radius++) {
+            let best = null;
+            let bestDistance = Infinity;
+
+            for (let dRow = -radius; dRow <= radius; dRow++) {
+                for (let dCol = -radius; dCol <= radius; dCol++) {
+                    // Only visit the outer ring at this radius
+                    if (Math.abs(dRow) !== radius && Math.abs(dCol) !== radius) continue;
+
+                    const c = col + dCol;
+                    const r = row + dRow;
+                    if (!this.isWalkable(c, r)) continue;
+                    if (region && this.regions[r * this.cols + c] !== region) continue;
+
+                    const distance = dCol * dCol + dRow * dRow;
+                    if (distance < bestDistance) {
+                        bestDistance = distance;
+                        best = { col: c, row: r };
+                    }
+                }
+            }
+
+            if (best) {
+                return best;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether a path exists between two world positions, without searching for it
+     * @param {THREE.Vector3} start - Start position
+     * @param {THREE.Vector3} goal - Goal position; if blocked, the nearest walkable cell the
+     *   start can reach is used
+     * @returns {boolean} Whether findPath would find a path
+     */
+    isReachable(start, goal) {
+        this.ensureBuilt();
+
+        const endpoints = this.getEndpoints(start, goal);
+        if (!endpoints) {
+            return false;
+        }
+
+        const { from, to } = endpoints;
+        return this.regions[from.row * this.cols + from.col] === this.regions[to.row * this.cols + to.col];
+    }
+
+    /**
+     * Get the cells a path between two positions runs between. A start inside an
+     * obstacle moves to the nearest walkable cell, and a goal inside one (e.g. the
+     * wall being attacked) to the nearest walkable cell on the start's side of it.
+     * @param {THREE.Vector3} start - Start position
+     * @param {THREE.Vector3} goal - Goal position
+     * @returns {{from: Object, to: Object}|null} Start and goal cells, or null if the grid is fully blocked
+     * @private
+     */
+    getEndpoints(start, goal) {
+        const startCell = this.worldToCell(start);
+        const goalCell = this.worldToCell(goal);
+
+        const from = this.findNearestWalkable(startCell.col, startCell.row);
+        if (!from) {
+            return null;
+        }
+
+        const region = this.regions[from.row * this.cols + from.col];
+        const to = this.findNearestWalkable(goalCell.col, goalCell.row, region);
+        return to ? { from, to } : null;
+    }
+
+    /**
+     * Find a path between two world positions using A*
+     * @param {THREE.Vector3} start - Start position
+     * @param {THREE.Vector3} goal - Goal position; if blocked, the nearest walkable cell the
+     *   start can reach is used
+     * @returns {THREE.Vector3[]|null} Waypoints from start to goal, or null if unreachable
+     */
+    findPath(start, goal) {
+        this.ensureBuilt();
+
+        // Agents standing in a blocked cell (e.g. pushed against a wall) path from the nearest free one
+        const endpoints = this.getEndpoints(start, goal);
+        if (!endpoints) {
+            return null;
+        }
+
+        const { from, to } = endpoints;
+        const startIndex = from.row * this.cols + from.col;
+        const goalIndex = to.row * this.cols + to.col;
+
+        // Goals cut off from the start would only flood the grid before failing
+        if (this.regions[startIndex] !== this.regions[goalIndex]) {
+            return null;
+        }
+
+        if (startIndex === goalIndex) {
+            return [this.cellToWorld(to.col, to.row)];
+        }
+
+        const cellCount = this.cols * this.rows;
+        const gScore = new Float32Array(cellCount).fill(Infinity);
+        const cameFrom = new Int32Array(cellCount).fill(-1);
+        const closed = new Uint8Array(cellCount);
+        const open = new MinHeap();
+
+        gScore[startIndex] = 0;
+        open.push(startIndex, this.heuristic(from.col, from.row, to.col, to.row));
+
+        while (open.size() > 0) {
+            const current = open.pop();
+            if (current === goalIndex) {
+                return this.smoothPath(this.reconstructPath(cameFrom, current));
+            }
+            if (closed[current]) continue;
+            closed[current] = 1;
+
+            const col = current % this.cols;
+            const row = Math.floor(current / this.cols);
+
+            for (const [dCol, dRow, cost] of NEIGHBOURS) {
+                const nCol = col + dCol;
+                const nRow = row + dRow;
+                if (!this.isWalkable(nCol, nRow)) continue;
+
+                // Don't cut corners diagonally past blocked cells
+                if (dCol !== 0 && dRow !== 0) {
+                    if (!this.isWalkable(col + dCol, row) || !this.isWalkable(col, row + dRow)) {
+                        continue;
+                    }
+                }
+
+                const neighbour = nRow * this.cols + nCol;
+                if (closed[neighbour]) continue;
+
+                const tentative = gScore[current] + cost;
+                if (tentative < gScore[neighbour]) {
+                    gScore[neighbour] = tentative;
+                    cameFrom[neighbour] = current;
+                    open.push(neighbour, tentative + this.heuristic(nCol, nRow, to.col, to.row));
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Octile distance heuristic
+     * @private
+     */
+    heuristic(col, row, goalCol, goalRow) {
+        const dx = Math.abs(col - goalCol);
+        const dz = Math.abs(row - goalRow);
+        return dx + dz + (Math.SQRT2 - 2) * Math.min(dx, dz);
+    }
+
+    /**
+     * Convert the A* parent chain into world waypoints
+     * @private
+     */
+    reconstructPath(cameFrom, current) {
+        const cells = [current];
+        while (cameFrom[current] !== -1) {
+            current = cameFrom[current];
+            cells.push(current);
+        }
+        cells.reverse();
+
+        return cells.map(index => this.cellToWorld(index % this.cols, Math.floor(index / this.cols)));
+    }
+
+    /**
+     * Drop waypoints that can be skipped with a clear straight line
+     * @param {THREE.Vector3[]} path - Grid waypoints
+     * @returns {THREE.Vector3[]} Smoothed waypoints
+     * @private
+     */
+    smoothPath(path) {
+        if (path.length <= 2) {
+            return path;
+        }
+
+        const smoothed = [path[0]];
+        let anchor = 0;
+
+        for (let i = 2; i < path.length; i++) {
+            if (!this.hasLineOfSight(path[anchor], path[i])) {
+                smoothed.push(path[i - 1]);
+                anchor = i - 1;
+            }
+        }
+
+        smoothed.push(path[path.length - 1]);
+        return smoothed;
+    }
+
+    /**
+     * Check whether a straight line between two positions crosses only walkable cells
+     * @param {THREE.Vector3} from - Start position
+     * @param {THREE.Vector3} to - End position
+     * @returns {boolean} Whether the line is clear
+     */
+    hasLineOfSight(from, to) {
+        const distance = Math.hypot(to.x - from.x, to.z - from.z);
+        const steps = Math.ceil(distance / (this.cellSize * 0.5));
+        const point = new THREE.Vector3();
+
+        for (let i = 1; i < steps; i++) {
+            point.lerpVectors(from, to, i / steps);
+            const { col, row } = this.worldToCell(point);
+            if (!this.isWalkable(col, row)) {
+                return false;
+            }
+        }
+        return true;
+    }
+}
+
+/**
+ * Binary min-heap of cell indices keyed by priority, used as the A* open set
+ * @private
+ */
+class MinHeap {
+    constructor() {
+        this.items = [];
+        this.priorities = [];
+    }
+
+    size() {
+        return this.items.length;
+    }
+
+    push(item, priority) {
+        this.items.push(item);
+        this.priorities.push(priority);
+        this.bubbleUp(this.items.length - 1);
+    }
+
+    pop() {
+        const top = this.items[0];
+        const lastItem = this.items.pop();
+        const lastPriority = this.priorities.pop();
+
+        if (this.items.length > 0) {
+            this.items[0] = lastItem;
+            this.priorities[0] = lastPriority;
+            this.sinkDown(0);
+        }
+        return top;
+    }
+
+    bubbleUp(index) {
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.priorities[parent] <= this.priorities[index]) break;
+            this.swap(index, parent);
+            index = parent;
+        }
+    }
+
+    sinkDown(index) {
+        const length = this.items.length;
+        for (;;) {
+            const left = index * 2 + 1;
+            const right = left + 1;
+            let smallest = index;
+
+            if (left < length && this.priorities[left] < this.priorities[smallest]) smallest = left;
+            if (right < length && this.priorities[right] < this.priorities[smallest]) smallest = right;
+            if (smallest === index) break;
+
+            this.swap(index, smallest);
+            index = smallest;
+        }
+    }
+
+    swap(a, b) {
+        [this.items[a], this.items[b]] = [this.items[b], this.items[a]];
+        [this.priorities[a], this.priorities[b]] = [this.priorities[b], this.priorities[a]];
+    }
+}
@@ -0,0 +1,278 @@
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+
+// Collision groups, so enemies overlapping each other don't flood the contact events
+const GROUPS = {
+    GROUND: 1,
+    STATIC: 2,
+    PLAYER: 4,
+    ENEMY: 8,
+    DEBRIS: 16
+};
+
+const COLLISION_MASKS = {
+    [GROUPS.GROUND]: GROUPS.PLAYER | GROUPS.ENEMY | GROUPS.DEBRIS,
+    [GROUPS.STATIC]: GROUPS.PLAYER | GROUPS.ENEMY | GROUPS.DEBRIS,
+    [GROUPS.PLAYER]: GROUPS.GROUND | GROUPS.STATIC | GROUPS.ENEMY,
+    [GROUPS.ENEMY]: GROUPS.GROUND | GROUPS.STATIC | GROUPS.PLAYER,
+    // Debris such as ragdoll parts only rests on the scenery
+    [GROUPS.DEBRIS]: GROUPS.GROUND | GROUPS.STATIC
+};
+
+/**
+ * Physics world owned by the game and stepped with the game loop.
+ *
+ * Static bodies are built from sources that expose getColliders() returning
+ * THREE.Box3 instances (e.g. Castle and TreeManager), plus a plane for the ground.
+ * Entities such as goblins and the player get kinematic bodies that follow their
+ * meshes. Whenever two bodies start or stop touching a 'contactBegin' or
+ * 'contactEnd' event is dispatched with the kind and entity of both sides.
+ */
+export class PhysicsWorld extends THREE.EventDispatcher {
+    /**
+     * Create a physics world
+     * @param {Object} config - Configuration options
+     * @param {number} config.gravity - Downward acceleration in units per second squared
+     * @param {number} config.fixedTimeStep - Length of a physics step in seconds
+     * @param {number} config.maxSubSteps - Most steps taken in one frame to catch up
+     */
+    constructor(config = {}) {
+        super();
+
+        this.fixedTimeStep = config.fixedTimeStep || 1 / 60;
+        this.maxSubSteps = config.maxSubSteps || 3;
+
+        this.world = new CANNON.World({
+            gravity: new CANNON.Vec3(0, -(config.gravity || 9.82), 0)
+        });
+        this.world.broadphase = new CANNON.SAPBroadphase(this.world);
+
+        // Static bodies per source, and the kinematic body following each entity
+        this.staticBodies = new Map();
+        this.groundBody = null;
+        this.entityBodies = new Map();
+
+        this.world.addEventListener('beginContact', event => this.dispatchContact('contactBegin', event));
+        this.world.addEventListener('endContact', event => this.dispatchContact('contactEnd', event));
+    }
+
+    /**
+     * Add the ground as an infinite static plane at its surface height
+     * @param {Ground} ground - The ground to add
+     */
+    setGround(ground) {
+        if (this.groundBody) {
+            this.world.removeBody(this.groundBody);
+        }
+
+        this.groundBody = new CANNON.Body({
+            type: CANNON.Body.STATIC,
+            shape: new CANNON.Plane(),
+            collisionFilterGroup: GROUPS.GROUND,
+            collisionFilterMask: COLLISION_MASKS[GROUPS.GROUND]
+        });
+        // Planes face +Z, so rotate it to face up
+        this.groundBody.quaternion.setFromEuler(-Math.PI / 2, 0, 0);
+        this.groundBody.position.set(0, ground.getHeightAt(0, 0), 0);
+        this.groundBody.userData = { kind: 'ground', entity: ground };
+        this.world.addBody(this.groundBody);
+    }
+
+    /**
+     * Add a static body for every collider of a source
+     * @param {Object} source - Object with a getColliders() method returning THREE.Box3[]
+     * @param {string|Function} kind - Kind reported in contact events, or a function
+     *   that returns the kind for a given collider box
+     */
+    addStaticSource(source, kind) {
+        if (this.staticBodies.has(source)) {
+            this.removeStaticSource(source);
+        }
+
+        const bodies = source.getColliders().map(box => {
+            const size = box.getSize(new THREE.Vector3());
+            const center = box.getCenter(new THREE.Vector3());
+
+            const body = new CANNON.Body({
+                type: CANNON.Body.STATIC,
+                shape: new CANNON.Box(new CANNON.Vec3(size.x / 2, size.y / 2, size.z / 2)),
+                position: new CANNON.Vec3(center.x, center.y, center.z),
+                collisionFilterGroup: GROUPS.STATIC,
+                collisionFilterMask: COLLISION_MASKS[GROUPS.STATIC]
+            });
+            body.userData = {
+                kind: typeof kind === 'function' ? kind(box) : kind,
+                entity: source
+            };
+            this.world.addBody(body);
+            return body;
+        });
+
+        this.staticBodies.set(source, bodies);
+    }
+
+    /**
+     * Remove the static bodies of a source, e.g. before rebuilding them
+     * @param {Object} source - The source to remove
+     */
+    removeStaticSource(source) {
+        const bodies = this.staticBodies.get(source);
+        if (!bodies) return;
+
+        bodies.forEach(body => this.world.removeBody(body));
+        this.staticBodies.delete(source);
+    }
+
+    /**
+     * Add a kinematic body that follows an entity's mesh
+     * @param {Object} entity - Entity with a mesh whose position is its feet
+     * @param {Object} options - Body options
+     * @param {string} options.kind - Kind reported in contact events, e.g. 'goblin'
+     * @param {number} options.radius - Radius of the entity's body
+     * @param {boolean} options.isPlayer - Whether the entity is the player
+     */
+    addKinematicBody(entity, options = {}) {
+        if (this.entityBodies.has(entity)) {
+            this.removeBody(entity);
+        }
+
+        const radius = options.radius || 0.5;
+        const group = options.isPlayer ? GROUPS.PLAYER : GROUPS.ENEMY;
+
+        const body = new CANNON.Body({
+            type: CANNON.Body.KINEMATIC,
+            collisionFilterGroup: group,
+            collisionFilterMask: COLLISION_MASKS[group]
+        });
+        // Sit the sphere on the entity's feet so it touches the ground while standing
+        body.addShape(new CANNON.Sphere(radius), new CANNON.Vec3(0, radius, 0));
+        body.userData = { kind: options.kind || 'entity', entity };
+
+        this.entityBodies.set(entity, body);
+        this.syncBody(entity, body);
+        this.world.addBody(body);
+        return body;
+    }
+
+    /**
+     * Remove an entity's kinematic body
+     * @param {Object} entity - The entity to remove
+     */
+    removeBody(entity) {
+        const body = this.entityBodies.get(entity);
+        if (!body) return;
+
+        this.world.removeBody(body);
+        this.entityBodies.delete(entity);
+    }
+
+    /**
+     * Remove every kinematic body, keeping the static world
+     */
+    clearBodies() {
+        this.entityBodies.forEach(body => this.world.removeBody(body));
+        this.entityBodies.clear();
+    }
+
+    /**
+     * Add a dynamic sphere that falls and rests on the scenery, e.g. a ragdoll part.
+     * Debris does not collide with actors or other debris and raises no contact events.
+     * @param {Object} options - Body options
+     * @param {THREE.Vector3} options.position - Starting position
+     * @param {number} options.radius - Sphere radius
+     * @param {number} options.mass - Body mass
+     * @param {THREE.Vector3} options.velocity - Starting velocity
+     * @returns {CANNON.Body} The new body
+     */
+    addDebrisBody(options = {}) {
+        const { position, velocity } = options;
+
+        const body = new CANNON.Body({
+            mass: options.mass || 1,
+            shape: new CANNON.Sphere(options.radius || 0.1),
+            position: new CANNON.Vec3(position.x, position.y, position.z),
+            linearDamping: 0.1,
+            angularDamping: 0.5,
+            collisionFilterGroup: GROUPS.DEBRIS,
+            collisionFilterMask: COLLISION_MASKS[GROUPS.DEBRIS]
+        });
+        if (velocity) {
+            body.velocity.set(velocity.x, velocity.y, velocity.z);
+        }
+
+        this.world.addBody(body);
+        return body;
+    }
+
+    removeDebrisBody(body) {
+        this.world.removeBody(body);
+    }
+
+    addConstraint(constraint) {
+        this.world.addConstraint(constraint);
+    }
+
+    removeConstraint(constraint) {
+        this.world.removeConstraint(constraint);
+    }
+
+    syncBody(entity, body) {
+        if (!entity.mesh) return;
+
+        const { position } = entity.mesh;
+        body.position.set(position.x, position.y, position.z);
+    }
+
+    /**
+     * Move kinematic bodies to their entities and advance the simulation
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    step(deltaTime) {
+        this.entityBodies.forEach((body, entity) => this.syncBody(entity, body));
+        this.world.step(this.fixedTimeStep, deltaTime, this.maxSubSteps);
+    }
+
+    /**
+     * Subscribe to contacts between two kinds of bodies, in either order
+     * @param {string} kindA - First kind, e.g. 'goblin'
+     * @param {string} kindB - Second kind, e.g. 'wall'
+     * @param {Function} callback - Called with (entityA, entityB) when they start touching
+     * @returns {Function} Call to unsubscribe
+     */
+    onContact(kindA, kindB, callback) {
+        const listener = event => {
+            if (event.kindA === kindA && event.kindB === kindB) {
+                callback(event.entityA, event.entityB);
+            } else if (event.kindA === kindB && event.kindB === kindA) {
+                callback(event.entityB, event.entityA);
+            }
+        };
+        this.addEventListener('contactBegin', listener);
+        return () => this.removeEventListener('contactBegin', listener);
+    }
+
+    dispatchContact(type, event) {
+        const { bodyA, bodyB } = event;
+        if (!bodyA || !bodyB || !bodyA.userData || !bodyB.userData) return;
+
+        this.dispatchEvent({
+            type,
+            kindA: bodyA.userData.kind,
+            entityA: bodyA.userData.entity,
+            kindB: bodyB.userData.kind,
+            entityB: bodyB.userData.entity
+        });
+    }
+
+    /**
+     * Remove every body from the world
+     */
+    dispose() {
+        this.clearBodies();
+        [...this.staticBodies.keys()].forEach(source => this.removeStaticSource(source));
+        if (this.groundBody) {
+            this.world.removeBody(this.groundBody);
+            this.groundBody = null;
+        }
+    }
+}
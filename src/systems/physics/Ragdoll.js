@@ -0,0 +1,168 @@
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+
+// Bones simulated by the ragdoll, parents before children. Names are matched after
+// lowercasing and stripping punctuation, so 'UpperArm.L' and 'UpperArmL' both match.
+// Each part is tied to its parent part, and parts with an aim bone are turned to
+// point at it every frame so the skin follows the simulated joints.
+const RAGDOLL_PARTS = [
+    { bone: 'hips', mass: 3, aim: 'torso' },
+    { bone: 'torso', parent: 'hips', mass: 2, aim: 'head' },
+    { bone: 'head', parent: 'torso', mass: 1 },
+    { bone: 'upperarml', parent: 'torso', mass: 0.5, aim: 'lowerarml' },
+    { bone: 'lowerarml', parent: 'upperarml', mass: 0.5 },
+    { bone: 'upperarmr', parent: 'torso', mass: 0.5, aim: 'lowerarmr' },
+    { bone: 'lowerarmr', parent: 'upperarmr', mass: 0.5 },
+    { bone: 'upperlegl', parent: 'hips', mass: 1, aim: 'lowerlegl' },
+    { bone: 'lowerlegl', parent: 'upperlegl', mass: 1 },
+    { bone: 'upperlegr', parent: 'hips', mass: 1, aim: 'lowerlegr' },
+    { bone: 'lowerlegr', parent: 'upperlegr', mass: 1 }
+];
+
+function normalizeBoneName(name) {
+    return name.toLowerCase().replace(/[^a-z_]/g, '');
+}
+
+/**
+ * Physics ragdoll built from a GLTF skeleton. Every simulated bone gets a sphere
+ * body at its joint, joined to its parent joint with a distance constraint.
+ */
+export class Ragdoll {
+    /**
+     * Build a ragdoll for a model, if it has a skeleton the ragdoll understands
+     * @param {PhysicsWorld} physics - World the ragdoll bodies are added to
+     * @param {THREE.Object3D} root - Model containing the skinned skeleton
+     * @param {THREE.Vector3} velocity - Starting velocity of every part, e.g. from a knockback
+     * @returns {Ragdoll|null} The ragdoll, or null if the model has no matching skeleton
+     */
+    static create(physics, root, velocity = new THREE.Vector3()) {
+        const bones = new Map();
+        root.traverse(child => {
+            if (child.isBone) {
+                bones.set(normalizeBoneName(child.name), child);
+            }
+        });
+
+        if (!bones.has(RAGDOLL_PARTS[0].bone)) {
+            return null;
+        }
+        return new Ragdoll(physics, root, bones, velocity);
+    }
+
+    constructor(physics, root, bones, velocity) {
+        this.physics = physics;
+        this.root = root;
+        this.parts = [];
+        this.constraints = [];
+
+        root.updateMatrixWorld(true);
+        const partsByBone = new Map();
+
+        RAGDOLL_PARTS.forEach(definition => {
+            const bone = bones.get(definition.bone);
+            const parent = definition.parent ? partsByBone.get(definition.parent) : null;
+
+            // Skip bones the model doesn't have, along with everything hanging off them
+            if (!bone || (definition.parent && !parent)) {
+                return;
+            }
+
+            const position = bone.getWorldPosition(new THREE.Vector3());
+            const aimBone = definition.aim ? bones.get(definition.aim) : null;
+
+            // Size each joint from the length of the limb it starts
+            const reference = aimBone ? aimBone.getWorldPosition(new THREE.Vector3()) : parent && parent.position;
+            const length = reference ? position.distanceTo(reference) : 0.2;
+            const radius = THREE.MathUtils.clamp(length * 0.35, 0.04, 0.25);
+
+            const body = this.physics.addDebrisBody({
+                position,
+                radius,
+                mass: definition.mass,
+                velocity
+            });
+
+            const part = {
+                name: definition.bone,
+                bone,
+                body,
+                parent,
+                position,
+                aim: definition.aim || null,
+                restDirection: null,
+                restQuaternion: bone.getWorldQuaternion(new THREE.Quaternion())
+            };
+
+            if (aimBone) {
+                part.restDirection = aimBone.getWorldPosition(new THREE.Vector3()).sub(position).normalize();
+            }
+
+            if (parent) {
+                const constraint = new CANNON.DistanceConstraint(parent.body, body, parent.position.distanceTo(position));
+                this.physics.addConstraint(constraint);
+                this.constraints.push(constraint);
+            }
+
+            partsByBone.set(definition.bone, part);
+            this.parts.push(part);
+        });
+
+        // Resolve aim targets now that every part exists, dropping aims at missing parts
+        this.parts.forEach(part => {
+            part.aimPart = part.aim ? partsByBone.get(part.aim) || null : null;
+        });
+    }
+
+    /**
+     * Pose the skeleton from the simulated joints. Call after the physics world steps.
+     */
+    update() {
+        const delta = new THREE.Quaternion();
+        const worldQuaternion = new THREE.Quaternion();
+        const parentQuaternion = new THREE.Quaternion();
+        const direction = new THREE.Vector3();
+        const position = new THREE.Vector3();
+
+        this.root.updateMatrixWorld(true);
+
+        this.parts.forEach(part => {
+            const { bone, body } = part;
+
+            // The root part carries the whole skeleton with it
+            if (!part.parent) {
+                position.set(body.position.x, body.position.y, body.position.z);
+                bone.position.copy(bone.parent.worldToLocal(position));
+            }
+
+            // Turn the bone so it points from its joint towards the next one
+            if (part.aimPart) {
+                const aimPosition = part.aimPart.body.position;
+                direction.set(
+                    aimPosition.x - body.position.x,
+                    aimPosition.y - body.position.y,
+                    aimPosition.z - body.position.z
+                );
+
+                if (direction.lengthSq() > 0) {
+                    direction.normalize();
+                    delta.setFromUnitVectors(part.restDirection, direction);
+                    worldQuaternion.multiplyQuaternions(delta, part.restQuaternion);
+                    bone.parent.getWorldQuaternion(parentQuaternion);
+                    bone.quaternion.copy(parentQuaternion.invert().multiply(worldQuaternion));
+                }
+            }
+
+            bone.updateMatrixWorld(true);
+        });
+    }
+
+    /**
+     * Remove every body and constraint from the physics world
+     */
+    dispose() {
+        this.constraints.forEach(constraint => this.physics.removeConstraint(constraint));
+        this.parts.forEach(part => this.physics.removeDebrisBody(part.body));
+        this.constraints = [];
+        this.parts = [];
+    }
+}
@@ -1,5 +1,8 @@
 import { InputManager } from '../input/InputManager';
 
+// Number of upgrade shop rows that get a key, bound to 1-9 by default
+const UPGRADE_SLOT_COUNT = 9;
+
 export class PlayerSettings {
     constructor() {
         this.inputManager = new InputManager();
@@ -22,8 +25,18 @@ export class PlayerSettings {
         this.inputManager.bindKey('SPACE', 'JUMP');
         this.inputManager.bindKey('SHIFT', 'SPRINT');
         this.inputManager.bindKey('TAB', 'INVENTORY');
+        this.inputManager.bindKey('e', 'INTERACT');
         this.inputManager.bindKey('ESC', 'PAUSE');
         
+        // Wave bindings
+        this.inputManager.bindKey('n', 'START_WAVE');
+        this.inputManager.bindKey('f', 'FAST_FORWARD');
+        
+        // Upgrade shop bindings, one per listed upgrade
+        for (let slot = 1; slot <= UPGRADE_SLOT_COUNT; slot++) {
+            this.inputManager.bindKey(String(slot), `BUY_UPGRADE_${slot}`);
+        }
+        
         // Combat settings
         this.attackCooldown = 0.5; // seconds between attacks
         this.lastAttackTime = 0;
@@ -35,6 +48,7 @@ export class PlayerSettings {
         this.walkSpeed = 5;
         this.sprintSpeed = 8;
         this.jumpForce = 5;
+        this.gravity = 12; // Jumps peak just over a metre
         this.rotationSpeed = 0.002;
         
         // Camera settings
@@ -53,7 +67,8 @@ export class PlayerSettings {
             graphics: {
                 quality: 'high',
                 shadows: true,
-                antiAliasing: true
+                antiAliasing: true,
+                ragdollCorpses: true
             },
             controls: {
                 mouseSensitivity: 1.0,
@@ -70,10 +85,10 @@ export class PlayerSettings {
     
     /**
      * Check if the attack action is pressed and cooldown is ready
+     * @param {number} currentTime - Current time in seconds, the game clock when playing
      * @returns {boolean} Whether attack should be triggered
      */
-    shouldAttack() {
-        const currentTime = performance.now() / 1000;
+    shouldAttack(currentTime = performance.now() / 1000) {
         if (this.inputManager.isMouseButtonPressed('ATTACK') && 
             currentTime - this.lastAttackTime >= this.attackCooldown) {
             this.lastAttackTime = currentTime;
@@ -84,6 +99,14 @@ export class PlayerSettings {
         return false;
     }
     
+    /**
+     * Check if the block action is held
+     * @returns {boolean} Whether the player wants to block
+     */
+    isBlockPressed() {
+        return this.inputManager.isMouseButtonPressed('BLOCK');
+    }
+    
     /**
      * Update attack animation progress
      * @param {number} deltaTime - Time since last update
@@ -137,6 +160,22 @@ export class PlayerSettings {
         return this.inputManager.isKeyPressed('SPRINT') ? this.sprintSpeed : this.walkSpeed;
     }
     
+    /**
+     * Check if the sprint key is held
+     * @returns {boolean} Whether the player wants to sprint
+     */
+    isSprintPressed() {
+        return this.inputManager.isKeyPressed('SPRINT');
+    }
+    
+    /**
+     * Get how much faster sprinting is than walking
+     * @returns {number} Sprint speed multiplier
+     */
+    getSprintMultiplier() {
+        return this.sprintSpeed / this.walkSpeed;
+    }
+    
     /**
      * Get the current camera rotation based on mouse movement
      * @returns {Object} Camera rotation values
@@ -164,6 +203,53 @@ export class PlayerSettings {
         return this.inputManager.isKeyPressed('INVENTORY');
     }
     
+    /**
+     * Check if the interact key is held, e.g. to repair the castle
+     * @returns {boolean} Whether the player wants to interact
+     */
+    isInteractPressed() {
+        return this.inputManager.isKeyPressed('INTERACT');
+    }
+    
+    /**
+     * Get the action bound to the key pressed, for actions that happen once per
+     * press such as starting the next wave
+     * @param {KeyboardEvent} event - The keydown event
+     * @returns {string|null} The bound action
+     */
+    getKeyAction(event) {
+        return this.inputManager.getKeyAction(event);
+    }
+    
+    /**
+     * Get the key bound to an action as shown in on-screen hints
+     * @param {string} action - The action, e.g. 'START_WAVE'
+     * @returns {string} The key in capitals, e.g. 'N'
+     */
+    getKeyLabel(action) {
+        const key = this.inputManager.getBoundKey(action);
+        return key ? key.toUpperCase() : '?';
+    }
+    
+    /**
+     * Get the upgrade shop row an action buys
+     * @param {string|null} action - Action from getKeyAction
+     * @returns {number|null} Row number starting at 1, or null if the action buys nothing
+     */
+    getUpgradeSlot(action) {
+        const match = /^BUY_UPGRADE_(\d+)$/.exec(action || '');
+        return match ? Number(match[1]) : null;
+    }
+    
+    /**
+     * Get the key that buys an upgrade shop row as shown in the shop
+     * @param {number} slot - Row number starting at 1
+     * @returns {string} The key in capitals, e.g. '1'
+     */
+    getUpgradeKeyLabel(slot) {
+        return this.getKeyLabel(`BUY_UPGRADE_${slot}`);
+    }
+    
     /**
      * Check if game should be paused
      * @returns {boolean} Whether game should be paused
@@ -225,7 +311,8 @@ export class PlayerSettings {
             graphics: {
                 quality: 'high',
                 shadows: true,
-                antiAliasing: true
+                antiAliasing: true,
+                ragdollCorpses: true
             },
             controls: {
                 mouseSensitivity: 1.0,
@@ -0,0 +1,170 @@
+import { WaveSchema } from './WaveSchema';
+
+const BEST_WAVE_KEY = 'defendTheCastle_bestEndlessWave';
+
+/**
+ * Generates waves past the authored campaign and tracks the best endless wave reached
+ */
+export class EndlessMode {
+    /**
+     * @param {Object} campaign - Campaign returned by WaveSchema.validateCampaign
+     */
+    constructor(campaign) {
+        this.campaign = campaign;
+        this.scaling = campaign.endless;
+        this.bestWave = EndlessMode.loadBestWave();
+
+        // Generated waves are cached so repeated lookups return the same definition
+        this.generatedWaves = new Map();
+
+        // The last authored wave is the baseline the formula scales from
+        const lastWave = campaign.waves[campaign.waves.length - 1];
+        this.baseCount = WaveSchema.getEnemyCount(lastWave);
+        this.baseHealth = Math.max(...lastWave.groups.map(group => group.health));
+        this.baseDamage = Math.max(...lastWave.groups.map(group => group.damage));
+        this.baseGroup = lastWave.groups[0];
+
+        // Generated groups rotate through the map's spawn lanes
+        this.laneIds = Object.keys(campaign.lanes);
+    }
+
+    /**
+     * Get the definition for any wave, generating it if it is past the authored ones
+     * @param {number} waveNumber - 1-based wave number
+     * @returns {Object} The wave definition
+     */
+    getWave(waveNumber) {
+        if (waveNumber <= this.campaign.waves.length) {
+            return this.campaign.waves[waveNumber - 1];
+        }
+
+        if (!this.generatedWaves.has(waveNumber)) {
+            this.generatedWaves.set(waveNumber, this.generateWave(waveNumber));
+        }
+        return this.generatedWaves.get(waveNumber);
+    }
+
+    /**
+     * Build a wave past the authored campaign using the endless scaling formula:
+     *   count  = min(maxCount, baseCount + countPerWave * n)
+     *   health = baseHealth * healthMultiplier ^ n
+     *   damage = baseDamage * damageMultiplier ^ n
+     * where n is the number of waves past the last authored one.
+     * @param {number} waveNumber - 1-based wave number
+     * @returns {Object} The generated wave definition
+     */
+    generateWave(waveNumber) {
+        const { scaling } = this;
+        const n = waveNumber - this.campaign.waves.length;
+
+        const count = Math.min(
+            scaling.maxCount,
+            Math.round(this.baseCount + scaling.countPerWave * n)
+        );
+        const health = Math.round(this.baseHealth * Math.pow(scaling.healthMultiplier, n));
+        const damage = Math.round(this.baseDamage * Math.pow(scaling.damageMultiplier, n));
+
+        const groups = [];
+        const typeCounts = this.splitByMix(count);
+
+        Object.entries(typeCounts).forEach(([enemyType, typeCount]) => {
+            let remaining = typeCount;
+            while (remaining > 0) {
+                const groupCount = Math.min(scaling.groupSize, remaining);
+                groups.push({
+                    ...this.baseGroup,
+                    enemyType,
+                    count: groupCount,
+                    health,
+                    damage,
+                    // Groups follow each other and come down a different lane each time
+                    delay: groups.length * scaling.groupDelay,
+                    lane: this.laneIds[(waveNumber + groups.length) % this.laneIds.length],
+                    direction: 'random',
+                    spawnPoint: null
+                });
+                remaining -= groupCount;
+            }
+        });
+
+        return {
+            intermission: scaling.intermission,
+            lanes: this.laneIds,
+            groups,
+            isGenerated: true
+        };
+    }
+
+    /**
+     * Split an enemy count across enemy types by their mix weights
+     * @param {number} count - Total number of enemies
+     * @returns {Object} Enemy count per type
+     */
+    splitByMix(count) {
+        const entries = Object.entries(this.scaling.enemyMix);
+        const totalWeight = entries.reduce((total, [, weight]) => total + weight, 0);
+        const counts = {};
+        let assigned = 0;
+
+        entries.forEach(([type, weight]) => {
+            counts[type] = Math.floor((count * weight) / totalWeight);
+            assigned += counts[type];
+        });
+
+        // Hand out any rounding remainder to the heaviest weighted types first
+        const byWeight = [...entries].sort((a, b) => b[1] - a[1]);
+        for (let i = 0; assigned < count; i++) {
+            counts[byWeight[i % byWeight.length][0]]++;
+            assigned++;
+        }
+
+        Object.keys(counts).forEach(type => {
+            if (counts[type] === 0) {
+                delete counts[type];
+            }
+        });
+
+        return counts;
+    }
+
+    /**
+     * Record that a wave was reached, updating the best wave if needed
+     * @param {number} waveNumber - 1-based wave number
+     * @returns {boolean} Whether this is a new best
+     */
+    recordWave(waveNumber) {
+        if (waveNumber <= this.bestWave) {
+            return false;
+        }
+
+        this.bestWave = waveNumber;
+        this.saveBestWave();
+        return true;
+    }
+
+    getBestWave() {
+        return this.bestWave;
+    }
+
+    saveBestWave() {
+        try {
+            localStorage.setItem(BEST_WAVE_KEY, String(this.bestWave));
+        } catch (e) {
+            console.error('Failed to save best endless wave to localStorage', e);
+        }
+    }
+
+    /**
+     * Read the best endless wave without needing a campaign
+     * @returns {number} Best wave reached, or 0 if endless mode was never played
+     */
+    static loadBestWave() {
+        try {
+            const saved = parseInt(localStorage.getItem(BEST_WAVE_KEY), 10);
+            return Number.isFinite(saved) ? saved : 0;
+        } catch (e) {
+            console.error('Failed to load best endless wave from localStorage', e);
+            return 0;
+        }
+    }
+}
@@ -0,0 +1,114 @@
+import { Goblin } from '../../npc/humanoid/Goblin';
+import { GoblinArcher } from '../../npc/humanoid/GoblinArcher';
+import { GoblinBrute } from '../../npc/humanoid/GoblinBrute';
+import { GoblinShaman } from '../../npc/humanoid/GoblinShaman';
+import { GoblinWarlord } from '../../npc/humanoid/GoblinWarlord';
+
+// Class built for each enemy and boss type of the wave definitions
+const ENEMY_CLASSES = {
+    goblin: Goblin,
+    archer: GoblinArcher,
+    brute: GoblinBrute,
+    shaman: GoblinShaman,
+    warlord: GoblinWarlord
+};
+
+/**
+ * Recycles goblins between waves. Removed goblins keep their mesh, animation
+ * mixer and health bar, so later waves only build new goblins once more are
+ * alive at the same time than ever before. Each enemy type has its own pool.
+ */
+export class GoblinPool {
+    /**
+     * @param {THREE.Scene} scene - Scene goblins are added to when acquired
+     * @param {Object} options - Pool options
+     * @param {number} options.maxSize - Most idle goblins kept per enemy type; extra ones are disposed
+     */
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        this.maxSize = options.maxSize || 100;
+        this.available = new Map(); // Enemy type to idle goblins
+        this.createdCount = 0;
+        this.reusedCount = 0;
+    }
+
+    /**
+     * Get a goblin in the scene, reusing an idle one if possible
+     * @param {Object} config - Goblin configuration, as for the Goblin constructor
+     * @param {string} config.enemyType - Enemy type from the wave definition, 'goblin' by default
+     * @returns {Promise<Goblin|null>} The goblin, or null if a new one failed to load
+     */
+    async acquire(config) {
+        const enemyType = config.enemyType || 'goblin';
+        const pooled = this.getAvailable(enemyType).pop();
+        if (pooled) {
+            pooled.reset(config);
+            pooled.addToScene(this.scene);
+            this.reusedCount++;
+            return pooled;
+        }
+
+        const EnemyClass = ENEMY_CLASSES[enemyType];
+        if (!EnemyClass) {
+            throw new Error(`GoblinPool: Unknown enemy type "${enemyType}"`);
+        }
+
+        const goblin = new EnemyClass(config);
+        const mesh = await goblin.init(this.scene);
+        if (!mesh) {
+            goblin.dispose();
+            return null;
+        }
+        this.createdCount++;
+        return goblin;
+    }
+
+    /**
+     * Take a goblin out of the scene and keep it for a later wave
+     * @param {Goblin} goblin - The goblin to recycle
+     */
+    release(goblin) {
+        const available = this.getAvailable(goblin.enemyType);
+        if (available.includes(goblin)) return;
+
+        if (available.length >= this.maxSize) {
+            goblin.dispose();
+            return;
+        }
+
+        goblin.removeFromScene();
+        available.push(goblin);
+    }
+
+    /**
+     * Get the idle goblins of an enemy type
+     * @param {string} enemyType - Enemy type
+     * @returns {Goblin[]} Idle goblins, shared with the pool
+     */
+    getAvailable(enemyType) {
+        if (!this.available.has(enemyType)) {
+            this.available.set(enemyType, []);
+        }
+        return this.available.get(enemyType);
+    }
+
+    /**
+     * Pool counts for leak checks
+     * @returns {{created: number, reused: number, available: number}} Goblins built, reused and idle
+     */
+    getStats() {
+        return {
+            created: this.createdCount,
+            reused: this.reusedCount,
+            available: [...this.available.values()].reduce((total, goblins) => total + goblins.length, 0)
+        };
+    }
+
+    /**
+     * Dispose every idle goblin
+     */
+    dispose() {
+        this.available.forEach(goblins => goblins.forEach(goblin => goblin.dispose()));
+        this.available.clear();
+    }
+}
@@ -1,116 +1,583 @@
 import * as THREE from 'three';
-import { Goblin } from '../../npc/humanoid/Goblin';
+import { GoblinPool } from './GoblinPool';
 import { WaveAnnouncement } from '../../ui/WaveAnnouncement';
 import { AudioSystem } from '../audio/AudioSystem';
+import { WaveSchema } from './WaveSchema';
+import { EndlessMode } from './EndlessMode';
+import { Scheduler } from '../../game/Scheduler';
+import { SpawnLaneMarker } from '../../entities/environment/SpawnLaneMarker';
+import { ProjectileManager } from '../combat/ProjectileManager';
+
+// Angle around the castle of each side enemies can attack from. North is -Z.
+const DIRECTION_ANGLES = {
+    east: 0,
+    south: Math.PI / 2,
+    west: Math.PI,
+    north: -Math.PI / 2
+};
+
+// How far either side of a direction's angle its enemies may spawn
+const DIRECTION_SPREAD = Math.PI / 9;
+
+// Attempts at finding a walkable spawn position before using the last one tried
+const SPAWN_ATTEMPTS = 5;
+
+// Seconds a lane's marker lights up before its group starts spawning
+const LANE_WARNING_TIME = 3;
+
+// Gold the player is paid for slaying each type of enemy
+const KILL_GOLD = {
+    goblin: 5,
+    archer: 5,
+    shaman: 8,
+    brute: 12,
+    warlord: 100
+};
 
 export class WaveManager {
-    constructor(scene, castle) {
+    constructor(scene, castle, options = {}) {
         this.scene = scene;
         this.castle = castle;
         this.currentWave = 1;
-        this.maxWaves = 10;
+        this.maxWaves = 0;
         this.activeGoblins = [];
+        this.dyingGoblins = [];
+        this.goblinPool = new GoblinPool(scene);
+        this.projectiles = new ProjectileManager(scene, castle); // Archer arrows and shaman bolts
         this.isWaveInProgress = false;
         this.spawnRadius = 80;
-        this.spawnPoints = this.generateSpawnPoints();
         this.waveAnnouncement = new WaveAnnouncement();
         this.audioSystem = new AudioSystem();
         
         // Load goblin scream sound
         this.audioSystem.loadSound('goblinScream', '/music/scream.mp3');
         
-        // Wave configuration
-        this.waveConfigs = [
-            { count: 3, goblinHealth: 40, goblinDamage: 5 },
-            { count: 5, goblinHealth: 45, goblinDamage: 6 },
-            { count: 7, goblinHealth: 50, goblinDamage: 6 },
-            { count: 10, goblinHealth: 55, goblinDamage: 6 },
-            { count: 12, goblinHealth: 60, goblinDamage: 6 },
-            { count: 15, goblinHealth: 65, goblinDamage: 7 },
-            { count: 18, goblinHealth: 70, goblinDamage: 7 },
-            { count: 20, goblinHealth: 75, goblinDamage: 7 },
-            { count: 25, goblinHealth: 80, goblinDamage: 8 },
-            { count: 30, goblinHealth: 85, goblinDamage: 8 }
-        ];
-    }
-
-    generateSpawnPoints() {
-        const points = [];
-        const numPoints = 12;
-        for (let i = 0; i < numPoints; i++) {
-            const angle = (i / numPoints) * Math.PI * 2;
-            const x = Math.cos(angle) * this.spawnRadius;
-            const z = Math.sin(angle) * this.spawnRadius;
-            points.push(new THREE.Vector3(x, 0, z));
-        }
-        return points;
+        // Wave definitions are loaded from a JSON campaign file
+        this.campaignPath = options.campaignPath || '/waves/campaign.json';
+        this.campaign = null;
+        this.waveConfigs = [];
+        this.remainingToSpawn = 0;
+        // Groups of the current wave that are still sending enemies, with the lanes they use
+        this.spawningGroups = new Map();
+
+        // Named spawn lanes of the map, their markers and how many groups are using each
+        this.lanes = {};
+        this.laneMarkers = new Map();
+        this.laneActivity = new Map();
+        this.nextWaveTask = null;
+        this.gameOverTask = null;
+
+        // Game clock that runs spawn delays, intermissions and goblin timers
+        this.scheduler = options.scheduler || new Scheduler();
+
+        // Incremented on reset so in-flight spawning from a previous run stops
+        this.runId = 0;
+
+        // Statistics for the current run (kills, waves cleared)
+        this.runState = options.runState || null;
+
+        // Grid used to route goblins around trees and castle towers
+        this.navigation = options.navigation || null;
+
+        // Physics world that gives goblins kinematic bodies for contact events
+        this.physics = options.physics || null;
+        if (this.physics) {
+            // Let goblins react to running into the player, e.g. a charging boss trampling them
+            this.physics.onContact('goblin', 'player', (goblin, player) => goblin.onPlayerContact(player));
+        }
+
+        // Player that goblins can aggro on
+        this.player = options.player || null;
+
+        // Player settings, e.g. whether corpses become ragdolls
+        this.settings = options.settings || null;
+
+        // 'campaign' stops after the authored waves, 'endless' keeps generating them
+        this.mode = 'campaign';
+        this.endlessMode = null;
+    }
+
+    /**
+     * Load and validate a campaign of wave definitions
+     * @param {string} path - URL of the campaign JSON file
+     * @returns {Promise<Object>} The validated campaign
+     */
+    async loadCampaign(path = this.campaignPath) {
+        let data;
+        try {
+            const response = await fetch(path);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            data = await response.json();
+        } catch (error) {
+            throw new Error(`Failed to load wave campaign ${path}: ${error.message}`);
+        }
+
+        this.setCampaign(WaveSchema.validateCampaign(data, path));
+        return this.campaign;
+    }
+
+    /**
+     * Use an already validated campaign
+     * @param {Object} campaign - Campaign returned by WaveSchema.validateCampaign
+     */
+    setCampaign(campaign) {
+        this.campaign = campaign;
+        this.waveConfigs = campaign.waves;
+        this.maxWaves = campaign.waves.length;
+        this.endlessMode = new EndlessMode(campaign);
+        this.createLaneMarkers(campaign.lanes);
+    }
+
+    /**
+     * Replace the lane markers with ones for the given lanes
+     * @param {Object} lanes - Lanes keyed by id, from the campaign
+     */
+    createLaneMarkers(lanes) {
+        this.laneMarkers.forEach(marker => marker.dispose());
+        this.laneMarkers.clear();
+        this.laneActivity.clear();
+
+        this.lanes = lanes;
+        Object.values(lanes).forEach(lane => {
+            const marker = new SpawnLaneMarker(lane);
+            this.scene.add(marker.group);
+            this.laneMarkers.set(lane.id, marker);
+        });
+    }
+
+    /**
+     * Light up lanes, warning the player about each one that was quiet
+     * @param {Object[]} lanes - Lanes a group is about to use
+     */
+    activateLanes(lanes) {
+        lanes.forEach(lane => {
+            const count = this.laneActivity.get(lane.id) || 0;
+            this.laneActivity.set(lane.id, count + 1);
+            if (count > 0) return;
+
+            this.laneMarkers.get(lane.id).setActive(true);
+            const event = new CustomEvent('spawnLaneActivated', {
+                detail: { lane }
+            });
+            window.dispatchEvent(event);
+        });
+    }
+
+    /**
+     * Let lanes go dark once no group is using them
+     * @param {Object[]} lanes - Lanes a group has finished with
+     */
+    releaseLanes(lanes) {
+        lanes.forEach(lane => {
+            const count = (this.laneActivity.get(lane.id) || 0) - 1;
+            if (count > 0) {
+                this.laneActivity.set(lane.id, count);
+                return;
+            }
+            this.laneActivity.delete(lane.id);
+            this.laneMarkers.get(lane.id).setActive(false);
+        });
+    }
+
+    /**
+     * Put every lane out, e.g. when the run ends
+     */
+    clearLanes() {
+        this.laneActivity.clear();
+        this.laneMarkers.forEach(marker => marker.setActive(false));
+    }
+
+    /**
+     * Get the lanes a group's enemies may come down
+     * @param {Object} group - Spawn group definition
+     * @param {Object} wave - Wave the group belongs to
+     * @returns {Object[]} Candidate lanes; empty if the group spawns at a fixed point or
+     *   no enabled lane lies in its direction
+     */
+    getGroupLanes(group, wave) {
+        if (group.spawnPoint) return [];
+        if (group.lane) return [this.lanes[group.lane]];
+
+        return wave.lanes
+            .map(id => this.lanes[id])
+            .filter(lane => lane && (group.direction === 'random' || this.getDirectionName(lane) === group.direction));
+    }
+
+    /**
+     * Choose between the authored campaign and endless mode
+     * @param {string} mode - 'campaign' or 'endless'
+     */
+    setMode(mode) {
+        if (mode !== 'campaign' && mode !== 'endless') {
+            throw new Error(`WaveManager: Unknown game mode "${mode}"`);
+        }
+        this.mode = mode;
+    }
+
+    /**
+     * Set the player goblins can switch targets to
+     * @param {Player} player - The player
+     */
+    setPlayer(player) {
+        this.player = player;
+    }
+
+    /**
+     * Get the game over rule for the current mode
+     * @returns {string} 'castle' or 'castleOrPlayer'
+     */
+    getGameOverRule() {
+        return this.campaign ? this.campaign.gameOver[this.mode] : 'castle';
+    }
+
+    /**
+     * Check whether the current run has been lost
+     * @returns {boolean} Whether the game over rule for this mode has been met
+     */
+    isRunLost() {
+        if (this.castle.getHealth() <= 0) {
+            return true;
+        }
+        return this.getGameOverRule() === 'castleOrPlayer' && !!this.player && this.player.isDead;
+    }
+
+    isEndless() {
+        return this.mode === 'endless';
+    }
+
+    /**
+     * Get the best wave reached in endless mode
+     * @returns {number} Best wave, or 0 if endless mode was never played
+     */
+    getBestWave() {
+        return this.endlessMode ? this.endlessMode.getBestWave() : EndlessMode.loadBestWave();
+    }
+
+    /**
+     * Get the definition for a wave
+     * @param {number} waveNumber - 1-based wave number
+     * @returns {Object|null} The wave definition
+     */
+    getWaveConfig(waveNumber = this.currentWave) {
+        if (this.isEndless() && this.endlessMode) {
+            return this.endlessMode.getWave(waveNumber);
+        }
+        return this.waveConfigs[waveNumber - 1] || null;
+    }
+
+    /**
+     * Get the total number of enemies in a wave
+     * @param {number} waveNumber - 1-based wave number
+     * @returns {number} Enemy count
+     */
+    getWaveEnemyCount(waveNumber = this.currentWave) {
+        return WaveSchema.getEnemyCount(this.getWaveConfig(waveNumber));
+    }
+
+    /**
+     * Summarize the enemies a wave will send, for the intermission preview
+     * @param {number} waveNumber - 1-based wave number
+     * @returns {Array<{enemyType: string, count: number}>} Enemy counts by type, in spawn order
+     */
+    getWavePreview(waveNumber = this.currentWave) {
+        const config = this.getWaveConfig(waveNumber);
+        if (!config) return [];
+
+        const counts = new Map();
+        WaveSchema.getSpawnGroups(config).forEach(group => {
+            counts.set(group.enemyType, (counts.get(group.enemyType) || 0) + group.count);
+        });
+        return [...counts].map(([enemyType, count]) => ({ enemyType, count }));
     }
 
     async startWave() {
-        if (this.currentWave > this.maxWaves || this.isWaveInProgress) {
+        if (this.isWaveInProgress) {
+            return;
+        }
+        if (!this.isEndless() && this.currentWave > this.maxWaves) {
+            return;
+        }
+
+        // Get the current wave configuration
+        const config = this.getWaveConfig();
+        if (!config) {
+            console.error(`WaveManager: No definition for wave ${this.currentWave}`);
             return;
         }
 
+        const totalEnemies = WaveSchema.getEnemyCount(config);
         this.isWaveInProgress = true;
+        this.remainingToSpawn = totalEnemies;
+
+        if (this.isEndless()) {
+            this.endlessMode.recordWave(this.currentWave);
+        }
         
         // Display the current wave number
         this.waveAnnouncement.showWave(this.currentWave);
-        
-        // Get the current wave configuration
-        const config = this.waveConfigs[this.currentWave - 1];
 
-        for (let i = 0; i < config.count; i++) {
-            const spawnPoint = this.spawnPoints[Math.floor(Math.random() * this.spawnPoints.length)];
-            
-            const goblin = new Goblin({
-                position: spawnPoint,
-                health: config.goblinHealth,
-                maxHealth: config.goblinHealth,
-                attackPower: config.goblinDamage,
-                moveSpeed: 3.0,
-                attackRange: 4.0,
-                attackCooldown: 3.0,
-                lastAttackTime: 0,
-                currentState: 'walk',
-                stats: {
-                    strength: 12 + this.currentWave,
-                    dexterity: 14 + this.currentWave,
-                    vitality: 10 + this.currentWave,
-                    intelligence: 8 + this.currentWave
-                }
-            });
+        // Dispatch event so other systems can react to the new wave
+        const event = new CustomEvent('waveStarted', {
+            detail: { wave: this.currentWave, enemyCount: totalEnemies }
+        });
+        window.dispatchEvent(event);
+
+        // Every group, and the boss, runs on its own timeline from the start of the wave
+        const runId = this.runId;
+        await Promise.all(WaveSchema.getSpawnGroups(config).map(group =>
+            this.spawnGroup(group, this.getGroupLanes(group, config), runId, totalEnemies)
+        ));
+        if (runId !== this.runId) return;
+
+        // Every enemy failed to load or died during spawning
+        this.checkWaveComplete();
+    }
+
+    /**
+     * Wait for a group's delay, lighting its lanes up shortly before, then send its
+     * enemies one at a time
+     * @param {Object} group - Spawn group definition
+     * @param {Object[]} lanes - Lanes the group's enemies may come down
+     * @param {number} runId - Run the wave belongs to; spawning stops if the run is reset
+     * @param {number} total - Number of enemies in the wave
+     */
+    async spawnGroup(group, lanes, runId, total) {
+        const warning = Math.min(group.delay, LANE_WARNING_TIME);
+        if (group.delay > warning && !(await this.scheduler.wait(group.delay - warning, this))) {
+            return;
+        }
+        if (runId !== this.runId) return;
 
-            const mesh = await goblin.init(this.scene);
-            if (!mesh) {
-                continue;
+        this.activateLanes(lanes);
+        this.spawningGroups.set(group, lanes);
+        try {
+            if (warning > 0 && !(await this.scheduler.wait(warning, this))) {
+                return;
             }
-            
-            goblin.waveManager = this;
-            goblin.playAnimation('walk', 0.2, 0.2);
-            
-            // Add scream timing properties with unique initial delay
-            goblin.lastScreamTime = performance.now() / 1000;
-            // Stagger initial screams by adding an offset based on goblin number
-            const initialOffset = (i / config.count) * 10; // Spread first screams over 10 seconds
-            goblin.nextScreamDelay = this.getRandomScreamDelay() + initialOffset;
-            
-            // Ensure health bar is properly initialized and added to scene
-            if (goblin.healthBar) {
-                const healthBarSprite = goblin.healthBar.getSprite();
-                if (healthBarSprite && !healthBarSprite.parent) {
-                    this.scene.add(healthBarSprite);
-                    
-                    // Initialize health bar with current health
-                    goblin.healthBar.update(goblin.health, goblin.maxHealth);
-                    
-                    // Position the health bar above the goblin's head
-                    const position = goblin.mesh.position.clone();
-                    position.y += goblin.height + 1.0;
-                    goblin.healthBar.updatePosition(position);
+
+            for (let i = 0; i < group.count; i++) {
+                if (i > 0 && group.interval > 0 && !(await this.scheduler.wait(group.interval, this))) {
+                    return;
                 }
+                if (runId !== this.runId) return;
+
+                const position = this.getSpawnPosition(group, lanes);
+                await this.spawnEnemy(group, position, total - this.remainingToSpawn, total);
+                if (runId !== this.runId) return;
+                this.remainingToSpawn--;
             }
-            
-            this.activeGoblins.push(goblin);
+        } finally {
+            // A reset has already put every lane out
+            if (runId === this.runId) {
+                this.spawningGroups.delete(group);
+                this.releaseLanes(lanes);
+            }
+        }
+    }
+
+    /**
+     * Pick where a group's next enemy appears
+     * @param {Object} group - Spawn group definition
+     * @param {Object[]} lanes - Lanes the group's enemies may come down
+     * @returns {THREE.Vector3} Spawn position on the ground
+     */
+    getSpawnPosition(group, lanes) {
+        if (group.spawnPoint) {
+            return new THREE.Vector3(group.spawnPoint.x, 0, group.spawnPoint.z);
+        }
+
+        let position = null;
+        for (let attempt = 0; attempt < SPAWN_ATTEMPTS; attempt++) {
+            if (lanes.length > 0) {
+                // Anywhere inside one of the lanes' spawn areas
+                const lane = lanes[Math.floor(Math.random() * lanes.length)];
+                const angle = Math.random() * Math.PI * 2;
+                const distance = Math.sqrt(Math.random()) * lane.width / 2;
+                position = new THREE.Vector3(
+                    lane.x + Math.cos(angle) * distance,
+                    0,
+                    lane.z + Math.sin(angle) * distance
+                );
+            } else {
+                // No lane on that side, so anywhere along the edge of the map there
+                const baseAngle = group.direction === 'random' ? Math.random() * Math.PI * 2 : DIRECTION_ANGLES[group.direction];
+                const angle = baseAngle + (Math.random() * 2 - 1) * DIRECTION_SPREAD;
+                position = new THREE.Vector3(
+                    Math.cos(angle) * this.spawnRadius,
+                    0,
+                    Math.sin(angle) * this.spawnRadius
+                );
+            }
+
+            // Avoid spawning inside a tree
+            if (!this.navigation || this.navigation.isPositionWalkable(position)) {
+                break;
+            }
+        }
+        return position;
+    }
+
+    /**
+     * Get the side of the map a position is on
+     * @param {THREE.Vector3|{x: number, z: number}} position - Position around the castle
+     * @returns {string} 'north', 'east', 'south' or 'west'
+     */
+    getDirectionName(position) {
+        const quarter = Math.round(Math.atan2(position.z, position.x) / (Math.PI / 2));
+        return ['east', 'south', 'west', 'north'][(quarter + 4) % 4];
+    }
+
+    /**
+     * Get the sides a wave's groups will attack from
+     * @param {number} waveNumber - 1-based wave number
+     * @returns {string[]} Direction names, 'random' if any group picks its side per enemy
+     */
+    getWaveDirections(waveNumber = this.currentWave) {
+        const config = this.getWaveConfig(waveNumber);
+        if (!config) return [];
+
+        const directions = new Set();
+        WaveSchema.getSpawnGroups(config).forEach(group => {
+            this.getGroupDirections(group, this.getGroupLanes(group, config))
+                .forEach(direction => directions.add(direction));
+        });
+        return [...directions];
+    }
+
+    /**
+     * Get the sides a group attacks from
+     * @param {Object} group - Spawn group definition
+     * @param {Object[]} lanes - Lanes the group's enemies may come down
+     * @returns {string[]} Direction names, 'random' if it may come from anywhere
+     */
+    getGroupDirections(group, lanes) {
+        if (lanes.length > 0) {
+            return lanes.map(lane => this.getDirectionName(lane));
+        }
+        return [group.spawnPoint ? this.getDirectionName(group.spawnPoint) : group.direction];
+    }
+
+    /**
+     * Get the sides enemies are currently coming from: groups still spawning and
+     * living goblins
+     * @returns {string[]} Direction names in compass order
+     */
+    getActiveDirections() {
+        const directions = new Set();
+        this.spawningGroups.forEach((lanes, group) => {
+            this.getGroupDirections(group, lanes).forEach(direction => directions.add(direction));
+        });
+        this.activeGoblins.forEach(goblin => {
+            if (goblin.spawnDirection) {
+                directions.add(goblin.spawnDirection);
+            }
+        });
+        return ['north', 'east', 'south', 'west'].filter(direction => directions.has(direction));
+    }
+
+    /**
+     * Spawn a single enemy from a wave group
+     * @param {Object} group - Spawn group definition
+     * @param {THREE.Vector3} spawnPoint - Where the enemy appears
+     * @param {number} index - Index of this enemy within the wave
+     * @param {number} total - Number of enemies in the wave
+     * @returns {Promise<Goblin|null>} The enemy, or null if it failed to load
+     */
+    async spawnEnemy(group, spawnPoint, index, total) {
+        const goblin = await this.goblinPool.acquire({
+            enemyType: group.enemyType,
+            name: group.name,
+            adds: group.adds,
+            position: spawnPoint,
+            health: group.health,
+            maxHealth: group.health,
+            attackPower: group.damage,
+            moveSpeed: group.moveSpeed,
+            attackRange: group.attackRange,
+            attackCooldown: group.attackCooldown,
+            lastAttackTime: 0,
+            currentState: 'walk',
+            scheduler: this.scheduler,
+            stats: {
+                strength: 12 + this.currentWave,
+                dexterity: 14 + this.currentWave,
+                vitality: 10 + this.currentWave,
+                intelligence: 8 + this.currentWave
+            }
+        });
+        if (!goblin) {
+            return null;
+        }
+        
+        goblin.waveManager = this;
+        goblin.spawnDirection = this.getDirectionName(spawnPoint);
+        goblin.playAnimation('walk', 0.2, 0.2);
+        
+        // Add scream timing properties with unique initial delay
+        goblin.lastScreamTime = this.scheduler.now();
+        // Stagger initial screams by adding an offset based on goblin number
+        const initialOffset = (index / total) * 10; // Spread first screams over 10 seconds
+        goblin.nextScreamDelay = this.getRandomScreamDelay() + initialOffset;
+        
+        // Ensure health bar is properly initialized and added to scene
+        if (goblin.healthBar) {
+            const healthBarSprite = goblin.healthBar.getSprite();
+            if (healthBarSprite && !healthBarSprite.parent) {
+                this.scene.add(healthBarSprite);
+                
+                // Initialize health bar with current health
+                goblin.healthBar.update(goblin.health, goblin.maxHealth);
+                
+                // Position the health bar above the goblin's head
+                const position = goblin.mesh.position.clone();
+                position.y += goblin.height + 1.0;
+                goblin.healthBar.updatePosition(position);
+            }
+        }
+        
+        if (this.physics) {
+            this.physics.addKinematicBody(goblin, { kind: 'goblin', radius: goblin.bodyRadius || 0.4 });
+        }
+
+        this.activeGoblins.push(goblin);
+
+        if (group.isBoss) {
+            // Dispatch event so the game can show the boss health bar and change the music
+            const event = new CustomEvent('bossSpawned', {
+                detail: { boss: goblin, music: group.music }
+            });
+            window.dispatchEvent(event);
+        }
+        return goblin;
+    }
+
+    /**
+     * Spawn a boss's adds in a circle around it. They join the current wave, so it
+     * isn't cleared until they are dead too.
+     * @param {Goblin} boss - The boss calling them
+     * @param {Object} adds - Spawn group definition of the adds
+     * @param {number} radius - Distance from the boss they appear at
+     */
+    async summonAdds(boss, adds, radius) {
+        const runId = this.runId;
+        const offset = Math.random() * Math.PI * 2;
+
+        // Count the adds before the first await so the wave can't be cleared
+        // while they are still loading
+        this.remainingToSpawn += adds.count;
+
+        for (let i = 0; i < adds.count; i++) {
+            const angle = offset + (i / adds.count) * Math.PI * 2;
+            const position = new THREE.Vector3(
+                boss.mesh.position.x + Math.cos(angle) * radius,
+                0,
+                boss.mesh.position.z + Math.sin(angle) * radius
+            );
+            await this.spawnEnemy(adds, position, i, adds.count);
+            if (runId !== this.runId) return;
+            this.remainingToSpawn--;
         }
     }
 
@@ -123,37 +590,178 @@ export class WaveManager {
         const index = this.activeGoblins.indexOf(goblin);
         if (index > -1) {
             this.activeGoblins.splice(index, 1);
-            
-            // Remove the goblin from the scene after a short delay
-            setTimeout(() => {
-                if (goblin.mesh && goblin.mesh.parent) {
-                    goblin.mesh.parent.remove(goblin.mesh);
+
+            if (this.runState) {
+                this.runState.recordKill();
+            }
+            if (this.player) {
+                this.player.inventory.addCurrency('gold', KILL_GOLD[goblin.enemyType] || KILL_GOLD.goblin);
+            }
+
+            // Corpses don't take part in contacts, but may fall as ragdolls
+            if (this.physics) {
+                this.physics.removeBody(goblin);
+                if (this.isRagdollEnabled()) {
+                    goblin.enableRagdoll(this.physics);
                 }
-            }, 5000); // 5 second delay to allow death animation to play
+            }
+            
+            // The corpse is removed by updateCorpses once it has faded out
+            this.dyingGoblins.push(goblin);
         }
         
         // Check if wave is complete
-        if (this.activeGoblins.length === 0) {
-            this.isWaveInProgress = false;
-            
-            // Increment wave counter when wave is complete
-            this.currentWave++;
-            
-            // Start next wave after delay if not the last wave
-            if (this.currentWave <= this.maxWaves) {
-                setTimeout(() => this.startWave(), 5000);
+        this.checkWaveComplete();
+    }
+
+    /**
+     * Remove a dead goblin's corpse and return it to the pool
+     * @param {Goblin} goblin - The goblin to remove
+     */
+    removeGoblin(goblin) {
+        const index = this.dyingGoblins.indexOf(goblin);
+        if (index > -1) {
+            this.dyingGoblins.splice(index, 1);
+        }
+        this.goblinPool.release(goblin);
+    }
+
+    /**
+     * Return every living goblin and corpse to the pool
+     */
+    clearEnemies() {
+        [...this.activeGoblins, ...this.dyingGoblins].forEach(goblin => {
+            if (this.physics) {
+                this.physics.removeBody(goblin);
             }
+            this.goblinPool.release(goblin);
+        });
+        this.activeGoblins = [];
+        this.dyingGoblins = [];
+    }
+
+    checkWaveComplete() {
+        if (!this.isWaveInProgress || this.activeGoblins.length > 0 || this.remainingToSpawn > 0) {
+            return;
+        }
+
+        this.isWaveInProgress = false;
+        const intermission = this.getWaveConfig().intermission;
+
+        if (this.runState) {
+            this.runState.recordWaveCleared();
+        }
+        
+        // Increment wave counter when wave is complete
+        this.currentWave++;
+
+        if (this.isGameComplete()) {
+            this.handleVictory();
+            return;
         }
+        
+        // Start next wave after the wave's intermission. It runs on the game clock so
+        // pausing holds it and fast-forwarding shortens it.
+        this.nextWaveTask = this.scheduler.schedule(intermission, () => {
+            this.nextWaveTask = null;
+            this.startWave();
+        }, this);
+    }
+
+    handleVictory() {
+        this.waveAnnouncement.showVictory();
+
+        // Dispatch event so the game can show the end-of-run summary
+        const event = new CustomEvent('gameVictory', {
+            detail: { waveManager: this }
+        });
+        window.dispatchEvent(event);
+    }
+
+    /**
+     * Return to wave 1 of the current mode, cancelling any pending wave
+     */
+    reset() {
+        this.runId++;
+
+        // Cancel the next wave, spawn delays and the game over screen
+        this.scheduler.cancelOwner(this);
+        this.nextWaveTask = null;
+        this.gameOverTask = null;
+        this.spawningGroups.clear();
+        this.clearLanes();
+
+        this.clearEnemies();
+        this.projectiles.clear();
+        this.waveAnnouncement.reset();
+
+        this.currentWave = 1;
+        this.isWaveInProgress = false;
+        this.remainingToSpawn = 0;
+    }
+
+    /**
+     * Whether dead goblins should fall as ragdolls, from the player's settings
+     * @returns {boolean} False only if the player turned ragdolls off
+     */
+    isRagdollEnabled() {
+        return !this.settings || this.settings.getSetting('graphics', 'ragdollCorpses') !== false;
+    }
+
+    /**
+     * Advance corpses and remove the ones that have faded out
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    updateCorpses(deltaTime) {
+        [...this.dyingGoblins].forEach(goblin => {
+            if (goblin.updateCorpse(deltaTime)) {
+                this.removeGoblin(goblin);
+            }
+        });
+    }
+
+    /**
+     * Get the time left before the next wave starts
+     * @returns {number|null} Simulated seconds until the next wave, or null if none is pending
+     */
+    getIntermissionRemaining() {
+        return this.nextWaveTask ? this.scheduler.getRemaining(this.nextWaveTask) : null;
+    }
+
+    /**
+     * Cut the intermission short and start the next wave now, scoring a bonus for
+     * the time skipped
+     * @returns {number|null} Bonus points awarded, or null if no wave was pending
+     */
+    startNextWaveEarly() {
+        const remaining = this.getIntermissionRemaining();
+        if (remaining === null) return null;
+
+        this.scheduler.cancel(this.nextWaveTask);
+        this.nextWaveTask = null;
+
+        const bonus = this.runState ? this.runState.recordEarlyStart(remaining) : 0;
+        this.startWave();
+        return bonus;
     }
 
     update(deltaTime) {
-        if (!this.isWaveInProgress) return;
+        // Corpses keep fading and lane markers keep glowing between waves
+        this.updateCorpses(deltaTime);
+        this.laneMarkers.forEach(marker => marker.update(deltaTime));
 
-        if (this.castle.getHealth() <= 0) {
+        // Shots already in the air land even after the last goblin falls
+        this.projectiles.update(deltaTime);
+
+        // The run can also be lost between waves, e.g. to one of those shots
+        const isRunActive = this.runState ? this.runState.isActive : this.isWaveInProgress;
+        if (isRunActive && this.isRunLost()) {
             this.handleGameOver();
             return;
         }
 
+        if (!this.isWaveInProgress) return;
+
         this.activeGoblins.forEach(goblin => {
             if (!goblin.isDead) {
                 if (goblin.mixer) {
@@ -178,116 +786,192 @@ export class WaveManager {
         });
     }
 
-    getNearestWallPosition(goblinPosition) {
-        // Get castle size from the castle walls
+    /**
+     * Get the point of the castle a goblin attacks: the wall or tower facing it, or
+     * the keep once the walls have been breached
+     * @param {THREE.Vector3} goblinPosition - Position of the goblin
+     * @returns {THREE.Vector3} Point at ground level
+     */
+    getCastleTargetPosition(goblinPosition) {
+        return this.castle.getTargetPoint(goblinPosition);
+    }
+
+    /**
+     * Get the castle gate a boss charges at: the middle of the wall facing it
+     * @param {THREE.Vector3} position - Position of the boss
+     * @returns {THREE.Vector3|null} Middle of the nearest wall at ground level, or
+     *   null if that wall has already fallen
+     */
+    getGatePosition(position) {
         const castleWalls = this.castle.castleWalls;
         if (!castleWalls) return new THREE.Vector3(0, 0, 0);
-        
-        const castleSize = castleWalls.castleSize || 20;
-        const halfSize = castleSize / 2;
-        
-        // Get direction from castle center to goblin
-        const direction = new THREE.Vector3();
-        direction.subVectors(goblinPosition, new THREE.Vector3(0, 0, 0)).normalize();
-        
-        // Calculate the nearest point on the castle walls
-        const nearestPoint = new THREE.Vector3(
-            direction.x * halfSize,
-            0,
-            direction.z * halfSize
-        );
-        
-        return nearestPoint;
+
+        const halfSize = (castleWalls.castleSize || 20) / 2;
+        const side = this.getDirectionName(position);
+        const wall = this.castle.getSegment(side);
+        if (wall && wall.isDestroyed) return null;
+
+        const angle = DIRECTION_ANGLES[side];
+        return new THREE.Vector3(Math.round(Math.cos(angle)) * halfSize, 0, Math.round(Math.sin(angle)) * halfSize);
     }
 
-    updateGoblinBehavior(goblin, deltaTime) {
-        // Get the nearest wall position
-        const nearestWallPosition = this.getNearestWallPosition(goblin.mesh.position);
-        const distanceToWall = goblin.mesh.position.distanceTo(nearestWallPosition);
-
-        // If goblin is in attack range of wall
-        if (distanceToWall <= goblin.attackRange) {
-            // Check attack cooldown
-            const currentTime = performance.now() / 1000;
-            const timeSinceLastAttack = currentTime - goblin.lastAttackTime;
-            
-            // Make goblin face the wall
-            goblin.mesh.lookAt(nearestWallPosition);
-
-            if (timeSinceLastAttack >= goblin.attackCooldown) {
-                // Start attack sequence
-                if (goblin.currentState !== 'attack') {
-                    // Deal damage immediately
-                    this.castle.takeDamage(goblin.attackPower);
-                    
-                    // Play attack animation
-                    goblin.currentState = 'attack';
-                    goblin.playAnimation('attack', 0.2, 0.2);
-                    
-                    // Return to idle after attack animation
-                    setTimeout(() => {
-                        if (!goblin.isDead && goblin.currentState === 'attack') {
-                            goblin.currentState = 'idle';
-                            goblin.playAnimation('idle', 0.2, 0.2);
-                        }
-                    }, 1000); // Full attack animation duration
-                    
-                    // Update last attack time
-                    goblin.lastAttackTime = currentTime;
-                }
-            } else {
-                // If on cooldown and not attacking, play idle animation
-                if (goblin.currentState !== 'idle' && goblin.currentState !== 'attack') {
-                    goblin.currentState = 'idle';
-                    goblin.playAnimation('idle', 0.2, 0.2);
-                }
-            }
-        } else {
-            // Move towards nearest wall
-            const direction = nearestWallPosition.clone().sub(goblin.mesh.position).normalize();
-            const moveAmount = goblin.moveSpeed * deltaTime;
-            goblin.mesh.position.add(direction.multiplyScalar(moveAmount));
-            
+    /**
+     * Get the point on the castle ranged goblins shoot at
+     * @param {THREE.Vector3} position - Position of the shooter
+     * @returns {THREE.Vector3} Point halfway up the wall, tower or keep they are attacking
+     */
+    getWallAimPoint(position) {
+        const point = this.getCastleTargetPosition(position);
+        const castleWalls = this.castle.castleWalls;
+        point.y = (castleWalls ? castleWalls.wallHeight : 8) / 2;
+        return point;
+    }
+
+    /**
+     * Check whether a goblin can walk to a position, e.g. a player who may be inside the walls
+     * @param {Goblin} goblin - The goblin
+     * @param {THREE.Vector3} position - Where it wants to go
+     * @returns {boolean} Whether a path exists
+     */
+    canReach(goblin, position) {
+        return !this.navigation || this.navigation.isReachable(goblin.mesh.position, position);
+    }
+
+    /**
+     * Move a goblin one step along its navigation path towards a target
+     * @param {Goblin} goblin - The goblin to move
+     * @param {THREE.Vector3} target - Final destination
+     * @param {number} deltaTime - Time since last update
+     */
+    moveGoblinTowards(goblin, target, deltaTime) {
+        const waypoint = this.getNextWaypoint(goblin, target);
+        if (!waypoint) return;
+
+        const direction = waypoint.clone().sub(goblin.mesh.position);
+        direction.y = 0;
+        const distance = direction.length();
+
+        if (distance > 0.001) {
+            const moveAmount = Math.min(goblin.moveSpeed * deltaTime, distance);
+            goblin.mesh.position.addScaledVector(direction.normalize(), moveAmount);
+
             // Make goblin face the direction it's moving
-            goblin.mesh.lookAt(nearestWallPosition);
-            
-            // Update state and play walking animation if not already walking
-            if (goblin.currentState !== 'walk') {
-                goblin.currentState = 'walk';
-                goblin.playAnimation('walk', 0.2, 0.2);
+            const lookTarget = waypoint.clone();
+            lookTarget.y = goblin.mesh.position.y;
+            goblin.mesh.lookAt(lookTarget);
+        }
+    }
+
+    /**
+     * Get the next point a goblin should walk to, recomputing its path when the
+     * navigation grid was rebuilt or the target moved
+     * @param {Goblin} goblin - The goblin
+     * @param {THREE.Vector3} target - Final destination
+     * @returns {THREE.Vector3|null} Next waypoint, the target itself once the path is
+     *   done, or null if no path reaches the target
+     */
+    getNextWaypoint(goblin, target) {
+        if (!this.navigation) {
+            return target;
+        }
+
+        this.navigation.ensureBuilt();
+
+        const path = goblin.navPath;
+        const isStale =
+            !path ||
+            path.version !== this.navigation.version ||
+            path.target.distanceTo(target) > this.navigation.cellSize;
+
+        if (isStale) {
+            const waypoints = this.navigation.findPath(goblin.mesh.position, target);
+            goblin.navPath = {
+                // The first waypoint is the cell the goblin is already standing in. A failed
+                // search is kept too, so it isn't retried until the grid or target changes
+                waypoints: waypoints ? waypoints.slice(1) : null,
+                index: 0,
+                target: target.clone(),
+                version: this.navigation.version
+            };
+        }
+
+        // Walking straight at an unreachable target would go through the walls
+        const { waypoints } = goblin.navPath;
+        if (!waypoints) {
+            return null;
+        }
+
+        // Skip waypoints the goblin has already reached
+        const position = goblin.mesh.position;
+        while (goblin.navPath.index < waypoints.length) {
+            const waypoint = waypoints[goblin.navPath.index];
+            if (Math.hypot(waypoint.x - position.x, waypoint.z - position.z) > 0.5) {
+                return waypoint;
             }
+            goblin.navPath.index++;
+        }
 
-            // Handle screaming while walking
-            const currentTime = performance.now() / 1000;
-            const timeSinceLastScream = currentTime - goblin.lastScreamTime;
+        return target;
+    }
 
-            if (timeSinceLastScream >= goblin.nextScreamDelay) {
-                // Get player position from game instance
-                const player = window.game?.player;
-                if (player && player.mesh) {
-                    const distanceToPlayer = goblin.mesh.position.distanceTo(player.mesh.position);
-                    
-                    // Only play scream if within audible range (120 units)
-                    if (distanceToPlayer <= 120) {
-                        // Calculate volume based on distance (1.0 at 0 distance, 0.05 at 115-120 distance)
-                        const volume = Math.max(0.05, 1 - (distanceToPlayer / 120));
-                        this.audioSystem.playSound('goblinScream', volume);
-                    }
-                }
+    updateGoblinBehavior(goblin, deltaTime) {
+        // Targeting, chasing and attacking run through the goblin's AI state machine
+        goblin.updateAI(deltaTime);
+
+        // Handle screaming while on the move
+        if (goblin.state === 'CHASE') {
+            this.updateGoblinScream(goblin);
+        }
+    }
+
+    updateGoblinScream(goblin) {
+        const currentTime = this.scheduler.now();
+        const timeSinceLastScream = currentTime - goblin.lastScreamTime;
+
+        if (timeSinceLastScream >= goblin.nextScreamDelay) {
+            // Get player position
+            const player = this.player;
+            if (player && player.mesh) {
+                const distanceToPlayer = goblin.mesh.position.distanceTo(player.mesh.position);
                 
-                // Set up next scream with randomization specific to this goblin
-                goblin.lastScreamTime = currentTime;
-                goblin.nextScreamDelay = this.getRandomScreamDelay();
+                // Only play scream if within audible range (120 units)
+                if (distanceToPlayer <= 120) {
+                    // Calculate volume based on distance (1.0 at 0 distance, 0.05 at 115-120 distance)
+                    const volume = Math.max(0.05, 1 - (distanceToPlayer / 120));
+                    this.audioSystem.playSound('goblinScream', volume);
+                }
             }
+            
+            // Set up next scream with randomization specific to this goblin
+            goblin.lastScreamTime = currentTime;
+            goblin.nextScreamDelay = this.getRandomScreamDelay();
         }
     }
 
     handleGameOver() {
+        // Stop any groups still waiting to spawn
+        this.runId++;
         this.isWaveInProgress = false;
+        this.remainingToSpawn = 0;
+        this.scheduler.cancelOwner(this);
+        this.nextWaveTask = null;
+        this.spawningGroups.clear();
+        this.clearLanes();
+        this.projectiles.clear();
         this.waveAnnouncement.showGameOver();
-        setTimeout(() => {
-            window.location.reload();
-        }, 3000);
+
+        if (this.runState) {
+            this.runState.end();
+        }
+
+        // Dispatch event so the game can offer a restart once the screen has faded
+        this.gameOverTask = this.scheduler.schedule(3, () => {
+            this.gameOverTask = null;
+            const event = new CustomEvent('gameOver', {
+                detail: { waveManager: this }
+            });
+            window.dispatchEvent(event);
+        }, this);
     }
 
     getCurrentWave() {
@@ -299,6 +983,11 @@ export class WaveManager {
     }
 
     isGameComplete() {
-        return this.currentWave >= this.maxWaves && this.activeGoblins.length === 0;
+        return (
+            !this.isEndless() &&
+            this.currentWave > this.maxWaves &&
+            this.activeGoblins.length === 0 &&
+            this.remainingToSpawn === 0
+        );
     }
 } 
\ No newline at end of file
@@ -0,0 +1,498 @@
+// Enemy types that wave groups may reference: plain goblins and their archetypes
+const ENEMY_TYPES = ['goblin', 'archer', 'brute', 'shaman'];
+
+// Bosses that waves may end with
+const BOSS_TYPES = ['warlord'];
+
+// Sides of the map a group can attack from; 'random' picks a side per enemy
+const SPAWN_DIRECTIONS = ['north', 'east', 'south', 'west', 'random'];
+
+// Spawn lanes used when a campaign doesn't define its own, one road into each side
+const DEFAULT_LANES = {
+    northRoad: { name: 'North Road', x: 0, z: -80 },
+    eastForest: { name: 'East Forest', x: 80, z: 0 },
+    southFields: { name: 'South Fields', x: 0, z: 80 },
+    westRiver: { name: 'West River', x: -80, z: 0 }
+};
+
+// Default width of the area a lane's enemies spawn in
+const DEFAULT_LANE_WIDTH = 10;
+
+// Group fields that say where enemies come from; a group may set one of them
+const SPAWN_LOCATION_FIELDS = ['lane', 'direction', 'spawnPoint'];
+
+// Default values applied to optional group fields
+const GROUP_DEFAULTS = {
+    delay: 0,
+    interval: 1.0,
+    lane: null,
+    direction: 'random',
+    spawnPoint: null,
+    moveSpeed: 3.0,
+    attackRange: 4.0,
+    attackCooldown: 3.0
+};
+
+// Default values applied to optional boss fields, on top of the group defaults
+const BOSS_DEFAULTS = {
+    name: 'Goblin Warlord',
+    music: null, // The game's boss theme plays unless the boss sets its own
+    moveSpeed: 2.5,
+    attackRange: 5.0,
+    attackCooldown: 2.5
+};
+
+// Default goblins a boss summons to its side
+const BOSS_ADDS_DEFAULTS = {
+    enemyType: 'goblin',
+    count: 3,
+    health: 40,
+    damage: 5
+};
+
+// Default intermission length in seconds
+const DEFAULT_INTERMISSION = 5;
+
+// Default scaling used to generate waves after the authored ones in endless mode
+const ENDLESS_DEFAULTS = {
+    countPerWave: 2,
+    maxCount: 60,
+    healthMultiplier: 1.08,
+    damageMultiplier: 1.05,
+    groupSize: 10,
+    groupDelay: 5,
+    intermission: DEFAULT_INTERMISSION,
+    enemyMix: { goblin: 1 }
+};
+
+// Conditions that end a run: the castle falling, or either the castle or the player
+const GAME_OVER_RULES = ['castle', 'castleOrPlayer'];
+
+// Default game over rule for each game mode
+const GAME_OVER_DEFAULTS = {
+    campaign: 'castle',
+    endless: 'castle'
+};
+
+/**
+ * Schema and validation for wave definitions loaded from JSON campaign files.
+ *
+ * A campaign file looks like:
+ * {
+ *     "name": "Defend the Castle",
+ *     "lanes": {
+ *         "northRoad": { "name": "North Road", "x": 0, "z": -80, "width": 10 }
+ *     },
+ *     "waves": [
+ *         {
+ *             "intermission": 5,
+ *             "lanes": ["northRoad"],
+ *             "groups": [
+ *                 { "enemyType": "goblin", "count": 3, "health": 40, "damage": 5, "lane": "northRoad" },
+ *                 { "enemyType": "goblin", "count": 2, "health": 40, "damage": 5, "direction": "east", "delay": 6 }
+ *             ],
+ *             "boss": {
+ *                 "type": "warlord", "name": "Grukk the Warlord", "health": 600, "damage": 12,
+ *                 "lane": "northRoad", "delay": 10,
+ *                 "adds": { "enemyType": "goblin", "count": 3, "health": 40, "damage": 5 }
+ *             }
+ *         }
+ *     ],
+ *     "endless": { "countPerWave": 2, "healthMultiplier": 1.08, "enemyMix": { "goblin": 1 } },
+ *     "gameOver": { "campaign": "castle", "endless": "castleOrPlayer" }
+ * }
+ *
+ * A wave is a timeline of groups that spawn side by side: each group starts
+ * "delay" seconds after the wave begins and sends its enemies one every
+ * "interval" seconds. Enemies come from one of the map's named "lanes", from
+ * the lanes on a side of the map ("direction": north, east, south or west), from
+ * any lane the wave enables ("direction": "random", the default) or from an exact
+ * "spawnPoint". A wave's optional "lanes" list limits the lanes its direction
+ * groups may use; without it every lane is enabled.
+ *
+ * A wave may end with a "boss", which spawns like a group of one and takes the
+ * same stats and spawn location fields. While it lives its optional "music", or
+ * else the game's boss theme, replaces the main theme. "adds" is the group of
+ * enemies it summons around itself.
+ *
+ * A wave's "intermission" is the break in seconds after it is cleared, during
+ * which the next wave is previewed and can be started early.
+ *
+ * The optional "endless" section controls how waves are generated once the
+ * authored waves run out in endless mode. The optional "gameOver" section sets,
+ * per game mode, whether the run ends only when the castle falls ("castle") or
+ * also when the player dies ("castleOrPlayer").
+ */
+export class WaveSchema {
+    /**
+     * Validate a campaign and return a normalized copy with defaults applied
+     * @param {Object} data - Parsed campaign JSON
+     * @param {string} source - Name of the file the data came from, used in error messages
+     * @returns {Object} The normalized campaign
+     * @throws {Error} If any wave or group is invalid, listing every problem found
+     */
+    static validateCampaign(data, source = 'campaign') {
+        const errors = [];
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error(`${source}: campaign must be a JSON object`);
+        }
+
+        if (!Array.isArray(data.waves) || data.waves.length === 0) {
+            throw new Error(`${source}: "waves" must be a non-empty array`);
+        }
+
+        const lanes = WaveSchema.validateLanes(data.lanes, 'lanes', errors);
+        const laneIds = lanes ? Object.keys(lanes) : [];
+
+        const waves = data.waves.map((wave, index) =>
+            WaveSchema.validateWave(wave, `waves[${index}]`, errors, laneIds)
+        );
+        const endless = WaveSchema.validateEndless(data.endless, 'endless', errors);
+        const gameOver = WaveSchema.validateGameOver(data.gameOver, 'gameOver', errors);
+
+        if (errors.length > 0) {
+            throw new Error(`${source}: invalid wave definitions\n  - ${errors.join('\n  - ')}`);
+        }
+
+        return {
+            name: typeof data.name === 'string' ? data.name : source,
+            lanes,
+            waves,
+            endless,
+            gameOver
+        };
+    }
+
+    /**
+     * Validate the map's spawn lanes
+     * @param {Object|undefined} lanes - Map of lane id to lane definition
+     * @param {string} path - Location of the section in the campaign, for error messages
+     * @param {string[]} errors - Collected error messages
+     * @returns {Object} The normalized lanes, keyed by id
+     */
+    static validateLanes(lanes, path, errors) {
+        const source = lanes === undefined ? DEFAULT_LANES : lanes;
+
+        if (!source || typeof source !== 'object' || Array.isArray(source) || Object.keys(source).length === 0) {
+            errors.push(`${path} must be an object of lane definitions`);
+            return null;
+        }
+
+        const normalized = {};
+        Object.entries(source).forEach(([id, lane]) => {
+            if (!lane || typeof lane !== 'object' || Array.isArray(lane)) {
+                errors.push(`${path}.${id} must be an object`);
+                return;
+            }
+
+            if (!Number.isFinite(lane.x) || !Number.isFinite(lane.z)) {
+                errors.push(`${path}.${id} must have numeric x and z`);
+            }
+
+            const width = lane.width !== undefined ? lane.width : DEFAULT_LANE_WIDTH;
+            if (!WaveSchema.isPositiveNumber(width)) {
+                errors.push(`${path}.${id}.width must be a number > 0`);
+            }
+
+            normalized[id] = {
+                id,
+                name: typeof lane.name === 'string' ? lane.name : id,
+                x: lane.x,
+                z: lane.z,
+                width
+            };
+        });
+
+        return normalized;
+    }
+
+    /**
+     * Validate a single wave definition
+     * @param {Object} wave - Wave definition
+     * @param {string} path - Location of the wave in the campaign, for error messages
+     * @param {string[]} errors - Collected error messages
+     * @param {string[]} laneIds - Ids of the map's spawn lanes
+     * @returns {Object} The normalized wave
+     */
+    static validateWave(wave, path, errors, laneIds = []) {
+        if (!wave || typeof wave !== 'object' || Array.isArray(wave)) {
+            errors.push(`${path} must be an object`);
+            return null;
+        }
+
+        let intermission = DEFAULT_INTERMISSION;
+        if (wave.intermission !== undefined) {
+            if (!WaveSchema.isNonNegativeNumber(wave.intermission)) {
+                errors.push(`${path}.intermission must be a number >= 0`);
+            } else {
+                intermission = wave.intermission;
+            }
+        }
+
+        let lanes = laneIds;
+        if (wave.lanes !== undefined) {
+            if (!Array.isArray(wave.lanes) || wave.lanes.length === 0) {
+                errors.push(`${path}.lanes must be a non-empty array of lane ids`);
+            } else {
+                wave.lanes
+                    .filter(id => !laneIds.includes(id))
+                    .forEach(id => errors.push(`${path}.lanes references unknown lane ${JSON.stringify(id)}`));
+                lanes = wave.lanes;
+            }
+        }
+
+        const boss = WaveSchema.validateBoss(wave.boss, `${path}.boss`, errors, laneIds);
+
+        if (!Array.isArray(wave.groups) || wave.groups.length === 0) {
+            errors.push(`${path}.groups must be a non-empty array`);
+            return { intermission, lanes, groups: [], boss };
+        }
+
+        const groups = wave.groups.map((group, index) =>
+            WaveSchema.validateGroup(group, `${path}.groups[${index}]`, errors, laneIds)
+        );
+
+        return { intermission, lanes, groups, boss };
+    }
+
+    /**
+     * Validate a spawn group within a wave
+     * @param {Object} group - Group definition
+     * @param {string} path - Location of the group in the campaign, for error messages
+     * @param {string[]} errors - Collected error messages
+     * @param {string[]} laneIds - Ids of the map's spawn lanes
+     * @returns {Object} The normalized group
+     */
+    static validateGroup(group, path, errors, laneIds = []) {
+        if (!group || typeof group !== 'object' || Array.isArray(group)) {
+            errors.push(`${path} must be an object`);
+            return null;
+        }
+
+        if (!ENEMY_TYPES.includes(group.enemyType)) {
+            errors.push(
+                `${path}.enemyType must be one of ${ENEMY_TYPES.join(', ')} (got ${JSON.stringify(group.enemyType)})`
+            );
+        }
+
+        if (!Number.isInteger(group.count) || group.count <= 0) {
+            errors.push(`${path}.count must be a positive integer`);
+        }
+
+        return WaveSchema.validateSpawnFields({ ...GROUP_DEFAULTS, ...group }, group, path, errors, laneIds);
+    }
+
+    /**
+     * Validate a wave's boss
+     * @param {Object|undefined} boss - Boss definition
+     * @param {string} path - Location of the boss in the campaign, for error messages
+     * @param {string[]} errors - Collected error messages
+     * @param {string[]} laneIds - Ids of the map's spawn lanes
+     * @returns {Object|null} The normalized boss, spawned as a group of one, or null if the wave has none
+     */
+    static validateBoss(boss, path, errors, laneIds = []) {
+        if (boss === undefined) {
+            return null;
+        }
+
+        if (!boss || typeof boss !== 'object' || Array.isArray(boss)) {
+            errors.push(`${path} must be an object`);
+            return null;
+        }
+
+        if (!BOSS_TYPES.includes(boss.type)) {
+            errors.push(`${path}.type must be one of ${BOSS_TYPES.join(', ')} (got ${JSON.stringify(boss.type)})`);
+        }
+
+        ['name', 'music'].forEach(key => {
+            if (boss[key] !== undefined && typeof boss[key] !== 'string') {
+                errors.push(`${path}.${key} must be a string`);
+            }
+        });
+
+        // Adds are a group of their own, spawned around the boss rather than down a lane
+        let adds = null;
+        if (boss.adds !== undefined && (!boss.adds || typeof boss.adds !== 'object' || Array.isArray(boss.adds))) {
+            errors.push(`${path}.adds must be an object`);
+        } else {
+            adds = WaveSchema.validateGroup({ ...BOSS_ADDS_DEFAULTS, ...boss.adds }, `${path}.adds`, errors, laneIds);
+        }
+
+        const normalized = {
+            ...GROUP_DEFAULTS,
+            ...BOSS_DEFAULTS,
+            ...boss,
+            enemyType: boss.type,
+            count: 1,
+            interval: 0,
+            adds,
+            isBoss: true
+        };
+        return WaveSchema.validateSpawnFields(normalized, boss, path, errors, laneIds);
+    }
+
+    /**
+     * Validate the stats and spawn location shared by groups and bosses
+     * @param {Object} normalized - Definition with defaults applied
+     * @param {Object} source - Definition as written in the campaign
+     * @param {string} path - Location of the definition in the campaign, for error messages
+     * @param {string[]} errors - Collected error messages
+     * @param {string[]} laneIds - Ids of the map's spawn lanes
+     * @returns {Object} The normalized definition
+     */
+    static validateSpawnFields(normalized, source, path, errors, laneIds) {
+        if (!WaveSchema.isPositiveNumber(normalized.health)) {
+            errors.push(`${path}.health must be a number > 0`);
+        }
+
+        if (!WaveSchema.isNonNegativeNumber(normalized.damage)) {
+            errors.push(`${path}.damage must be a number >= 0`);
+        }
+
+        ['delay', 'interval'].forEach(key => {
+            if (!WaveSchema.isNonNegativeNumber(normalized[key])) {
+                errors.push(`${path}.${key} must be a number >= 0`);
+            }
+        });
+
+        if (!SPAWN_DIRECTIONS.includes(normalized.direction)) {
+            errors.push(
+                `${path}.direction must be one of ${SPAWN_DIRECTIONS.join(', ')} (got ${JSON.stringify(normalized.direction)})`
+            );
+        }
+
+        if (normalized.lane !== null && !laneIds.includes(normalized.lane)) {
+            errors.push(`${path}.lane references unknown lane ${JSON.stringify(normalized.lane)}`);
+        }
+
+        if (normalized.spawnPoint !== null) {
+            const point = normalized.spawnPoint;
+            if (!point || typeof point !== 'object' || !Number.isFinite(point.x) || !Number.isFinite(point.z)) {
+                errors.push(`${path}.spawnPoint must be an object with numeric x and z`);
+            }
+        }
+
+        if (SPAWN_LOCATION_FIELDS.filter(key => source[key] !== undefined).length > 1) {
+            errors.push(`${path} must set only one of ${SPAWN_LOCATION_FIELDS.join(', ')}`);
+        }
+
+        ['moveSpeed', 'attackRange', 'attackCooldown'].forEach(key => {
+            if (!WaveSchema.isPositiveNumber(normalized[key])) {
+                errors.push(`${path}.${key} must be a number > 0`);
+            }
+        });
+
+        return normalized;
+    }
+
+    /**
+     * Validate the endless mode scaling section
+     * @param {Object|undefined} endless - Endless scaling definition
+     * @param {string} path - Location of the section in the campaign, for error messages
+     * @param {string[]} errors - Collected error messages
+     * @returns {Object} The normalized endless scaling
+     */
+    static validateEndless(endless, path, errors) {
+        if (endless === undefined) {
+            return { ...ENDLESS_DEFAULTS, enemyMix: { ...ENDLESS_DEFAULTS.enemyMix } };
+        }
+
+        if (!endless || typeof endless !== 'object' || Array.isArray(endless)) {
+            errors.push(`${path} must be an object`);
+            return null;
+        }
+
+        const normalized = { ...ENDLESS_DEFAULTS, ...endless };
+
+        ['countPerWave', 'groupDelay', 'intermission'].forEach(key => {
+            if (!WaveSchema.isNonNegativeNumber(normalized[key])) {
+                errors.push(`${path}.${key} must be a number >= 0`);
+            }
+        });
+
+        ['maxCount', 'healthMultiplier', 'damageMultiplier'].forEach(key => {
+            if (!WaveSchema.isPositiveNumber(normalized[key])) {
+                errors.push(`${path}.${key} must be a number > 0`);
+            }
+        });
+
+        if (!Number.isInteger(normalized.groupSize) || normalized.groupSize <= 0) {
+            errors.push(`${path}.groupSize must be a positive integer`);
+        }
+
+        const mix = normalized.enemyMix;
+        if (!mix || typeof mix !== 'object' || Array.isArray(mix) || Object.keys(mix).length === 0) {
+            errors.push(`${path}.enemyMix must be an object of enemy type weights`);
+        } else {
+            Object.entries(mix).forEach(([type, weight]) => {
+                if (!ENEMY_TYPES.includes(type)) {
+                    errors.push(`${path}.enemyMix.${type} is not a known enemy type`);
+                }
+                if (!WaveSchema.isPositiveNumber(weight)) {
+                    errors.push(`${path}.enemyMix.${type} must be a number > 0`);
+                }
+            });
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Validate the per-mode game over rules
+     * @param {Object|undefined} gameOver - Map of game mode to rule
+     * @param {string} path - Location of the section in the campaign, for error messages
+     * @param {string[]} errors - Collected error messages
+     * @returns {Object} The normalized rules
+     */
+    static validateGameOver(gameOver, path, errors) {
+        if (gameOver === undefined) {
+            return { ...GAME_OVER_DEFAULTS };
+        }
+
+        if (!gameOver || typeof gameOver !== 'object' || Array.isArray(gameOver)) {
+            errors.push(`${path} must be an object`);
+            return null;
+        }
+
+        const normalized = { ...GAME_OVER_DEFAULTS, ...gameOver };
+
+        Object.entries(normalized).forEach(([mode, rule]) => {
+            if (!(mode in GAME_OVER_DEFAULTS)) {
+                errors.push(`${path}.${mode} is not a known game mode`);
+            }
+            if (!GAME_OVER_RULES.includes(rule)) {
+                errors.push(`${path}.${mode} must be one of ${GAME_OVER_RULES.join(', ')}`);
+            }
+        });
+
+        return normalized;
+    }
+
+    /**
+     * Get the total number of enemies in a wave
+     * @param {Object} wave - Normalized wave definition
+     * @returns {number} Enemy count across all groups, including any boss
+     */
+    static getEnemyCount(wave) {
+        if (!wave) return 0;
+        return WaveSchema.getSpawnGroups(wave).reduce((total, group) => total + group.count, 0);
+    }
+
+    /**
+     * Get everything a wave spawns: its groups, followed by its boss if it has one
+     * @param {Object} wave - Normalized wave definition
+     * @returns {Object[]} Spawn groups
+     */
+    static getSpawnGroups(wave) {
+        return wave.boss ? [...wave.groups, wave.boss] : wave.groups;
+    }
+
+    static isPositiveNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value) && value > 0;
+    }
+
+    static isNonNegativeNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    }
+}
@@ -0,0 +1,138 @@
+// Seconds the phase label stays highlighted after the boss enters a new phase
+const PHASE_FLASH_DURATION = 1.5;
+
+/**
+ * Health bar across the top of the screen for the boss of a wave, marked where
+ * its later phases begin
+ */
+export class BossHealthBar {
+    constructor() {
+        this.boss = null;
+        this.element = null;
+        this.phaseMarkers = [];
+        this.phaseFlashTime = 0;
+        this.createUI();
+    }
+
+    createUI() {
+        // Create container
+        this.element = document.createElement('div');
+        this.element.style.position = 'fixed';
+        this.element.style.top = '20px';
+        this.element.style.left = '50%';
+        this.element.style.transform = 'translateX(-50%)';
+        this.element.style.width = '40%';
+        this.element.style.minWidth = '300px';
+        this.element.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+        this.element.style.padding = '10px';
+        this.element.style.borderRadius = '5px';
+        this.element.style.color = 'white';
+        this.element.style.fontFamily = 'Arial, sans-serif';
+        this.element.style.pointerEvents = 'none';
+        this.element.style.display = 'none';
+
+        // Create title row with the boss name and phase
+        const title = document.createElement('div');
+        title.style.display = 'flex';
+        title.style.justifyContent = 'space-between';
+        title.style.marginBottom = '5px';
+
+        this.nameText = document.createElement('div');
+        this.nameText.style.fontSize = '18px';
+        this.nameText.style.fontWeight = 'bold';
+        title.appendChild(this.nameText);
+
+        this.phaseText = document.createElement('div');
+        this.phaseText.style.fontSize = '14px';
+        this.phaseText.style.transition = 'color 0.3s ease-in-out';
+        title.appendChild(this.phaseText);
+
+        this.element.appendChild(title);
+
+        // Create health bar container
+        this.healthBarContainer = document.createElement('div');
+        this.healthBarContainer.style.position = 'relative';
+        this.healthBarContainer.style.height = '16px';
+        this.healthBarContainer.style.backgroundColor = '#333';
+        this.healthBarContainer.style.borderRadius = '8px';
+        this.healthBarContainer.style.overflow = 'hidden';
+
+        // Create health bar
+        this.healthBar = document.createElement('div');
+        this.healthBar.style.width = '100%';
+        this.healthBar.style.height = '100%';
+        this.healthBar.style.backgroundColor = '#b71c1c';
+        this.healthBar.style.transition = 'width 0.3s ease-in-out';
+        this.healthBarContainer.appendChild(this.healthBar);
+
+        this.element.appendChild(this.healthBarContainer);
+
+        // Add to document
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * Start tracking a boss
+     * @param {GoblinWarlord} boss - The boss that just spawned
+     */
+    show(boss) {
+        this.boss = boss;
+        this.phaseFlashTime = 0;
+        this.nameText.textContent = boss.name;
+        this.createPhaseMarkers(boss.getPhaseThresholds());
+        this.element.style.display = 'block';
+        this.update(0);
+    }
+
+    /**
+     * Mark where each later phase starts along the bar
+     * @param {number[]} thresholds - Health fractions between 0 and 1
+     */
+    createPhaseMarkers(thresholds) {
+        this.phaseMarkers.forEach(marker => marker.remove());
+
+        this.phaseMarkers = thresholds.map(threshold => {
+            const marker = document.createElement('div');
+            marker.style.position = 'absolute';
+            marker.style.top = '0';
+            marker.style.left = `${threshold * 100}%`;
+            marker.style.width = '2px';
+            marker.style.height = '100%';
+            marker.style.backgroundColor = 'rgba(255, 255, 255, 0.7)';
+            this.healthBarContainer.appendChild(marker);
+            return marker;
+        });
+    }
+
+    /**
+     * Highlight the phase label when the boss enters a new phase
+     */
+    flashPhase() {
+        this.phaseFlashTime = PHASE_FLASH_DURATION;
+    }
+
+    /**
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        if (!this.boss) return;
+
+        const percentage = Math.max(0, this.boss.health / this.boss.maxHealth) * 100;
+        this.healthBar.style.width = `${percentage}%`;
+
+        this.phaseFlashTime = Math.max(0, this.phaseFlashTime - deltaTime);
+        this.phaseText.textContent = `Phase ${this.boss.getPhase()} / ${this.boss.getPhaseCount()}`;
+        this.phaseText.style.color = this.phaseFlashTime > 0 ? '#ff5522' : 'white';
+    }
+
+    hide() {
+        this.boss = null;
+        this.element.style.display = 'none';
+    }
+
+    remove() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+    }
+}
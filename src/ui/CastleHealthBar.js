@@ -1,7 +1,24 @@
+// Cell of the castle map each wall and tower is drawn in, as [row, column]. North is up.
+const SEGMENT_CELLS = {
+    northWest: [0, 0],
+    north: [0, 1],
+    northEast: [0, 2],
+    west: [1, 0],
+    east: [1, 2],
+    southWest: [2, 0],
+    south: [2, 1],
+    southEast: [2, 2]
+};
+
+/**
+ * Castle status in the corner of the screen: the keep's health bar, and a small
+ * map of the walls and towers coloured by their health
+ */
 export class CastleHealthBar {
     constructor(castle) {
         this.castle = castle;
         this.element = null;
+        this.segmentCells = new Map(); // Segment id to its cell on the map
         this.createUI();
     }
 
@@ -48,6 +65,7 @@ export class CastleHealthBar {
 
         this.element.appendChild(healthBarContainer);
         this.element.appendChild(this.healthText);
+        this.createSegmentMap();
 
         // Add to document
         document.body.appendChild(this.element);
@@ -56,6 +74,47 @@ export class CastleHealthBar {
         this.update();
     }
 
+    /**
+     * Build the map of the walls and towers around the keep
+     */
+    createSegmentMap() {
+        const segments = this.castle.getSegments();
+        if (segments.length === 0) return;
+
+        const map = document.createElement('div');
+        map.style.display = 'grid';
+        map.style.gridTemplateColumns = '14px 1fr 14px';
+        map.style.gridTemplateRows = '14px 48px 14px';
+        map.style.gap = '2px';
+        map.style.width = '80px';
+        map.style.margin = '8px auto 0';
+
+        // The keep sits in the middle, shown by the bar above
+        const keep = document.createElement('div');
+        keep.textContent = 'Keep';
+        keep.style.gridRow = '2';
+        keep.style.gridColumn = '2';
+        keep.style.fontSize = '11px';
+        keep.style.display = 'flex';
+        keep.style.alignItems = 'center';
+        keep.style.justifyContent = 'center';
+        map.appendChild(keep);
+
+        segments.forEach(segment => {
+            const [row, column] = SEGMENT_CELLS[segment.id];
+            const cell = document.createElement('div');
+            cell.title = segment.name;
+            cell.style.gridRow = String(row + 1);
+            cell.style.gridColumn = String(column + 1);
+            cell.style.borderRadius = segment.kind === 'tower' ? '50%' : '2px';
+            cell.style.boxSizing = 'border-box';
+            map.appendChild(cell);
+            this.segmentCells.set(segment.id, cell);
+        });
+
+        this.element.appendChild(map);
+    }
+
     update() {
         const health = this.castle.getHealth();
         const maxHealth = this.castle.getMaxHealth();
@@ -63,18 +122,38 @@ export class CastleHealthBar {
 
         // Update health bar
         this.healthBar.style.width = `${percentage}%`;
+        this.healthBar.style.backgroundColor = this.getHealthColor(percentage);
 
-        // Update color based on health percentage
+        // Update text
+        this.healthText.textContent = `Keep: ${Math.round(health)} / ${maxHealth}`;
+
+        // Fallen segments are drawn as an outline of the breach
+        this.castle.getSegments().forEach(segment => {
+            const cell = this.segmentCells.get(segment.id);
+            if (!cell) return;
+
+            if (segment.isDestroyed) {
+                cell.style.backgroundColor = 'transparent';
+                cell.style.border = '1px dashed #FF0000';
+            } else {
+                cell.style.backgroundColor = this.getHealthColor((segment.health / segment.maxHealth) * 100);
+                cell.style.border = 'none';
+            }
+        });
+    }
+
+    /**
+     * Get the colour for a health percentage
+     * @param {number} percentage - Health from 0 to 100
+     * @returns {string} CSS colour
+     */
+    getHealthColor(percentage) {
         if (percentage > 60) {
-            this.healthBar.style.backgroundColor = '#4CAF50'; // Green
+            return '#4CAF50'; // Green
         } else if (percentage > 30) {
-            this.healthBar.style.backgroundColor = '#FFA500'; // Orange
-        } else {
-            this.healthBar.style.backgroundColor = '#FF0000'; // Red
+            return '#FFA500'; // Orange
         }
-
-        // Update text
-        this.healthText.textContent = `${Math.round(health)} / ${maxHealth}`;
+        return '#FF0000'; // Red
     }
 
     remove() {
@@ -82,6 +82,7 @@ export class GameMenu {
         
         const options = [
             { label: 'Resume Game', action: () => this.hide() },
+            { label: 'Restart Run', action: () => this.restartRun() },
             { label: 'Settings', action: () => this.loadSettingsMenu() },
             { label: 'Controls', action: () => this.loadControlsMenu() },
             { label: 'Reset Character Position', action: () => this.resetPlayerPosition() },
@@ -192,6 +193,28 @@ export class GameMenu {
         invertYLabel.appendChild(document.createTextNode('Invert Mouse Y'));
         invertYContainer.appendChild(invertYLabel);
         
+        // Ragdoll corpses checkbox
+        const ragdollContainer = document.createElement('div');
+        ragdollContainer.className = 'setting-item';
+        ragdollContainer.style.marginBottom = '15px';
+        
+        const ragdollLabel = document.createElement('label');
+        ragdollLabel.style.display = 'flex';
+        ragdollLabel.style.alignItems = 'center';
+        
+        const ragdollCheckbox = document.createElement('input');
+        ragdollCheckbox.type = 'checkbox';
+        ragdollCheckbox.checked = this.settingsInstance.getSetting('graphics', 'ragdollCorpses') !== false;
+        ragdollCheckbox.style.marginRight = '10px';
+        
+        ragdollCheckbox.addEventListener('change', (e) => {
+            this.settingsInstance.updateSetting('graphics', 'ragdollCorpses', e.target.checked);
+        });
+        
+        ragdollLabel.appendChild(ragdollCheckbox);
+        ragdollLabel.appendChild(document.createTextNode('Ragdoll Corpses'));
+        ragdollContainer.appendChild(ragdollLabel);
+        
         // Difficulty level select
         const difficultyContainer = document.createElement('div');
         difficultyContainer.className = 'setting-item';
@@ -231,6 +254,7 @@ export class GameMenu {
         settingsContainer.appendChild(sensitivityContainer);
         settingsContainer.appendChild(movementContainer);
         settingsContainer.appendChild(invertYContainer);
+        settingsContainer.appendChild(ragdollContainer);
         settingsContainer.appendChild(difficultyContainer);
         
         // Reset to defaults button
@@ -400,13 +424,18 @@ export class GameMenu {
         }
     }
     
-    // Exit to main menu (placeholder)
+    // Restart the current run from wave 1
+    restartRun() {
+        if (this.game) {
+            this.game.restart();
+        }
+    }
+    
+    // Exit to the title screen, ending the current run
     exitToMainMenu() {
-        // This would typically reset the game state and show the main title screen
-        console.log("Exit to main menu - not implemented");
-        
-        // For now, just hide the menu
-        this.hide();
+        if (this.game) {
+            this.game.returnToTitle();
+        }
     }
     
     // Update method to be called from game loop
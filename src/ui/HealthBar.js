@@ -91,4 +91,27 @@ export class HealthBar {
     getSprite() {
         return this.sprite;
     }
+
+    /**
+     * Remove the sprite from the scene while keeping the health bar for reuse.
+     * The texture's GPU copy is freed and uploaded again on the next update.
+     */
+    detach() {
+        if (this.sprite.parent) {
+            this.sprite.parent.remove(this.sprite);
+        }
+        this.hide();
+        this.texture.dispose();
+    }
+
+    /**
+     * Remove the sprite from the scene and free its GPU resources
+     */
+    dispose() {
+        if (this.sprite.parent) {
+            this.sprite.parent.remove(this.sprite);
+        }
+        this.texture.dispose();
+        this.material.dispose();
+    }
 } 
\ No newline at end of file
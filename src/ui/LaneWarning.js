@@ -0,0 +1,131 @@
+import * as THREE from 'three';
+
+// Seconds a warning stays on screen, including its fade out
+const WARNING_DURATION = 4;
+const FADE_DURATION = 1;
+
+// Distance of the warning arrows from the centre of the screen, as a fraction of its smaller side
+const ARROW_RADIUS = 0.38;
+
+/**
+ * On-screen arrows pointing towards spawn lanes that have just become active
+ */
+export class LaneWarning {
+    constructor() {
+        this.warnings = [];
+        this.element = null;
+        this.forward = new THREE.Vector3();
+        this.cameraPosition = new THREE.Vector3();
+        this.createUI();
+    }
+
+    createUI() {
+        // Create container covering the screen, so arrows can be placed around its centre
+        this.element = document.createElement('div');
+        this.element.style.position = 'fixed';
+        this.element.style.top = '0';
+        this.element.style.left = '0';
+        this.element.style.width = '100%';
+        this.element.style.height = '100%';
+        this.element.style.pointerEvents = 'none';
+        this.element.style.fontFamily = 'Arial, sans-serif';
+        this.element.style.zIndex = '998';
+
+        // Add to document
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * Warn the player that enemies are about to come down a lane
+     * @param {Object} lane - Lane definition with name, x and z
+     */
+    show(lane) {
+        // Restart the warning if the lane is already being shown
+        const existing = this.warnings.find(warning => warning.lane.id === lane.id);
+        if (existing) {
+            existing.remaining = WARNING_DURATION;
+            return;
+        }
+
+        const element = document.createElement('div');
+        element.style.position = 'absolute';
+        element.style.transform = 'translate(-50%, -50%)';
+        element.style.textAlign = 'center';
+        element.style.color = '#ff5522';
+        element.style.textShadow = '1px 1px 3px rgba(0, 0, 0, 0.8)';
+
+        const arrow = document.createElement('div');
+        arrow.textContent = '▲';
+        arrow.style.fontSize = '36px';
+        element.appendChild(arrow);
+
+        const label = document.createElement('div');
+        label.textContent = lane.name;
+        label.style.fontSize = '14px';
+        label.style.fontWeight = 'bold';
+        element.appendChild(label);
+
+        this.element.appendChild(element);
+        this.warnings.push({ lane, element, arrow, remaining: WARNING_DURATION });
+    }
+
+    /**
+     * Fade out old warnings
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        this.warnings = this.warnings.filter(warning => {
+            warning.remaining -= deltaTime;
+            if (warning.remaining <= 0) {
+                warning.element.remove();
+                return false;
+            }
+            warning.element.style.opacity = String(Math.min(1, warning.remaining / FADE_DURATION));
+            return true;
+        });
+    }
+
+    /**
+     * Point the arrows at their lanes. Called every frame so they follow the view
+     * smoothly.
+     * @param {THREE.Camera} camera - Camera the player is looking through
+     */
+    updateArrows(camera) {
+        if (this.warnings.length === 0) return;
+
+        // The player's camera is attached to the player, so use where it is in the world
+        camera.getWorldPosition(this.cameraPosition);
+        camera.getWorldDirection(this.forward);
+        const centerX = window.innerWidth / 2;
+        const centerY = window.innerHeight / 2;
+        const radius = Math.min(window.innerWidth, window.innerHeight) * ARROW_RADIUS;
+
+        this.warnings.forEach(warning => {
+            // Angle of the lane from straight ahead, clockwise when seen from above
+            const toLaneX = warning.lane.x - this.cameraPosition.x;
+            const toLaneZ = warning.lane.z - this.cameraPosition.z;
+            const ahead = toLaneX * this.forward.x + toLaneZ * this.forward.z;
+            const right = toLaneX * -this.forward.z + toLaneZ * this.forward.x;
+            const angle = Math.atan2(right, ahead);
+
+            warning.element.style.left = `${centerX + Math.sin(angle) * radius}px`;
+            warning.element.style.top = `${centerY - Math.cos(angle) * radius}px`;
+            warning.arrow.style.transform = `rotate(${angle}rad)`;
+        });
+    }
+
+    /**
+     * Remove every warning, e.g. when a run restarts
+     */
+    clear() {
+        this.warnings.forEach(warning => warning.element.remove());
+        this.warnings = [];
+    }
+
+    remove() {
+        this.clear();
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+    }
+}
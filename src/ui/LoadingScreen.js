@@ -0,0 +1,107 @@
+export class LoadingScreen {
+    /**
+     * @param {string} backgroundPath - URL of the splash image shown behind the progress bar
+     */
+    constructor(backgroundPath = '/splash.jpg') {
+        this.backgroundPath = backgroundPath;
+        this.element = null;
+        this.progressFill = null;
+        this.statusText = null;
+        this.isVisible = false;
+        this.createUI();
+    }
+
+    createUI() {
+        // Create full screen container over the splash image
+        this.element = document.createElement('div');
+        this.element.style.position = 'fixed';
+        this.element.style.top = '0';
+        this.element.style.left = '0';
+        this.element.style.width = '100%';
+        this.element.style.height = '100%';
+        this.element.style.backgroundColor = '#000';
+        this.element.style.backgroundImage = `url(${this.backgroundPath})`;
+        this.element.style.backgroundSize = 'cover';
+        this.element.style.backgroundPosition = 'center';
+        this.element.style.display = 'none';
+        this.element.style.flexDirection = 'column';
+        this.element.style.justifyContent = 'flex-end';
+        this.element.style.alignItems = 'center';
+        this.element.style.color = 'white';
+        this.element.style.fontFamily = 'Arial, sans-serif';
+        this.element.style.zIndex = '1002';
+
+        // Create progress panel near the bottom of the screen
+        const panel = document.createElement('div');
+        panel.style.width = '400px';
+        panel.style.marginBottom = '60px';
+        panel.style.padding = '15px 20px';
+        panel.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+        panel.style.borderRadius = '5px';
+
+        // Create status text
+        this.statusText = document.createElement('div');
+        this.statusText.style.textAlign = 'center';
+        this.statusText.style.fontSize = '16px';
+        this.statusText.style.marginBottom = '10px';
+        panel.appendChild(this.statusText);
+
+        // Create progress bar
+        const progressBar = document.createElement('div');
+        progressBar.style.width = '100%';
+        progressBar.style.height = '12px';
+        progressBar.style.backgroundColor = '#333';
+        progressBar.style.border = '1px solid #555';
+        progressBar.style.borderRadius = '6px';
+        progressBar.style.overflow = 'hidden';
+
+        this.progressFill = document.createElement('div');
+        this.progressFill.style.width = '0%';
+        this.progressFill.style.height = '100%';
+        this.progressFill.style.backgroundColor = '#c9a227';
+        this.progressFill.style.transition = 'width 0.2s';
+        progressBar.appendChild(this.progressFill);
+        panel.appendChild(progressBar);
+
+        this.element.appendChild(panel);
+
+        // Add to document
+        document.body.appendChild(this.element);
+    }
+
+    show() {
+        this.setProgress(0, 0);
+        this.element.style.display = 'flex';
+        this.isVisible = true;
+    }
+
+    /**
+     * Update the progress bar
+     * @param {number} loaded - Number of assets finished loading
+     * @param {number} total - Number of assets being loaded
+     */
+    setProgress(loaded, total) {
+        const percent = total > 0 ? Math.round((loaded / total) * 100) : 0;
+        this.progressFill.style.width = `${percent}%`;
+        this.statusText.textContent = `Loading... ${percent}%`;
+    }
+
+    /**
+     * Replace the progress text, e.g. when loading fails
+     * @param {string} message - Text to display
+     */
+    setStatus(message) {
+        this.statusText.textContent = message;
+    }
+
+    hide() {
+        this.element.style.display = 'none';
+        this.isVisible = false;
+    }
+
+    remove() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+    }
+}
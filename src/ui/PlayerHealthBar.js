@@ -0,0 +1,120 @@
+export class PlayerHealthBar {
+    constructor(player) {
+        this.player = player;
+        this.element = null;
+        this.createUI();
+    }
+
+    createUI() {
+        // Create container, placed to the right of the castle health bar
+        this.element = document.createElement('div');
+        this.element.style.position = 'fixed';
+        this.element.style.top = '20px';
+        this.element.style.left = '260px';
+        this.element.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+        this.element.style.padding = '10px';
+        this.element.style.borderRadius = '5px';
+        this.element.style.color = 'white';
+        this.element.style.fontFamily = 'Arial, sans-serif';
+
+        // Create title
+        const title = document.createElement('div');
+        title.textContent = 'Player Health';
+        title.style.fontSize = '16px';
+        title.style.marginBottom = '5px';
+        this.element.appendChild(title);
+
+        // Create health bar container
+        const healthBarContainer = document.createElement('div');
+        healthBarContainer.style.width = '200px';
+        healthBarContainer.style.height = '20px';
+        healthBarContainer.style.backgroundColor = '#333';
+        healthBarContainer.style.borderRadius = '10px';
+        healthBarContainer.style.overflow = 'hidden';
+
+        // Create health bar
+        this.healthBar = document.createElement('div');
+        this.healthBar.style.width = '100%';
+        this.healthBar.style.height = '100%';
+        this.healthBar.style.backgroundColor = '#4CAF50';
+        this.healthBar.style.transition = 'width 0.3s ease-in-out';
+        healthBarContainer.appendChild(this.healthBar);
+
+        // Create health text
+        this.healthText = document.createElement('div');
+        this.healthText.style.textAlign = 'center';
+        this.healthText.style.marginTop = '5px';
+        this.healthText.style.fontSize = '14px';
+
+        // Create stamina bar container
+        const staminaBarContainer = document.createElement('div');
+        staminaBarContainer.style.width = '200px';
+        staminaBarContainer.style.height = '8px';
+        staminaBarContainer.style.marginTop = '5px';
+        staminaBarContainer.style.backgroundColor = '#333';
+        staminaBarContainer.style.borderRadius = '4px';
+        staminaBarContainer.style.overflow = 'hidden';
+
+        // Create stamina bar
+        this.staminaBar = document.createElement('div');
+        this.staminaBar.style.width = '100%';
+        this.staminaBar.style.height = '100%';
+        this.staminaBar.style.backgroundColor = '#E0C040';
+        staminaBarContainer.appendChild(this.staminaBar);
+
+        this.element.appendChild(healthBarContainer);
+        this.element.appendChild(staminaBarContainer);
+        this.element.appendChild(this.healthText);
+
+        // Create gold text
+        this.goldText = document.createElement('div');
+        this.goldText.style.textAlign = 'center';
+        this.goldText.style.marginTop = '3px';
+        this.goldText.style.fontSize = '14px';
+        this.goldText.style.color = '#FFD700';
+        this.element.appendChild(this.goldText);
+
+        // Add to document
+        document.body.appendChild(this.element);
+
+        // Initial update
+        this.update();
+    }
+
+    update() {
+        const { health, maxHealth } = this.player;
+        const percentage = Math.max(0, (health / maxHealth) * 100);
+
+        // Update health bar
+        this.healthBar.style.width = `${percentage}%`;
+
+        // Update color based on health percentage
+        if (percentage > 60) {
+            this.healthBar.style.backgroundColor = '#4CAF50'; // Green
+        } else if (percentage > 30) {
+            this.healthBar.style.backgroundColor = '#FFA500'; // Orange
+        } else {
+            this.healthBar.style.backgroundColor = '#FF0000'; // Red
+        }
+
+        // Update stamina bar, dimmed while exhausted
+        const { stamina, maxStamina } = this.player;
+        const isExhausted = this.player.isGuardBroken || this.player.isSprintExhausted;
+        this.staminaBar.style.width = `${Math.max(0, (stamina / maxStamina) * 100)}%`;
+        this.staminaBar.style.opacity = isExhausted ? '0.4' : '1';
+
+        // Update text
+        if (this.player.isDead) {
+            this.healthText.textContent = `Respawning in ${Math.ceil(this.player.respawnTimer)}s`;
+        } else {
+            this.healthText.textContent = `${Math.ceil(health)} / ${maxHealth}`;
+        }
+        this.goldText.textContent = `Gold: ${this.player.inventory.getCurrency('gold')}`;
+    }
+
+    remove() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+    }
+}
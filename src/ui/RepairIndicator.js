@@ -0,0 +1,95 @@
+/**
+ * Prompt and progress bar below the crosshair while the player stands next to a
+ * damaged part of the castle
+ */
+export class RepairIndicator {
+    constructor(castleRepair) {
+        this.castleRepair = castleRepair;
+        this.element = null;
+        this.createUI();
+    }
+
+    createUI() {
+        // Create container, centred just below the crosshair
+        this.element = document.createElement('div');
+        this.element.style.position = 'fixed';
+        this.element.style.top = 'calc(50% + 40px)';
+        this.element.style.left = '50%';
+        this.element.style.transform = 'translateX(-50%)';
+        this.element.style.width = '240px';
+        this.element.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+        this.element.style.padding = '8px 10px';
+        this.element.style.borderRadius = '5px';
+        this.element.style.color = 'white';
+        this.element.style.fontFamily = 'Arial, sans-serif';
+        this.element.style.textAlign = 'center';
+        this.element.style.pointerEvents = 'none';
+        this.element.style.display = 'none';
+
+        // Create prompt text
+        this.promptText = document.createElement('div');
+        this.promptText.style.fontSize = '14px';
+        this.promptText.style.marginBottom = '5px';
+        this.element.appendChild(this.promptText);
+
+        // Create progress bar container
+        const progressBarContainer = document.createElement('div');
+        progressBarContainer.style.height = '8px';
+        progressBarContainer.style.backgroundColor = '#333';
+        progressBarContainer.style.borderRadius = '4px';
+        progressBarContainer.style.overflow = 'hidden';
+
+        // Create progress bar
+        this.progressBar = document.createElement('div');
+        this.progressBar.style.width = '0%';
+        this.progressBar.style.height = '100%';
+        this.progressBar.style.backgroundColor = '#E0C040';
+        progressBarContainer.appendChild(this.progressBar);
+
+        this.element.appendChild(progressBarContainer);
+
+        // Create health text of the part being repaired
+        this.healthText = document.createElement('div');
+        this.healthText.style.fontSize = '12px';
+        this.healthText.style.marginTop = '5px';
+        this.element.appendChild(this.healthText);
+
+        // Add to document
+        document.body.appendChild(this.element);
+    }
+
+    update() {
+        const { target, progress, isInterrupted } = this.castleRepair;
+        if (!target) {
+            this.element.style.display = 'none';
+            return;
+        }
+        this.element.style.display = 'block';
+
+        const cost = this.castleRepair.getRepairCost();
+        if (isInterrupted) {
+            this.promptText.textContent = 'Repair interrupted!';
+            this.promptText.style.color = '#FF5522';
+        } else if (!this.castleRepair.canAfford()) {
+            this.promptText.textContent = `Need ${cost} gold to repair ${target.name}`;
+            this.promptText.style.color = '#FF5522';
+        } else if (progress > 0) {
+            this.promptText.textContent = `Repairing ${target.name}...`;
+            this.promptText.style.color = 'white';
+        } else {
+            this.promptText.textContent = `Hold E to repair ${target.name} (${cost} gold)`;
+            this.promptText.style.color = 'white';
+        }
+
+        this.progressBar.style.width = `${Math.min(1, progress) * 100}%`;
+
+        const { health, maxHealth } = this.castleRepair.getTargetHealth(target);
+        this.healthText.textContent = `${Math.ceil(health)} / ${maxHealth}`;
+    }
+
+    remove() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+    }
+}
@@ -0,0 +1,144 @@
+export class RunSummary {
+    /**
+     * @param {Object} callbacks - Button handlers
+     * @param {Function} callbacks.onRestart - Called when the player chooses to play again
+     * @param {Function} callbacks.onTitle - Called when the player returns to the title screen
+     */
+    constructor(callbacks = {}) {
+        this.onRestart = callbacks.onRestart || null;
+        this.onTitle = callbacks.onTitle || null;
+        this.element = null;
+        this.isVisible = false;
+        this.createUI();
+    }
+
+    createUI() {
+        // Create full screen container
+        this.element = document.createElement('div');
+        this.element.style.position = 'fixed';
+        this.element.style.top = '0';
+        this.element.style.left = '0';
+        this.element.style.width = '100%';
+        this.element.style.height = '100%';
+        this.element.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+        this.element.style.display = 'none';
+        this.element.style.justifyContent = 'center';
+        this.element.style.alignItems = 'center';
+        this.element.style.color = 'white';
+        this.element.style.fontFamily = 'Arial, sans-serif';
+        this.element.style.zIndex = '1001';
+
+        // Create summary panel
+        const panel = document.createElement('div');
+        panel.style.width = '400px';
+        panel.style.backgroundColor = '#222';
+        panel.style.borderRadius = '5px';
+        panel.style.padding = '20px';
+        panel.style.boxShadow = '0 0 10px rgba(0, 0, 0, 0.5)';
+
+        // Create title
+        this.titleElement = document.createElement('h2');
+        this.titleElement.style.textAlign = 'center';
+        this.titleElement.style.marginBottom = '20px';
+        this.titleElement.style.borderBottom = '1px solid #444';
+        this.titleElement.style.paddingBottom = '10px';
+        panel.appendChild(this.titleElement);
+
+        // Create stats list
+        this.statsElement = document.createElement('div');
+        this.statsElement.style.marginBottom = '20px';
+        panel.appendChild(this.statsElement);
+
+        panel.appendChild(this.createButton('Play Again', () => this.handle(this.onRestart)));
+        panel.appendChild(this.createButton('Title Screen', () => this.handle(this.onTitle)));
+
+        this.element.appendChild(panel);
+
+        // Add to document
+        document.body.appendChild(this.element);
+    }
+
+    // Create a button element with styles
+    createButton(text, clickHandler) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.style.display = 'block';
+        button.style.width = '100%';
+        button.style.padding = '12px';
+        button.style.margin = '8px 0';
+        button.style.backgroundColor = '#444';
+        button.style.color = 'white';
+        button.style.border = 'none';
+        button.style.borderRadius = '4px';
+        button.style.fontSize = '16px';
+        button.style.cursor = 'pointer';
+        button.style.transition = 'background-color 0.2s';
+
+        button.addEventListener('mouseover', () => {
+            button.style.backgroundColor = '#666';
+        });
+
+        button.addEventListener('mouseout', () => {
+            button.style.backgroundColor = '#444';
+        });
+
+        button.addEventListener('click', clickHandler);
+
+        return button;
+    }
+
+    handle(callback) {
+        this.hide();
+        if (callback) {
+            callback();
+        }
+    }
+
+    /**
+     * Show the end-of-run summary
+     * @param {string} title - Heading, e.g. 'Victory!'
+     * @param {Array<{label: string, value: string|number}>} stats - Rows to display
+     */
+    show(title, stats) {
+        this.titleElement.textContent = title;
+        this.statsElement.innerHTML = '';
+
+        stats.forEach(stat => {
+            const row = document.createElement('div');
+            row.style.display = 'flex';
+            row.style.justifyContent = 'space-between';
+            row.style.margin = '10px 0';
+            row.style.padding = '5px 0';
+            row.style.borderBottom = '1px solid #444';
+
+            const label = document.createElement('span');
+            label.textContent = stat.label;
+
+            const value = document.createElement('span');
+            value.textContent = stat.value;
+
+            row.appendChild(label);
+            row.appendChild(value);
+            this.statsElement.appendChild(row);
+        });
+
+        this.element.style.display = 'flex';
+        this.isVisible = true;
+
+        // Release pointer lock so the buttons can be clicked
+        if (document.pointerLockElement) {
+            document.exitPointerLock();
+        }
+    }
+
+    hide() {
+        this.element.style.display = 'none';
+        this.isVisible = false;
+    }
+
+    remove() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+    }
+}
@@ -0,0 +1,123 @@
+export class TitleScreen {
+    /**
+     * @param {Function} onSelectMode - Called with 'campaign' or 'endless' when the player picks a mode
+     */
+    constructor(onSelectMode) {
+        this.onSelectMode = onSelectMode;
+        this.element = null;
+        this.bestWaveText = null;
+        this.isVisible = false;
+        this.createUI();
+    }
+
+    createUI() {
+        // Create full screen container
+        this.element = document.createElement('div');
+        this.element.style.position = 'fixed';
+        this.element.style.top = '0';
+        this.element.style.left = '0';
+        this.element.style.width = '100%';
+        this.element.style.height = '100%';
+        this.element.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+        this.element.style.display = 'none';
+        this.element.style.flexDirection = 'column';
+        this.element.style.justifyContent = 'center';
+        this.element.style.alignItems = 'center';
+        this.element.style.color = 'white';
+        this.element.style.fontFamily = 'Arial, sans-serif';
+        this.element.style.zIndex = '1001';
+
+        // Create title
+        const title = document.createElement('h1');
+        title.textContent = 'Defend The Castle';
+        title.style.fontSize = '56px';
+        title.style.marginBottom = '40px';
+        title.style.textShadow = '2px 2px 4px rgba(0, 0, 0, 0.5)';
+        this.element.appendChild(title);
+
+        // Create mode buttons
+        const buttonContainer = document.createElement('div');
+        buttonContainer.style.width = '320px';
+
+        buttonContainer.appendChild(
+            this.createButton('Campaign', () => this.selectMode('campaign'))
+        );
+        buttonContainer.appendChild(
+            this.createButton('Endless Mode', () => this.selectMode('endless'))
+        );
+        this.element.appendChild(buttonContainer);
+
+        // Create best endless wave text
+        this.bestWaveText = document.createElement('div');
+        this.bestWaveText.style.marginTop = '20px';
+        this.bestWaveText.style.fontSize = '16px';
+        this.bestWaveText.style.opacity = '0.8';
+        this.element.appendChild(this.bestWaveText);
+
+        // Add to document
+        document.body.appendChild(this.element);
+    }
+
+    // Create a button element with styles
+    createButton(text, clickHandler) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.style.display = 'block';
+        button.style.width = '100%';
+        button.style.padding = '14px';
+        button.style.margin = '10px 0';
+        button.style.backgroundColor = '#444';
+        button.style.color = 'white';
+        button.style.border = 'none';
+        button.style.borderRadius = '4px';
+        button.style.fontSize = '18px';
+        button.style.cursor = 'pointer';
+        button.style.transition = 'background-color 0.2s';
+
+        button.addEventListener('mouseover', () => {
+            button.style.backgroundColor = '#666';
+        });
+
+        button.addEventListener('mouseout', () => {
+            button.style.backgroundColor = '#444';
+        });
+
+        button.addEventListener('click', clickHandler);
+
+        return button;
+    }
+
+    selectMode(mode) {
+        this.hide();
+        if (this.onSelectMode) {
+            this.onSelectMode(mode);
+        }
+    }
+
+    /**
+     * Show the title screen
+     * @param {number} bestWave - Best wave reached in endless mode
+     */
+    show(bestWave = 0) {
+        this.bestWaveText.textContent =
+            bestWave > 0 ? `Endless best: Wave ${bestWave}` : 'Endless best: -';
+        this.element.style.display = 'flex';
+        this.isVisible = true;
+
+        // Release pointer lock so the buttons can be clicked
+        if (document.pointerLockElement) {
+            document.exitPointerLock();
+        }
+    }
+
+    hide() {
+        this.element.style.display = 'none';
+        this.isVisible = false;
+    }
+
+    remove() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+    }
+}
@@ -0,0 +1,106 @@
+/**
+ * Panel on the right of the screen listing the castle upgrades between waves.
+ * Each upgrade is bought with the key shown next to it.
+ */
+export class UpgradeShop {
+    constructor(castleUpgrades, settings) {
+        this.castleUpgrades = castleUpgrades;
+        this.settings = settings; // Key bindings shown next to each upgrade
+        this.element = null;
+        this.rows = []; // { upgrade, slot, element, nameText, detailText }
+        this.createUI();
+    }
+
+    createUI() {
+        // Create container
+        this.element = document.createElement('div');
+        this.element.style.position = 'fixed';
+        this.element.style.top = '20px';
+        this.element.style.right = '20px';
+        this.element.style.width = '280px';
+        this.element.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+        this.element.style.padding = '10px';
+        this.element.style.borderRadius = '5px';
+        this.element.style.color = 'white';
+        this.element.style.fontFamily = 'Arial, sans-serif';
+        this.element.style.pointerEvents = 'none';
+        this.element.style.display = 'none';
+
+        // Create title
+        const title = document.createElement('div');
+        title.textContent = 'Castle Upgrades';
+        title.style.fontSize = '16px';
+        title.style.marginBottom = '5px';
+        this.element.appendChild(title);
+
+        // Create gold text
+        this.goldText = document.createElement('div');
+        this.goldText.style.fontSize = '14px';
+        this.goldText.style.color = '#FFD700';
+        this.goldText.style.marginBottom = '8px';
+        this.element.appendChild(this.goldText);
+
+        // Create a row for each upgrade
+        this.rows = this.castleUpgrades.getUpgrades().map((upgrade, index) => {
+            const element = document.createElement('div');
+            element.style.borderTop = '1px solid rgba(255, 255, 255, 0.3)';
+            element.style.padding = '5px 0';
+
+            const nameText = document.createElement('div');
+            nameText.style.fontSize = '14px';
+            element.appendChild(nameText);
+
+            const detailText = document.createElement('div');
+            detailText.style.fontSize = '12px';
+            element.appendChild(detailText);
+
+            this.element.appendChild(element);
+            return { upgrade, slot: index + 1, element, nameText, detailText };
+        });
+
+        // Add to document
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * Refresh which upgrades are owned, locked or affordable
+     * @param {boolean} isOpen - Whether upgrades can be bought right now
+     */
+    update(isOpen) {
+        if (!isOpen) {
+            this.element.style.display = 'none';
+            return;
+        }
+        this.element.style.display = 'block';
+
+        const gold = this.castleUpgrades.player.inventory.getCurrency('gold');
+        this.goldText.textContent = `Gold: ${gold}`;
+
+        this.rows.forEach(({ upgrade, slot, element, nameText, detailText }) => {
+            // Keys can be rebound, so the label is refreshed with the rest
+            nameText.textContent = `${this.settings.getUpgradeKeyLabel(slot)}: ${upgrade.name} - ${upgrade.cost} gold`;
+
+            const status = this.castleUpgrades.getStatus(upgrade);
+            if (status === 'owned') {
+                detailText.textContent = 'Bought';
+                detailText.style.color = '#4CAF50';
+                element.style.opacity = '0.6';
+            } else if (status === 'locked') {
+                const required = this.castleUpgrades.getUpgrades().find(entry => entry.id === upgrade.requires);
+                detailText.textContent = `Requires ${required.name}`;
+                detailText.style.color = '#ccc';
+                element.style.opacity = '0.6';
+            } else {
+                detailText.textContent = upgrade.description;
+                detailText.style.color = this.castleUpgrades.canAfford(upgrade) ? '#ccc' : '#FF5522';
+                element.style.opacity = '1';
+            }
+        });
+    }
+
+    remove() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+    }
+}
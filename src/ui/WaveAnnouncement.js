@@ -16,6 +16,9 @@ export class WaveAnnouncement {
         this.element.style.pointerEvents = 'none';
         this.element.style.zIndex = '1000';
         document.body.appendChild(this.element);
+
+        this.overlay = null;
+        this.overlayTimeout = null;
     }
 
     showWave(waveNumber) {
@@ -28,27 +31,54 @@ export class WaveAnnouncement {
         }, 3000);
     }
 
+    showVictory() {
+        this.element.textContent = 'Victory!';
+        this.element.style.opacity = '1';
+
+        // Fade out after 3 seconds
+        setTimeout(() => {
+            this.element.style.opacity = '0';
+        }, 3000);
+    }
+
     showGameOver() {
-        // Create a black overlay
-        const overlay = document.createElement('div');
-        overlay.style.position = 'fixed';
-        overlay.style.top = '0';
-        overlay.style.left = '0';
-        overlay.style.width = '100%';
-        overlay.style.height = '100%';
-        overlay.style.backgroundColor = 'black';
-        overlay.style.opacity = '0';
-        overlay.style.transition = 'opacity 1s ease-in-out';
-        overlay.style.zIndex = '999';
-        document.body.appendChild(overlay);
+        // Create a black overlay once and reuse it for later runs
+        if (!this.overlay) {
+            this.overlay = document.createElement('div');
+            this.overlay.style.position = 'fixed';
+            this.overlay.style.top = '0';
+            this.overlay.style.left = '0';
+            this.overlay.style.width = '100%';
+            this.overlay.style.height = '100%';
+            this.overlay.style.backgroundColor = 'black';
+            this.overlay.style.opacity = '0';
+            this.overlay.style.transition = 'opacity 1s ease-in-out';
+            this.overlay.style.pointerEvents = 'none';
+            this.overlay.style.zIndex = '999';
+            document.body.appendChild(this.overlay);
+        }
 
         // Show "Failed" message
         this.element.textContent = 'Failed';
         this.element.style.opacity = '1';
         
         // Fade in the black overlay
-        setTimeout(() => {
-            overlay.style.opacity = '1';
+        this.overlayTimeout = setTimeout(() => {
+            this.overlay.style.opacity = '1';
         }, 100);
     }
-} 
\ No newline at end of file
+
+    /**
+     * Clear any announcement and overlay left over from the previous run
+     */
+    reset() {
+        if (this.overlayTimeout) {
+            clearTimeout(this.overlayTimeout);
+            this.overlayTimeout = null;
+        }
+        if (this.overlay) {
+            this.overlay.style.opacity = '0';
+        }
+        this.element.style.opacity = '0';
+    }
+}
@@ -1,6 +1,7 @@
 export class WaveInfo {
-    constructor(waveManager) {
+    constructor(waveManager, settings) {
         this.waveManager = waveManager;
+        this.settings = settings; // Key bindings shown in the intermission hint
         this.element = null;
         this.createUI();
     }
@@ -33,8 +34,39 @@ export class WaveInfo {
         this.goblinCountText.style.fontSize = '14px';
         waveInfoContainer.appendChild(this.goblinCountText);
 
+        // Create text listing the sides enemies are attacking from
+        this.directionText = document.createElement('div');
+        this.directionText.style.fontSize = '14px';
+        this.directionText.style.marginTop = '5px';
+        this.directionText.style.color = '#ffcc66';
+        waveInfoContainer.appendChild(this.directionText);
+
+        // Create score text
+        this.scoreText = document.createElement('div');
+        this.scoreText.style.fontSize = '14px';
+        this.scoreText.style.marginTop = '5px';
+        waveInfoContainer.appendChild(this.scoreText);
+
         this.element.appendChild(waveInfoContainer);
 
+        // Create intermission panel with the next wave's enemies and controls
+        this.intermissionContainer = document.createElement('div');
+        this.intermissionContainer.style.borderTop = '1px solid rgba(255, 255, 255, 0.3)';
+        this.intermissionContainer.style.paddingTop = '8px';
+        this.intermissionContainer.style.display = 'none';
+
+        this.previewText = document.createElement('div');
+        this.previewText.style.fontSize = '14px';
+        this.previewText.style.marginBottom = '5px';
+        this.intermissionContainer.appendChild(this.previewText);
+
+        this.hintText = document.createElement('div');
+        this.hintText.style.fontSize = '12px';
+        this.hintText.style.color = '#ccc';
+        this.intermissionContainer.appendChild(this.hintText);
+
+        this.element.appendChild(this.intermissionContainer);
+
         // Add to document
         document.body.appendChild(this.element);
 
@@ -42,24 +74,80 @@ export class WaveInfo {
         this.update();
     }
 
-    update() {
+    /**
+     * Refresh the wave and goblin counts, and the countdown and preview between waves
+     * @param {boolean} isFastForwarding - Whether the game is fast-forwarding to the next wave
+     */
+    update(isFastForwarding = false) {
         const currentWave = this.waveManager.currentWave;
         const maxWaves = this.waveManager.maxWaves;
-        const remainingGoblins = this.waveManager.activeGoblins.length;
-        
-        // Get the current wave configuration
-        const waveConfig = this.waveManager.waveConfigs[currentWave];
-        const totalGoblinsInWave = waveConfig ? waveConfig.count : 0;
+        const remainingGoblins = this.waveManager.activeGoblins.length + this.waveManager.remainingToSpawn;
 
         // Update wave number text - Fix to show correct wave number
-        this.waveNumberText.textContent = `Wave ${currentWave} of ${maxWaves}`;
+        if (this.waveManager.isEndless()) {
+            const bestWave = this.waveManager.getBestWave();
+            this.waveNumberText.textContent = `Wave ${currentWave} (Endless) - Best: ${bestWave}`;
+        } else {
+            this.waveNumberText.textContent = `Wave ${currentWave} of ${maxWaves}`;
+        }
+
+        const runState = this.waveManager.runState;
+        this.scoreText.textContent = runState ? `Score: ${runState.score}` : '';
 
         // Update goblin count text - Remove the "/ 5" format
+        const intermissionRemaining = this.waveManager.getIntermissionRemaining();
         if (this.waveManager.isWaveInProgress) {
             this.goblinCountText.textContent = `Goblins Remaining: ${remainingGoblins}`;
+            const directions = this.waveManager.getActiveDirections().map(this.formatDirection);
+            this.directionText.textContent = directions.length > 0 ? `Attacking from: ${directions.join(', ')}` : '';
+        } else if (intermissionRemaining !== null) {
+            this.goblinCountText.textContent = `Next wave in ${Math.ceil(intermissionRemaining)}s`;
         } else {
             this.goblinCountText.textContent = `Wave Complete!`;
         }
+
+        if (!this.waveManager.isWaveInProgress) {
+            this.directionText.textContent = '';
+        }
+
+        if (intermissionRemaining === null) {
+            this.intermissionContainer.style.display = 'none';
+            return;
+        }
+
+        const preview = this.waveManager.getWavePreview()
+            .map(({ enemyType, count }) => this.formatEnemyCount(enemyType, count))
+            .join(', ');
+        const directions = this.waveManager.getWaveDirections().map(this.formatDirection);
+        this.previewText.textContent = `Incoming: ${preview} from ${directions.join(', ')}`;
+
+        const bonus = runState ? runState.getEarlyStartBonus(intermissionRemaining) : 0;
+        const fastForwardHint = isFastForwarding
+            ? 'Fast forwarding...'
+            : `${this.settings.getKeyLabel('FAST_FORWARD')}: Fast forward`;
+        this.hintText.textContent = `${this.settings.getKeyLabel('START_WAVE')}: Start now (+${bonus}) | ${fastForwardHint}`;
+        this.intermissionContainer.style.display = 'block';
+    }
+
+    /**
+     * Format a spawn direction for display, e.g. 'North'
+     * @param {string} direction - Direction name from the wave definition
+     * @returns {string} Readable direction
+     */
+    formatDirection(direction) {
+        if (direction === 'random') return 'Any side';
+        return direction.charAt(0).toUpperCase() + direction.slice(1);
+    }
+
+    /**
+     * Format an enemy count for the wave preview, e.g. '3 Goblins'
+     * @param {string} enemyType - Enemy type from the wave definition
+     * @param {number} count - Number of enemies
+     * @returns {string} Readable count
+     */
+    formatEnemyCount(enemyType, count) {
+        const name = enemyType.charAt(0).toUpperCase() + enemyType.slice(1);
+        return `${count} ${name}${count === 1 ? '' : 's'}`;
     }
 
     remove() {